@@ -1,4 +1,4 @@
-import React, { useEffect, useState } from 'react';
+import React from 'react';
 import { StatusBar } from 'expo-status-bar';
 import { DefaultTheme, NavigationContainer } from '@react-navigation/native';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
@@ -18,6 +18,7 @@ import SubscribeScreen from './src/screens/SubscribeScreen';
 import { colors } from './src/theme';
 import Screen from './src/components/Screen';
 import NavBar from './src/components/NavBar';
+import { useAuth } from './src/auth';
 
 const Tab = createBottomTabNavigator();
 const Stack = createNativeStackNavigator();
@@ -73,23 +74,7 @@ function TabNavigator() {
 }
 
 function AccountTab({ navigation }) {
-  const [state, setState] = useState({ loading: true, loggedIn: false });
-
-  useEffect(() => {
-    let mounted = true;
-    const load = async () => {
-      try {
-        const res = await fetch('https://racescan.racing/api/user-info', { credentials: 'include', cache: 'no-store' });
-        const data = await res.json();
-        if (!mounted) return;
-        setState({ loading: false, loggedIn: !!data?.success });
-      } catch {
-        if (mounted) setState({ loading: false, loggedIn: false });
-      }
-    };
-    load();
-    return () => { mounted = false; };
-  }, []);
+  const state = useAuth();
 
   if (state.loading) {
     return (
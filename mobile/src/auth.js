@@ -0,0 +1,213 @@
+import { useEffect, useState } from 'react';
+import * as SecureStore from 'expo-secure-store';
+
+// Auth client for the app: bearer tokens from /api/auth/token instead of cookies.
+// The refresh token lives in SecureStore; the access token only in memory.
+// EXPO_PUBLIC_API_BASE points a development build at a local backend (e.g. one running SMS_PROVIDER=console).
+export const API_BASE = process.env.EXPO_PUBLIC_API_BASE || 'https://racescan.racing';
+
+const REFRESH_TOKEN_KEY = 'racescan.refreshToken';
+// Renew a little early so a request never leaves with a token that expires in flight.
+const EXPIRY_MARGIN_MS = 30 * 1000;
+
+let accessToken = null;
+let accessTokenExpiresAt = 0;
+let refreshToken = null;
+let storageLoaded = false;
+let pendingRefresh = null;
+let pendingUser = null;
+
+// One shared view of the signed-in user, so NavBar, AccountTab and LiveScreen don't each refetch it.
+let authState = { loading: true, loggedIn: false, user: null };
+const listeners = new Set();
+
+const setAuthState = (next) => {
+  authState = next;
+  listeners.forEach((listener) => listener(authState));
+};
+
+const parseJson = async (res) => {
+  const text = await res.text();
+  try { return text ? JSON.parse(text) : {}; } catch { return { message: text }; }
+};
+
+async function loadStoredToken() {
+  if (storageLoaded) return;
+  try {
+    refreshToken = await SecureStore.getItemAsync(REFRESH_TOKEN_KEY);
+  } catch (err) {
+    console.warn('Unable to read stored refresh token', err);
+  }
+  storageLoaded = true;
+}
+
+async function saveTokens(data) {
+  accessToken = data.accessToken;
+  accessTokenExpiresAt = Date.now() + (Number(data.expiresIn) || 0) * 1000;
+  refreshToken = data.refreshToken;
+  storageLoaded = true;
+  await SecureStore.setItemAsync(REFRESH_TOKEN_KEY, refreshToken);
+}
+
+async function clearTokens() {
+  accessToken = null;
+  accessTokenExpiresAt = 0;
+  refreshToken = null;
+  storageLoaded = true;
+  try {
+    await SecureStore.deleteItemAsync(REFRESH_TOKEN_KEY);
+  } catch (_) {
+    // nothing stored
+  }
+  setAuthState({ loading: false, loggedIn: false, user: null });
+}
+
+const requestTokens = (body) => fetch(`${API_BASE}/api/auth/token`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+// Concurrent callers share one refresh; the server only honours each refresh token once.
+function refreshTokens() {
+  if (!pendingRefresh) {
+    pendingRefresh = (async () => {
+      await loadStoredToken();
+      if (!refreshToken) return null;
+      const res = await requestTokens({ grantType: 'refresh_token', refreshToken });
+      const data = await parseJson(res);
+      if (res.ok && data.success) {
+        await saveTokens(data);
+        return accessToken;
+      }
+      if (res.status === 400 || res.status === 401) {
+        await clearTokens();
+      }
+      return null;
+    })().finally(() => {
+      pendingRefresh = null;
+    });
+  }
+  return pendingRefresh;
+}
+
+export async function getAccessToken() {
+  if (accessToken && Date.now() < accessTokenExpiresAt - EXPIRY_MARGIN_MS) {
+    return accessToken;
+  }
+  try {
+    return await refreshTokens();
+  } catch (err) {
+    console.warn('Token refresh failed', err);
+    return null;
+  }
+}
+
+/**
+ * fetch() against the RaceScan API with the access token attached. A 401
+ * means the token was rejected, so it refreshes once and retries.
+ */
+export async function apiFetch(path, options = {}) {
+  const url = path.startsWith('http') ? path : `${API_BASE}${path}`;
+  // Cookies still ride along for sessions started by the signup and verification screens.
+  const send = (token) => fetch(url, {
+    credentials: 'include',
+    ...options,
+    headers: { ...(options.headers || {}), ...(token ? { Authorization: `Bearer ${token}` } : {}) }
+  });
+
+  const token = await getAccessToken();
+  const res = await send(token);
+  if (res.status !== 401 || !token) {
+    return res;
+  }
+
+  accessToken = null;
+  const renewed = await getAccessToken();
+  return renewed ? send(renewed) : res;
+}
+
+async function fetchUser() {
+  try {
+    const res = await apiFetch('/api/user-info', { cache: 'no-store' });
+    const data = await res.json();
+    if (data?.success) {
+      setAuthState({ loading: false, loggedIn: true, user: data });
+    } else {
+      setAuthState({ loading: false, loggedIn: false, user: null });
+    }
+  } catch {
+    setAuthState({ loading: false, loggedIn: false, user: null });
+  }
+  return authState;
+}
+
+// Reloads /api/user-info, e.g. after a purchase. Calls made while one is in flight share it.
+export function refreshUser() {
+  if (!pendingUser) {
+    pendingUser = fetchUser().finally(() => {
+      pendingUser = null;
+    });
+  }
+  return pendingUser;
+}
+
+export const getAuthState = () => authState;
+
+export function subscribeAuth(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function useAuth() {
+  const [state, setState] = useState(authState);
+  useEffect(() => {
+    const unsubscribe = subscribeAuth(setState);
+    setState(authState);
+    if (authState.loading) refreshUser();
+    return unsubscribe;
+  }, []);
+  return state;
+}
+
+/**
+ * Signs in with email or phone plus password. Resolves to {success, message};
+ * the message is ready to show either way.
+ */
+export async function login(email, password) {
+  const res = await requestTokens({ grantType: 'password', email, password });
+  const data = await parseJson(res);
+  if (!res.ok || !data.success) {
+    const fallback = res.status === 429 ? 'Too many attempts. Please try again soon.' : 'Login failed.';
+    return { success: false, message: data.message || fallback };
+  }
+  await saveTokens(data);
+  await refreshUser();
+  const firstName = authState.user?.firstName;
+  return { success: true, message: firstName ? `Welcome, ${firstName}!` : 'Logged in' };
+}
+
+// For sign-in paths that hand back a token pair themselves, e.g. /api/sms/check-code.
+export async function signInWithTokens(data) {
+  await saveTokens(data);
+  return refreshUser();
+}
+
+export async function logout() {
+  await loadStoredToken();
+  const token = refreshToken;
+  try {
+    if (token) {
+      await fetch(`${API_BASE}/api/auth/revoke`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken: token })
+      });
+    }
+    await fetch(`${API_BASE}/logout`, { method: 'POST', credentials: 'include' });
+  } catch (_) {
+    // the token is dropped locally either way
+  } finally {
+    await clearTokens();
+  }
+}
@@ -1,11 +1,15 @@
-import React, { useEffect, useState, useCallback } from 'react';
+import React, { useCallback } from 'react';
 import { StyleSheet, Text, TouchableOpacity, View, Image } from 'react-native';
 import { useNavigation, useFocusEffect } from '@react-navigation/native';
 import { colors, spacing, radius } from '../theme';
+import { logout, refreshUser, useAuth } from '../auth';
 
 export default function NavBar() {
   const navigation = useNavigation();
-  const [user, setUser] = useState({ loggedIn: false, firstName: '', lastName: '' });
+  const auth = useAuth();
+  const user = auth.loggedIn
+    ? { loggedIn: true, firstName: auth.user.firstName || 'User', lastName: auth.user.lastName || '' }
+    : { loggedIn: false, firstName: '', lastName: '' };
 
   const goLogin = () => {
     if (navigation?.navigate) {
@@ -14,28 +18,10 @@ export default function NavBar() {
     }
   };
 
-  const loadSession = useCallback(async () => {
-    try {
-      const res = await fetch('https://racescan.racing/api/user-info', { credentials: 'include', cache: 'no-store' });
-      const data = await res.json();
-      if (data?.success) {
-        setUser({ loggedIn: true, firstName: data.firstName || 'User', lastName: data.lastName || '' });
-      } else {
-        setUser({ loggedIn: false, firstName: '', lastName: '' });
-      }
-    } catch {
-      setUser({ loggedIn: false, firstName: '', lastName: '' });
-    }
-  }, []);
-
-  useEffect(() => {
-    loadSession();
-  }, [loadSession]);
-
   useFocusEffect(
     useCallback(() => {
-      loadSession();
-    }, [loadSession])
+      refreshUser();
+    }, [])
   );
 
   const goAccount = () => {
@@ -45,14 +31,8 @@ export default function NavBar() {
   };
 
   const handleLogout = async () => {
-    try {
-      await fetch('https://racescan.racing/logout', { method: 'POST', credentials: 'include' });
-    } catch (_) {
-      // ignore
-    } finally {
-      setUser({ loggedIn: false, firstName: '', lastName: '' });
-      goLogin();
-    }
+    await logout();
+    goLogin();
   };
 
   const initials = (() => {
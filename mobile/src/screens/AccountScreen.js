@@ -1,11 +1,11 @@
 import React, { useEffect, useState, useCallback } from 'react';
-import { ActivityIndicator, FlatList, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import { ActivityIndicator, Alert, FlatList, Share, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
 import { useFocusEffect } from '@react-navigation/native';
+import * as WebBrowser from 'expo-web-browser';
 import Screen from '../components/Screen';
 import NavBar from '../components/NavBar';
 import { colors, spacing, radius } from '../theme';
-
-const API_BASE = 'https://racescan.racing';
+import { apiFetch, logout, refreshUser, signInWithTokens } from '../auth';
 
 const formatDate = (value) => {
   if (!value) return '—';
@@ -14,18 +14,67 @@ const formatDate = (value) => {
   return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
 };
 
+// POSTs JSON to an /api/account endpoint; resolves to the body with `ok` folded in from the status.
+const postAccount = async (path, body) => {
+  const res = await apiFetch(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await res.json().catch(() => ({}));
+  return { ...data, ok: res.ok && !!data.success };
+};
+
+function Field({ label, ...inputProps }) {
+  return (
+    <View style={styles.field}>
+      <Text style={styles.label}>{label}</Text>
+      <TextInput style={styles.input} placeholderTextColor={colors.textSecondary} autoCapitalize="none" {...inputProps} />
+    </View>
+  );
+}
+
+function FormStatus({ status }) {
+  if (!status?.text) return null;
+  return <Text style={status.error ? styles.error : styles.success}>{status.text}</Text>;
+}
+
+// Comp passes share the day-pass list; endsAt is a UTC 'YYYY-MM-DD HH:mm:ss' string.
+const compPassItem = (pass) => ({
+  event_id: pass.eventId || `comp-${pass.id}`,
+  event_name: pass.eventId ? `Complimentary: ${pass.eventId}` : 'Complimentary: All Events',
+  event_date: pass.endsAt ? `Until ${pass.endsAt.slice(0, 10)}` : 'No end date',
+  status: 'Comp'
+});
+
 export default function AccountScreen({ navigation }) {
   const [loading, setLoading] = useState(true);
   const [user, setUser] = useState(null);
   const [passes, setPasses] = useState([]);
   const [error, setError] = useState('');
+  const [firstName, setFirstName] = useState('');
+  const [lastName, setLastName] = useState('');
+  const [nameStatus, setNameStatus] = useState(null);
+  const [newEmail, setNewEmail] = useState('');
+  const [emailPassword, setEmailPassword] = useState('');
+  const [pendingEmail, setPendingEmail] = useState('');
+  const [emailCode, setEmailCode] = useState('');
+  const [emailStatus, setEmailStatus] = useState(null);
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [passwordStatus, setPasswordStatus] = useState(null);
+  const [deletePassword, setDeletePassword] = useState('');
+  const [deleteStatus, setDeleteStatus] = useState(null);
+  const [exportStatus, setExportStatus] = useState(null);
+  const [subscriptionStatus, setSubscriptionStatus] = useState(null);
+  const [saving, setSaving] = useState('');
 
   const fetchData = async () => {
     try {
       setLoading(true);
       const [infoRes, passRes] = await Promise.all([
-        fetch(`${API_BASE}/api/user-info`, { credentials: 'include', cache: 'no-store' }),
-        fetch(`${API_BASE}/api/user-day-passes`, { credentials: 'include', cache: 'no-store' })
+        apiFetch('/api/user-info', { cache: 'no-store' }),
+        apiFetch('/api/user-day-passes', { cache: 'no-store' })
       ]);
       const info = await infoRes.json();
       if (!info?.success) {
@@ -36,7 +85,9 @@ export default function AccountScreen({ navigation }) {
       }
       const passJson = await passRes.json().catch(() => ({}));
       setUser(info);
-      setPasses(passJson?.passes || []);
+      setFirstName(info.firstName || '');
+      setLastName(info.lastName || '');
+      setPasses([...(passJson?.compPasses || []).map(compPassItem), ...(passJson?.passes || [])]);
       setError('');
     } catch (e) {
       setError('Unable to load account right now.');
@@ -56,14 +107,136 @@ export default function AccountScreen({ navigation }) {
   );
 
   const handleLogout = async () => {
+    await logout();
+    setUser(null);
+    navigation.navigate('Tabs', { screen: 'Login' });
+  };
+
+  // Runs one settings request at a time; `key` names the form whose button shows the spinner.
+  const submit = async (key, setStatus, request) => {
+    setSaving(key);
+    setStatus(null);
     try {
-      await fetch(`${API_BASE}/logout`, { method: 'POST', credentials: 'include' });
-    } catch (_) {
-      // ignore
+      await request();
+    } catch (e) {
+      setStatus({ error: true, text: 'Something went wrong. Please try again.' });
     } finally {
-      setUser(null);
-      navigation.navigate('Tabs', { screen: 'Login' });
+      setSaving('');
+    }
+  };
+
+  const handleSaveName = () => submit('name', setNameStatus, async () => {
+    const data = await postAccount('/api/account/name', { firstName, lastName });
+    setNameStatus({ error: !data.ok, text: data.message || 'Could not update your name.' });
+    if (data.ok) {
+      setUser((prev) => ({ ...prev, firstName: data.firstName, lastName: data.lastName }));
+      refreshUser();
+    }
+  });
+
+  const handleRequestEmail = () => submit('email', setEmailStatus, async () => {
+    const data = await postAccount('/api/account/email', { newEmail, currentPassword: emailPassword });
+    setEmailStatus({ error: !data.ok, text: data.message || 'Could not send a confirmation code.' });
+    if (data.ok) {
+      setEmailPassword('');
+      setPendingEmail(data.pendingEmail);
     }
+  });
+
+  const handleConfirmEmail = () => submit('email', setEmailStatus, async () => {
+    const data = await postAccount('/api/account/email/confirm', { code: emailCode });
+    setEmailStatus({ error: !data.ok, text: data.message || 'Could not confirm your new email.' });
+    if (data.ok) {
+      setPendingEmail('');
+      setEmailCode('');
+      setNewEmail('');
+      setUser((prev) => ({ ...prev, email: data.email, emailVerified: true }));
+      refreshUser();
+    }
+  });
+
+  const cancelEmailChange = () => {
+    setPendingEmail('');
+    setEmailCode('');
+    setEmailStatus(null);
+  };
+
+  const handleChangePassword = () => submit('password', setPasswordStatus, async () => {
+    const data = await postAccount('/api/account/password', { currentPassword, newPassword });
+    setPasswordStatus({ error: !data.ok, text: data.message || 'Could not change your password.' });
+    if (data.ok) {
+      setCurrentPassword('');
+      setNewPassword('');
+      // Every other login was revoked, this one included; the response carries its replacement.
+      if (data.accessToken) await signInWithTokens(data);
+    }
+  });
+
+  const changeSubscription = (action) => submit(action, setSubscriptionStatus, async () => {
+    const data = await postAccount(`/api/subscription/${action}`, {});
+    setSubscriptionStatus({ error: !data.ok, text: data.message || 'Could not update your subscription.' });
+    if (data.ok) {
+      await fetchData();
+      refreshUser();
+    }
+  });
+
+  const handleCancelSubscription = () => {
+    Alert.alert(
+      'Cancel subscription?',
+      'You can keep listening until the end of the current billing period.',
+      [
+        { text: 'Keep Subscription', style: 'cancel' },
+        { text: 'Cancel Subscription', style: 'destructive', onPress: () => changeSubscription('cancel') }
+      ]
+    );
+  };
+
+  // Card changes, invoices and plan changes happen in Stripe's portal; reload when it closes.
+  const handleBillingPortal = () => submit('portal', setSubscriptionStatus, async () => {
+    const data = await postAccount('/api/billing-portal', {});
+    if (!data.ok || !data.url) {
+      setSubscriptionStatus({ error: true, text: data.message || 'Could not open billing.' });
+      return;
+    }
+    await WebBrowser.openBrowserAsync(data.url);
+    await fetchData();
+    refreshUser();
+  });
+
+  // The export arrives as JSON and goes to the share sheet, so it can be saved to Files, mailed, etc.
+  const handleExport = () => submit('export', setExportStatus, async () => {
+    const res = await apiFetch('/api/account/export', { cache: 'no-store' });
+    const text = await res.text();
+    if (!res.ok) {
+      let message = 'Could not export your data.';
+      try { message = JSON.parse(text).message || message; } catch (_) { /* not JSON */ }
+      setExportStatus({ error: true, text: message });
+      return;
+    }
+    await Share.share({ title: 'RaceScan data export', message: text });
+  });
+
+  const deleteAccount = () => submit('delete', setDeleteStatus, async () => {
+    const data = await postAccount('/api/account/delete', { currentPassword: deletePassword });
+    if (!data.ok) {
+      setDeleteStatus({ error: true, text: data.message || 'Could not delete your account.' });
+      return;
+    }
+    await logout();
+    setUser(null);
+    navigation.navigate('Tabs', { screen: 'Login' });
+  });
+
+  const handleDelete = () => {
+    Alert.alert(
+      'Delete account?',
+      'Your day passes will be removed and any subscription canceled. This cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: deleteAccount }
+      ]
+    );
   };
 
   const renderPass = ({ item }) => {
@@ -81,6 +254,7 @@ export default function AccountScreen({ navigation }) {
   };
 
   const loggedIn = !!user;
+  const isUnlimited = !!user?.subscribed && user?.subscriptionPlan === 'unlimited';
   const verificationOk = !!(user?.emailVerified || user?.phoneVerified);
 
   const goToVerify = () => {
@@ -144,10 +318,32 @@ export default function AccountScreen({ navigation }) {
                 <Text style={styles.label}>Status</Text>
                 <Text style={styles.value}>{user.subscriptionStatus || '—'}</Text>
               </View>
+              {user.cancelAtPeriodEnd && (
+                <Text style={[styles.badge, styles.badgeWarn, styles.noticeBadge]}>Cancels at period end</Text>
+              )}
               <View style={styles.row}>
-                <Text style={styles.label}>Next Billing</Text>
+                <Text style={styles.label}>{user.cancelAtPeriodEnd ? 'Access Ends' : 'Next Billing'}</Text>
                 <Text style={styles.value}>{formatDate(user.nextBillingDate)}</Text>
               </View>
+              <FormStatus status={subscriptionStatus} />
+              {(isUnlimited || user.hasBillingAccount) && (
+                <View style={styles.actions}>
+                  {isUnlimited && (user.cancelAtPeriodEnd ? (
+                    <TouchableOpacity style={styles.button} onPress={() => changeSubscription('resume')} disabled={!!saving} activeOpacity={0.9}>
+                      {saving === 'resume' ? <ActivityIndicator color="#fff" /> : <Text style={styles.buttonText}>Resume</Text>}
+                    </TouchableOpacity>
+                  ) : (
+                    <TouchableOpacity style={[styles.button, styles.buttonGhost]} onPress={handleCancelSubscription} disabled={!!saving}>
+                      {saving === 'cancel' ? <ActivityIndicator color="#fff" /> : <Text style={styles.buttonText}>Cancel Plan</Text>}
+                    </TouchableOpacity>
+                  ))}
+                  {user.hasBillingAccount && (
+                    <TouchableOpacity style={[styles.button, styles.buttonGhost]} onPress={handleBillingPortal} disabled={!!saving}>
+                      {saving === 'portal' ? <ActivityIndicator color="#fff" /> : <Text style={styles.buttonText}>Manage Billing</Text>}
+                    </TouchableOpacity>
+                  )}
+                </View>
+              )}
               <View style={styles.actions}>
                 <TouchableOpacity style={[styles.button, styles.buttonGhost]} onPress={() => navigation.navigate('Tabs', { screen: 'Schedule' })}>
                   <Text style={styles.buttonText}>View Schedule</Text>
@@ -178,6 +374,79 @@ export default function AccountScreen({ navigation }) {
               )}
             </View>
 
+            <View style={styles.card}>
+              <Text style={styles.sectionLabel}>Name</Text>
+              <Field label="First Name" value={firstName} onChangeText={setFirstName} autoCapitalize="words" maxLength={100} />
+              <Field label="Last Name" value={lastName} onChangeText={setLastName} autoCapitalize="words" maxLength={100} />
+              <FormStatus status={nameStatus} />
+              <TouchableOpacity style={styles.button} onPress={handleSaveName} disabled={!!saving} activeOpacity={0.9}>
+                {saving === 'name' ? <ActivityIndicator color="#fff" /> : <Text style={styles.buttonText}>Save Name</Text>}
+              </TouchableOpacity>
+            </View>
+
+            <View style={styles.card}>
+              <Text style={styles.sectionLabel}>Email Address</Text>
+              {pendingEmail ? (
+                <>
+                  <Field
+                    label={`Code sent to ${pendingEmail}`}
+                    value={emailCode}
+                    onChangeText={setEmailCode}
+                    keyboardType="number-pad"
+                    maxLength={6}
+                    textContentType="oneTimeCode"
+                  />
+                  <FormStatus status={emailStatus} />
+                  <View style={styles.actions}>
+                    <TouchableOpacity style={[styles.button, styles.buttonGhost]} onPress={cancelEmailChange} disabled={!!saving}>
+                      <Text style={styles.buttonText}>Cancel</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity style={styles.button} onPress={handleConfirmEmail} disabled={!!saving} activeOpacity={0.9}>
+                      {saving === 'email' ? <ActivityIndicator color="#fff" /> : <Text style={styles.buttonText}>Confirm Email</Text>}
+                    </TouchableOpacity>
+                  </View>
+                </>
+              ) : (
+                <>
+                  <Field label="New Email" value={newEmail} onChangeText={setNewEmail} keyboardType="email-address" />
+                  <Field label="Current Password" value={emailPassword} onChangeText={setEmailPassword} secureTextEntry />
+                  <FormStatus status={emailStatus} />
+                  <TouchableOpacity style={styles.button} onPress={handleRequestEmail} disabled={!!saving} activeOpacity={0.9}>
+                    {saving === 'email' ? <ActivityIndicator color="#fff" /> : <Text style={styles.buttonText}>Send Confirmation Code</Text>}
+                  </TouchableOpacity>
+                </>
+              )}
+            </View>
+
+            <View style={styles.card}>
+              <Text style={styles.sectionLabel}>Password</Text>
+              <Field label="Current Password" value={currentPassword} onChangeText={setCurrentPassword} secureTextEntry />
+              <Field label="New Password" value={newPassword} onChangeText={setNewPassword} secureTextEntry />
+              <FormStatus status={passwordStatus} />
+              <TouchableOpacity style={styles.button} onPress={handleChangePassword} disabled={!!saving} activeOpacity={0.9}>
+                {saving === 'password' ? <ActivityIndicator color="#fff" /> : <Text style={styles.buttonText}>Change Password</Text>}
+              </TouchableOpacity>
+            </View>
+
+            <View style={styles.card}>
+              <Text style={styles.sectionLabel}>Your Data</Text>
+              <Text style={styles.label}>Get a copy of your profile, verification status, day passes, promo codes, billing history, and listening history.</Text>
+              <FormStatus status={exportStatus} />
+              <TouchableOpacity style={[styles.button, styles.buttonGhost]} onPress={handleExport} disabled={!!saving} activeOpacity={0.9}>
+                {saving === 'export' ? <ActivityIndicator color="#fff" /> : <Text style={styles.buttonText}>Export My Data</Text>}
+              </TouchableOpacity>
+            </View>
+
+            <View style={[styles.card, styles.dangerCard]}>
+              <Text style={styles.sectionLabel}>Delete Account</Text>
+              <Text style={styles.label}>Permanently removes your account and day passes and cancels any active subscription.</Text>
+              <Field label="Current Password" value={deletePassword} onChangeText={setDeletePassword} secureTextEntry />
+              <FormStatus status={deleteStatus} />
+              <TouchableOpacity style={[styles.button, styles.buttonDanger]} onPress={handleDelete} disabled={!!saving || !deletePassword} activeOpacity={0.9}>
+                {saving === 'delete' ? <ActivityIndicator color={colors.accent} /> : <Text style={[styles.buttonText, styles.buttonDangerText]}>Delete My Account</Text>}
+              </TouchableOpacity>
+            </View>
+
             <TouchableOpacity style={[styles.button, styles.logoutBtn]} onPress={handleLogout} activeOpacity={0.9}>
               <Text style={styles.buttonText}>Log Out</Text>
             </TouchableOpacity>
@@ -270,6 +539,9 @@ const styles = StyleSheet.create({
   linkBadge: {
     textDecorationLine: 'underline'
   },
+  noticeBadge: {
+    alignSelf: 'flex-start'
+  },
   logoutBtn: {
     backgroundColor: colors.border,
     borderColor: colors.border
@@ -278,6 +550,34 @@ const styles = StyleSheet.create({
     color: colors.accent,
     fontWeight: '700'
   },
+  success: {
+    color: colors.success,
+    fontWeight: '700'
+  },
+  field: {
+    gap: spacing.xs
+  },
+  input: {
+    backgroundColor: colors.card,
+    color: colors.textPrimary,
+    borderRadius: radius.md,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    borderWidth: 1,
+    borderColor: colors.border,
+    fontSize: 15
+  },
+  dangerCard: {
+    borderColor: colors.accentAlt
+  },
+  buttonDanger: {
+    backgroundColor: 'transparent',
+    borderWidth: 1,
+    borderColor: colors.accent
+  },
+  buttonDangerText: {
+    color: colors.accent
+  },
   passCard: {
     backgroundColor: colors.card,
     borderRadius: radius.sm,
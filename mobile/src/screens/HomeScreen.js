@@ -1,10 +1,11 @@
-import React, { useEffect, useMemo, useState, useCallback } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import { Image, ScrollView, StyleSheet, Text, TouchableOpacity, View, Linking } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
-import { useNavigation, useFocusEffect } from '@react-navigation/native';
+import { useNavigation } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
 import { colors, spacing, radius } from '../theme';
 import NavBar from '../components/NavBar';
+import { useAuth } from '../auth';
 
 const API_BASE = 'https://racescan.racing';
 
@@ -28,84 +29,38 @@ const CTAButton = ({ label, onPress, variant }) => (
   </TouchableOpacity>
 );
 
-const parseEvents = (csvText = '') => {
-  const lines = csvText.trim().split('\n').filter(Boolean);
-  if (!lines.length) return [];
-  const headers = lines[0].split(',').map((h) => h.trim().toLowerCase());
-  const findIdx = (...candidates) => {
-    const set = candidates.map((c) => c.toLowerCase());
-    return headers.findIndex((h) => set.includes(h));
-  };
-  const idx = {
-    raceId: findIdx('raceid', 'event', 'race_id', 'race'),
-    track: findIdx('name', 'track'),
-    location: findIdx('location', 'city'),
-    date: findIdx('date'),
-    time: findIdx('time'),
-    klass: findIdx('class')
-  };
-  const events = [];
-  lines.slice(1).forEach((line) => {
-    // handle quoted commas by splitting on CSV-ish regex
-    const cols = line.match(/(".*?"|[^",]+)(?=,|$)/g)?.map((c) => c.replace(/^"|"$/g, '').trim()) || [];
-    if (!cols.length) return;
-    const raceId = idx.raceId >= 0 ? cols[idx.raceId] : cols[0];
-    const track = idx.track >= 0 ? cols[idx.track] : (cols[1] || 'TBD');
-    const location = idx.location >= 0 ? cols[idx.location] : '';
-    const date = idx.date >= 0 ? cols[idx.date] : cols[3];
-    const time = idx.time >= 0 ? cols[idx.time] : cols[4];
-    if (!date || !time) return;
-    let klass = idx.klass >= 0 ? (cols[idx.klass] || '').toUpperCase() : '';
-    if (!klass) {
-      if (/(^|\\s|-)LMSC(\\s|$)/i.test(track)) klass = 'LMSC';
-      else if (/(^|\\s|-)PLM(\\s|$)/i.test(track)) klass = 'PLM';
-      else if (/(^|\\s|-)SMT(\\s|$)/i.test(track)) klass = 'SMT';
-    }
-    const start = new Date(`${date}T${time}:00-05:00`);
-    events.push({ raceId, track, location, start, classType: klass });
-  });
-  return events;
-};
+const toEvent = (evt) => (evt ? {
+  raceId: evt.raceId,
+  track: evt.track || 'TBD',
+  location: evt.location,
+  start: new Date(evt.startsAt),
+  classType: String(evt.classType || '').toUpperCase()
+} : null);
 
-const computeLiveInfo = (events) => {
-  const now = new Date();
-  const active = events.filter((evt) => {
-    const pre = new Date(evt.start.getTime() - 30 * 60 * 1000);
-    const end = new Date(evt.start.getTime() + 6 * 60 * 60 * 1000);
-    return pre <= now && now <= end;
-  });
-  const upcoming = events
-    .filter((e) => e.start > now)
-    .sort((a, b) => a.start - b.start);
-  const next = upcoming[0] || null;
-  const live = active.length > 0;
-  const eventLabel = live ? (active[0]?.track || 'Live event') : (next?.track || 'Next event');
-  const current = live ? active[0] : null;
-  return { live, eventLabel, next, current };
+// /api/live decides what is live; the screen only maps it for display.
+const toLiveInfo = (payload) => {
+  const current = payload?.live ? toEvent(payload.events?.[0]) : null;
+  const next = toEvent(payload?.next);
+  const eventLabel = current ? (current.track || 'Live event') : (next?.track || 'Next event');
+  return { live: !!current, eventLabel, next, current };
 };
 
 export default function HomeScreen() {
   const navigation = useNavigation();
   const [liveInfo, setLiveInfo] = useState({ live: false, eventLabel: 'Checking...', next: null, current: null });
-  const [auth, setAuth] = useState({ loggedIn: false, subscribed: false });
+  const session = useAuth();
+  const auth = { loggedIn: session.loggedIn, subscribed: !!session.user?.subscribed };
   const [now, setNow] = useState(new Date());
 
   useEffect(() => {
     let mounted = true;
     const load = async () => {
       try {
-        const res = await fetch(`${API_BASE}/events/events.csv?ts=${Date.now()}`);
-        const text = await res.text();
-        if (mounted) setLiveInfo(computeLiveInfo(parseEvents(text)));
-      } catch (_) {
-        if (mounted) setLiveInfo({ live: false, eventLabel: 'Schedule unavailable' });
-      }
-      try {
-        const res = await fetch(`${API_BASE}/api/user-info`, { credentials: 'include', cache: 'no-store' });
+        const res = await fetch(`${API_BASE}/api/live`, { cache: 'no-store' });
         const data = await res.json();
-        if (mounted) setAuth({ loggedIn: !!data.success, subscribed: !!data.subscribed });
+        if (mounted) setLiveInfo(toLiveInfo(data));
       } catch (_) {
-        if (mounted) setAuth({ loggedIn: false, subscribed: false });
+        if (mounted) setLiveInfo({ live: false, eventLabel: 'Schedule unavailable' });
       }
     };
     load();
@@ -116,15 +71,6 @@ export default function HomeScreen() {
     };
   }, []);
 
-  useFocusEffect(
-    useCallback(() => {
-      fetch(`${API_BASE}/api/user-info`, { credentials: 'include', cache: 'no-store' })
-        .then((res) => res.json())
-        .then((data) => setAuth({ loggedIn: !!data?.success, subscribed: !!data?.subscribed }))
-        .catch(() => setAuth({ loggedIn: false, subscribed: false }));
-    }, [])
-  );
-
   const cta = useMemo(() => {
     if (liveInfo.live) {
       return { label: auth.subscribed ? 'Listen Now!' : 'Subscribe', variant: 'primary', action: () => auth.subscribed ? navigation.navigate('Tabs', { screen: 'Live' }) : navigation.navigate('Subscribe') };
@@ -1,16 +1,41 @@
 import React, { useEffect, useMemo, useState, useRef, useCallback } from 'react';
-import { ActivityIndicator, FlatList, Image, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import { ActivityIndicator, FlatList, Image, Platform, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { Audio } from 'expo-av';
+import * as SecureStore from 'expo-secure-store';
 import { useFocusEffect } from '@react-navigation/native';
 import Screen from '../components/Screen';
 import { colors, spacing, radius } from '../theme';
 import NavBar from '../components/NavBar';
+import { apiFetch, getAccessToken, refreshUser } from '../auth';
 
 const API_BASE = 'https://racescan.racing';
-// Stream through nginx /icecast/ proxy (HTTPS). Keep everything on HTTPS to avoid ATS/network issues.
+// Live audio only plays through the /api/stream proxy, which checks the listener's access per request;
+// raw Icecast mounts would skip that check. Keep everything on HTTPS to avoid ATS/network issues.
 const STREAM_PROXY = 'https://racescan.racing/api/stream?mount=';
-const STREAM_ORIGINS = [API_BASE, 'https://www.racescan.racing'];
+// Recorded races: /api/archive lists them, /api/archive/:eventId/:driverId plays one.
+const ARCHIVE_URL = `${API_BASE}/api/archive`;
+
+// Data saver plays the Opus/AAC variant /api/mounts lists under a driver's mount. iOS can't play Ogg Opus.
+const QUALITY_KEY = 'racescan.streamQuality';
+const QUALITY_OPTIONS = [
+  { value: 'auto', label: 'Auto' },
+  { value: 'high', label: 'High' },
+  { value: 'saver', label: 'Data saver' }
+];
+const PREFERRED_CODECS = Platform.OS === 'ios' ? ['aac'] : ['opus', 'aac'];
+// Auto quality steps down after MAX_STALLS rebuffers within STALL_WINDOW_MS, or when the buffer fills
+// slower than MIN_FILL_RATE seconds of audio per second, measured over FILL_SAMPLE_MS of playback.
+const STALL_WINDOW_MS = 60 * 1000;
+const MAX_STALLS = 2;
+const MIN_FILL_RATE = 0.9;
+const FILL_SAMPLE_MS = 15 * 1000;
+// Scan mode hops between live drivers using the voice activity /api/mounts reports, checked every
+// SCAN_REFRESH_MS while scanning. It stays on a driver for the hang time after they stop talking.
+const SCAN_KEY = 'racescan.scan';
+const SCAN_REFRESH_MS = 1000;
+const HANG_OPTIONS = [1, 2, 3, 5, 10];
+const DEFAULT_SCAN_SETTINGS = { hangSeconds: 3, lockouts: [], priorities: [] };
 
 const fallbackDrivers = [
   { number: '62', name: 'Keelen Harvick', classType: 'SMT' },
@@ -18,30 +43,6 @@ const fallbackDrivers = [
   { number: '28', name: 'Landon S. Huffman', classType: 'LMSC' }
 ];
 
-const parseCsvRow = (line = '') => {
-  const out = [];
-  let cur = '';
-  let inQ = false;
-  for (let i = 0; i < line.length; i++) {
-    const ch = line[i];
-    if (ch === '"') {
-      if (inQ && line[i + 1] === '"') {
-        cur += '"';
-        i++;
-      } else {
-        inQ = !inQ;
-      }
-    } else if (ch === ',' && !inQ) {
-      out.push(cur.trim());
-      cur = '';
-    } else {
-      cur += ch;
-    }
-  }
-  out.push(cur.trim());
-  return out;
-};
-
 const slugify = (value = '', fallback = '') => {
   const v = String(value || '')
     .trim()
@@ -67,33 +68,75 @@ const normalizeMountBase = (mountPath = '') => {
   return sanitized.startsWith('/icecast/') ? sanitized.replace(/^\/icecast/, '') : sanitized;
 };
 
-const buildStreamCandidates = ({ mountPath, sessionId }) => {
+// With a data-saver `variant`, its URLs come first and the MP3 mount stays as the fallback.
+const buildStreamCandidates = ({ mountPath, sessionId, variant }) => {
   const base = normalizeMountBase(mountPath);
   if (!base) return [];
-  const primary = `/icecast${base}`;
-  const fallback = base;
-  const paths = [primary, fallback];
-  const extensions = ['.mp3'];
-  const candidates = [];
-
-  STREAM_ORIGINS.forEach((origin) => {
-    paths.forEach((path) => {
-      extensions.forEach((ext) => {
-        const withExt = path.endsWith(ext) ? path : `${path}${ext}`;
-        candidates.push(`${origin}${withExt}`);
-      });
-    });
+  const variantExt = variant ? variant.mount.slice(variant.mount.lastIndexOf('.')) : null;
+  const extensions = variantExt ? [variantExt, '.mp3'] : ['.mp3'];
+  return extensions.map((ext) => {
+    const encodedMount = encodeURIComponent(`/icecast${base}${ext}`);
+    return sessionId ? `${STREAM_PROXY}${encodedMount}&sid=${encodeURIComponent(sessionId)}` : `${STREAM_PROXY}${encodedMount}`;
   });
+};
 
-  if (sessionId) {
-    const encodedMount = encodeURIComponent(primary.endsWith('.mp3') ? primary : `${primary}.mp3`);
-    candidates.unshift(`${STREAM_PROXY}${encodedMount}&sid=${encodeURIComponent(sessionId)}`);
-  } else {
-    const encodedMount = encodeURIComponent(primary.endsWith('.mp3') ? primary : `${primary}.mp3`);
-    candidates.unshift(`${STREAM_PROXY}${encodedMount}`);
+const pickVariant = (variants = []) => {
+  for (const codec of PREFERRED_CODECS) {
+    const match = variants.find((variant) => variant.codec === codec);
+    if (match) return match;
   }
+  return null;
+};
 
-  return Array.from(new Set(candidates));
+const isVariantUrl = (url, variant) => !!variant && decodeURIComponent(url).includes(variant.mount);
+
+// The driver scan should play next: a talking priority driver takes over from anyone but another
+// talking priority driver; otherwise stay put while the current driver talks or the hang time runs,
+// then move to the next driver in the list who is talking. Nobody talking: stay put.
+const pickScanDriver = ({ channels, currentPath, heardAt, settings, now = Date.now() }) => {
+  const current = channels.find((d) => d.activePath === currentPath) || null;
+  const isPriority = (d) => settings.priorities.includes(d.activePath);
+  const priority = channels.find((d) => isPriority(d) && d.transmitting);
+  if (priority && !(current && isPriority(current) && current.transmitting)) return priority;
+  if (current && (current.transmitting || now - heardAt < settings.hangSeconds * 1000)) return current;
+  const start = current ? channels.indexOf(current) : -1;
+  for (let i = 1; i <= channels.length; i++) {
+    const driver = channels[(start + i) % channels.length];
+    if (driver.transmitting) return driver;
+  }
+  return current;
+};
+
+// Counts rebuffers and how fast the buffer fills while live audio plays.
+const createStallMonitor = () => ({ started: false, wasBuffering: false, stalls: [], sampleAt: 0, samplePlayable: 0 });
+
+const isStruggling = (monitor, status, now = Date.now()) => {
+  if (!status?.isLoaded) return false;
+  if (status.isPlaying) monitor.started = true;
+  if (!monitor.started) return false;
+
+  if (status.isBuffering && !monitor.wasBuffering) {
+    monitor.stalls = monitor.stalls.filter((at) => now - at < STALL_WINDOW_MS).concat(now);
+  }
+  monitor.wasBuffering = !!status.isBuffering;
+  if (monitor.stalls.length >= MAX_STALLS) return true;
+
+  if (!status.isPlaying && !status.isBuffering) {
+    // Stopped by the listener: the buffer isn't meant to be filling.
+    monitor.sampleAt = 0;
+    return false;
+  }
+  if (!Number.isFinite(status.playableDurationMillis)) return false;
+  if (!monitor.sampleAt) {
+    monitor.sampleAt = now;
+    monitor.samplePlayable = status.playableDurationMillis;
+    return false;
+  }
+  if (now - monitor.sampleAt < FILL_SAMPLE_MS) return false;
+  const rate = (status.playableDurationMillis - monitor.samplePlayable) / (now - monitor.sampleAt);
+  monitor.sampleAt = now;
+  monitor.samplePlayable = status.playableDurationMillis;
+  return rate < MIN_FILL_RATE;
 };
 
 const withCacheBuster = (url) => {
@@ -126,10 +169,10 @@ const pickStatusFields = (status) => {
   };
 };
 
-const probeStreamUrl = async (url) => {
+const probeStreamUrl = async (url, headers = {}) => {
   if (!url) return;
   try {
-    const res = await fetch(url, { method: 'HEAD', cache: 'no-store' });
+    const res = await fetch(url, { method: 'HEAD', cache: 'no-store', headers });
     logProbe('HEAD', {
       url,
       status: res.status,
@@ -143,122 +186,88 @@ const probeStreamUrl = async (url) => {
   }
 };
 
-const normalizeClassList = (value) => {
-  if (!value) return [];
-  if (Array.isArray(value)) return value.map((v) => String(v || '').toUpperCase()).filter(Boolean);
-  const cleaned = String(value || '')
-    .replace(/[\[\]]/g, '')
-    .split(/[,/|;]/)
-    .map((v) => v.trim().toUpperCase())
-    .filter(Boolean);
-  if (cleaned.length) return cleaned;
-  const tokens = String(value).match(/[A-Za-z]+/g) || [];
-  return tokens.map((t) => t.toUpperCase());
+// One card per class entry: a driver running two classes has a separate mount for each.
+const toDrivers = (payload) => {
+  const drivers = payload?.drivers || [];
+  if (!drivers.length) return fallbackDrivers;
+  return drivers.flatMap((driver) =>
+    driver.classes.map((entry) => ({
+      id: driver.id,
+      number: entry.number,
+      name: driver.name,
+      classType: entry.classType,
+      classList: [entry.classType],
+      plainMount: entry.mount,
+      icecastMount: `/icecast${entry.mount}`,
+      logo: entry.logo,
+      frequency: entry.frequencyHz ? String(entry.frequencyHz) : ''
+    }))
+  );
 };
 
-const parseDrivers = (csvText) => {
-  if (!csvText) return fallbackDrivers;
-  const lines = csvText.split(/\r?\n/).filter(Boolean);
-  if (lines.length < 2) return fallbackDrivers;
-  const header = lines[0].split(',').map((h) => h.trim().toLowerCase());
-  const idx = {
-    number: header.indexOf('driver number'),
-    name: header.indexOf('driver name'),
-    klass: header.indexOf('class'),
-    logo: header.indexOf('number_logo'),
-    freq: header.indexOf('frequency_1 (hz)')
-  };
-  return lines.slice(1).map((line) => {
-    const cols = parseCsvRow(line);
-    const number = idx.number >= 0 ? cols[idx.number] : cols[0];
-    const name = idx.name >= 0 ? cols[idx.name] : cols[1];
-    const classRaw = idx.klass >= 0 ? cols[idx.klass] : cols[5];
-    const classList = normalizeClassList(classRaw);
-    const classType = classList[0] || '';
-    const classSlug = slugify(classType, 'class');
-    const numberSlug = slugify(number, 'na');
-    const nameSlug = slugify(name || number, 'driver');
-    const baseSlug = `${classSlug}-${numberSlug}-${nameSlug}`;
-    const plainMount = `/${baseSlug}.mp3`;
-    const icecastMount = `/icecast${plainMount}`;
-    const logo = idx.logo >= 0 ? cols[idx.logo] : '';
-    const frequency = idx.freq >= 0 ? cols[idx.freq] : '';
-    return { number, name, classType, classList, plainMount, icecastMount, logo, frequency };
-  });
-};
+// How often the list re-checks /api/mounts (served from the backend's single Icecast poller).
+const MOUNT_REFRESH_MS = 15 * 1000;
 
-const parseActiveMounts = (statusJson) => {
-  const set = new Set();
-  const src = statusJson?.icestats?.source;
-  const arr = Array.isArray(src) ? src : src ? [src] : [];
-  arr.forEach((s) => {
-    const listen = s.listenurl || s.listen_url || '';
-    let path = '';
-    try {
-      const u = new URL(listen);
-      path = u.pathname || '';
-    } catch {
-      const m = (String(listen).match(/\/[A-Za-z0-9_-]+\.mp3$/) || [])[0] || '';
-      path = m;
-    }
-    if (path && path.endsWith('.mp3')) set.add(path);
-  });
-  return set;
-};
+const parseActiveMounts = (mountsJson) => new Set((mountsJson?.mounts || []).map((m) => m.mount).filter(Boolean));
 
-const parseEvents = (csvText) => {
-  if (!csvText) return [];
-  const lines = csvText.split(/\r?\n/).filter(Boolean);
-  if (lines.length < 2) return [];
-  const header = lines[0].split(',').map((h) => h.trim().toLowerCase());
-  const idx = {
-    raceId: header.indexOf('raceid'),
-    track: header.indexOf('track'),
-    date: header.indexOf('date'),
-    time: header.indexOf('time'),
-    klass: header.indexOf('class')
+const parseMountVariants = (mountsJson) => new Map((mountsJson?.mounts || []).map((m) => [m.mount, m.variants || []]));
+
+// Only mounts the server measures have voice activity; scan mode needs it.
+const parseMountVoice = (mountsJson) => new Map((mountsJson?.mounts || []).filter((m) => m.voice).map((m) => [m.mount, m.voice]));
+
+const withMountStatus = (driverList, activeMounts, variantsByMount = new Map(), voiceByMount = new Map()) => driverList.map((d) => {
+  let activePath = null;
+  if (activeMounts.has(d.plainMount)) activePath = d.plainMount;
+  else if (activeMounts.has(d.icecastMount)) activePath = d.icecastMount;
+  if (!activePath) {
+    const hint = `${d.classType}-${slugify(d.number)}`.toLowerCase();
+    const alt = Array.from(activeMounts).find((m) => m.toLowerCase().includes(hint));
+    if (alt) activePath = alt;
+  }
+  if (!activePath) {
+    activePath = d.plainMount; // fall back to computed mount so we can attempt play
+  }
+  const hasLiveMount = activeMounts.size === 0 ? true : activeMounts.has(activePath);
+  const voice = voiceByMount.get(activePath);
+  return {
+    ...d,
+    isActive: hasLiveMount,
+    activePath,
+    variants: variantsByMount.get(activePath) || [],
+    voiceMeasured: !!voice,
+    transmitting: !!voice?.active
   };
-  const events = [];
-  lines.slice(1).forEach((line) => {
-    const cols = parseCsvRow(line);
-    const raceId = idx.raceId >= 0 ? cols[idx.raceId] : cols[0];
-    const track = idx.track >= 0 ? cols[idx.track] : cols[1];
-    const date = idx.date >= 0 ? cols[idx.date] : cols[3];
-    const time = idx.time >= 0 ? cols[idx.time] : cols[4];
-    let klass = idx.klass >= 0 ? (cols[idx.klass] || '').toUpperCase() : '';
-    if (!klass) {
-      if (/(^|\\s|-)LMSC(\\s|$)/i.test(track)) klass = 'LMSC';
-      else if (/(^|\\s|-)PLM(\\s|$)/i.test(track)) klass = 'PLM';
-      else if (/(^|\\s|-)SMT(\\s|$)/i.test(track)) klass = 'SMT';
-    }
-    const baseStart = new Date(`${date}T${time}:00-05:00`);
-    if (!klass) {
-      events.push({ raceId: `${raceId}-PLM`, classType: 'PLM', track, start: baseStart });
-      events.push({ raceId: `${raceId}-LMSC`, classType: 'LMSC', track, start: new Date(baseStart.getTime() + 2 * 3600 * 1000) });
-    } else {
-      events.push({ raceId, classType: klass, track, start: baseStart });
-    }
-  });
-  return events;
+});
+
+// /api/live decides what is live; the screen only maps it for display.
+const toLiveInfo = (payload) => {
+  const live = !!payload?.live;
+  const current = live ? payload.events?.[0] : null;
+  const eventLabel = live ? (current?.track || 'Live event') : (payload?.next?.track || 'Next event');
+  const activeClasses = (payload?.activeClasses || []).map((c) => String(c).toUpperCase());
+  const activeRaceId = live ? payload.raceId : null;
+  const activeClass = live ? String(payload.classType || activeClasses[0] || '').toUpperCase() || null : null;
+  return { live, eventLabel, activeClasses, activeRaceId, activeClass };
 };
 
-const computeLiveInfo = (events) => {
-  const now = new Date();
-  const active = events.filter((evt) => {
-    const start = new Date(evt.start.getTime());
-    const pre = new Date(start.getTime() - 30 * 60 * 1000);
-    const end = new Date(start.getTime() + 6 * 60 * 60 * 1000);
-    return pre <= now && now <= end;
+// One entry per recorded race (the API lists newest first) with the drivers heard in it.
+const toReplayEvents = (payload) => {
+  const byEvent = new Map();
+  (payload?.recordings || []).forEach((rec) => {
+    if (!byEvent.has(rec.eventId)) {
+      byEvent.set(rec.eventId, {
+        raceId: rec.eventId,
+        label: `${rec.track || rec.eventId}${rec.date ? ` • ${rec.date}` : ''}`,
+        classType: String(rec.classType || '').toUpperCase(),
+        driverIds: new Set()
+      });
+    }
+    byEvent.get(rec.eventId).driverIds.add(rec.driverId);
   });
-  const live = active.length > 0;
-  const eventLabel = live ? (active[0]?.track || 'Live event') : (events[0]?.track || 'Next event');
-  const activeClasses = Array.from(new Set(active.map((a) => a.classType).filter(Boolean)));
-  const activeRaceId = live ? active[0]?.raceId : null;
-  const activeClass = live ? active[0]?.classType || activeClasses[0] : null;
-  return { live, eventLabel, activeClasses, activeRaceId, activeClass };
+  return Array.from(byEvent.values());
 };
 
-const DriverCard = ({ driver, onPress, locked }) => {
+const DriverCard = ({ driver, onPress, locked, scan }) => {
   const canPlay = driver.isActive && !locked;
   const logoUri = driver.logo ? `${API_BASE}${driver.logo}` : null;
   return (
@@ -273,8 +282,25 @@ const DriverCard = ({ driver, onPress, locked }) => {
         </View>
         <View style={{ flex: 1 }}>
           <Text style={styles.driverName}>{driver.name}</Text>
-          <Text style={styles.driverClass}>{driver.classType || 'Driver'}</Text>
+          <Text style={styles.driverClass}>
+            {driver.classType || 'Driver'}
+            {driver.transmitting ? <Text style={styles.onAirText}>  • On air</Text> : null}
+          </Text>
         </View>
+        {scan ? (
+          <View style={styles.scanToggles}>
+            <TouchableOpacity onPress={() => scan.onToggle('priorities', driver)} hitSlop={8}>
+              <Ionicons name={scan.priority ? 'star' : 'star-outline'} size={18} color={scan.priority ? colors.accent : colors.textSecondary} />
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => scan.onToggle('lockouts', driver)} hitSlop={8}>
+              <Ionicons
+                name={scan.lockedOut ? 'remove-circle' : 'remove-circle-outline'}
+                size={18}
+                color={scan.lockedOut ? colors.accent : colors.textSecondary}
+              />
+            </TouchableOpacity>
+          </View>
+        ) : null}
         {locked ? (
           <View style={styles.lockWrap}>
             <Ionicons name="lock-closed" size={16} color={colors.textSecondary} />
@@ -300,37 +326,50 @@ export default function LiveScreen({ navigation, route }) {
   const [lastError, setLastError] = useState('');
   const [currentDriver, setCurrentDriver] = useState(null);
   const [activeClass, setActiveClass] = useState(null);
-  const [authState, setAuthState] = useState({ loggedIn: false, subscribed: false, hasDayPass: false });
+  const [authState, setAuthState] = useState({ loggedIn: false, canListen: false });
   const [sessionId, setSessionId] = useState(null);
   const soundRef = useRef(null);
   const [query, setQuery] = useState('');
   const [classFilter, setClassFilter] = useState('ALL');
+  const [replayEvents, setReplayEvents] = useState([]);
+  const [replayEvent, setReplayEvent] = useState(null);
+  const [quality, setQuality] = useState('auto');
+  const [activeVariant, setActiveVariant] = useState(null);
+  const [scanning, setScanning] = useState(false);
+  const [scanSettings, setScanSettings] = useState(DEFAULT_SCAN_SETTINGS);
+  // Callbacks from expo-av outlive renders, so they read quality and the driver list through refs.
+  const qualityRef = useRef({ setting: 'auto', lowered: false });
+  const streamDriverRef = useRef(null);
+  const driversRef = useRef(drivers);
+  const stallMonitorRef = useRef(null);
+  const stepDownRef = useRef(null);
+  const scanRef = useRef({ heardAt: 0, switching: false });
+  driversRef.current = drivers;
 
+  // The server's entitlement check decides: an Unlimited subscription or a paid day pass for this race.
   const fetchAccess = async (raceId) => {
-    let state = { loggedIn: false, subscribed: false, hasDayPass: false };
+    let state = { loggedIn: false, canListen: false };
     try {
-      const [infoRes, sessRes] = await Promise.all([
-        fetch(`${API_BASE}/api/user-info`, { credentials: 'include', cache: 'no-store' }),
+      const [auth, sessRes] = await Promise.all([
+        refreshUser(),
         fetch(`${API_BASE}/api/session`, { credentials: 'include', cache: 'no-store' })
       ]);
-      const data = await infoRes.json();
       const sess = await sessRes.json().catch(() => ({}));
-      if (sess?.sessionId) setSessionId(sess.sessionId);
-      state = { loggedIn: !!data.success, subscribed: !!data.subscribed, hasDayPass: false };
-      if (state.loggedIn && raceId) {
+      // Only cookie sessions (signup/verification flows) have an ID; token logins use the Bearer header.
+      if (sess?.loggedIn && sess.sessionId) setSessionId(sess.sessionId);
+      state = { loggedIn: auth.loggedIn, canListen: false };
+      if (state.loggedIn) {
         try {
-          const passRes = await fetch(`${API_BASE}/api/user-day-passes`, { credentials: 'include', cache: 'no-store' });
-          const passData = await passRes.json();
-          if (passData?.passes) {
-            state.hasDayPass = passData.passes.some((p) => String(p.event_id).toUpperCase() === String(raceId).toUpperCase());
-          }
+          const accessRes = await apiFetch(`/api/entitlements?eventId=${encodeURIComponent(raceId || '')}`, { cache: 'no-store' });
+          const accessData = await accessRes.json();
+          state.canListen = !!(accessData?.success && accessData.allowed);
         } catch {
-          state.hasDayPass = false;
+          state.canListen = false;
         }
       }
       setAuthState(state);
     } catch {
-      state = { loggedIn: false, subscribed: false, hasDayPass: false };
+      state = { loggedIn: false, canListen: false };
       setAuthState(state);
     }
     return state;
@@ -371,45 +410,59 @@ export default function LiveScreen({ navigation, route }) {
       }
     };
     applyAudioMode();
+    SecureStore.getItemAsync(QUALITY_KEY)
+      .then((stored) => {
+        if (isMounted && QUALITY_OPTIONS.some((option) => option.value === stored)) {
+          qualityRef.current = { setting: stored, lowered: false };
+          setQuality(stored);
+        }
+      })
+      .catch(() => {
+        // keep auto quality
+      });
+    SecureStore.getItemAsync(SCAN_KEY)
+      .then((stored) => {
+        const parsed = stored ? JSON.parse(stored) : null;
+        if (isMounted && parsed) {
+          setScanSettings({
+            hangSeconds: Number(parsed.hangSeconds) > 0 ? Number(parsed.hangSeconds) : DEFAULT_SCAN_SETTINGS.hangSeconds,
+            lockouts: Array.isArray(parsed.lockouts) ? parsed.lockouts : [],
+            priorities: Array.isArray(parsed.priorities) ? parsed.priorities : []
+          });
+        }
+      })
+      .catch(() => {
+        // keep the default scan settings
+      });
 
     const load = async () => {
       try {
-        const [eventRes, driverRes, iceRes] = await Promise.all([
-          fetch(`${API_BASE}/events/events.csv?ts=${Date.now()}`),
-          fetch(`${API_BASE}/drivers/drivers.csv?ts=${Date.now()}`),
-          fetch(`${API_BASE}/icecast/status-json.xsl`, { cache: 'no-store' })
+        const [liveRes, driverRes, mountsRes] = await Promise.all([
+          fetch(`${API_BASE}/api/live`, { cache: 'no-store' }),
+          fetch(`${API_BASE}/api/drivers`, { cache: 'no-store' }),
+          fetch(`${API_BASE}/api/mounts`, { cache: 'no-store' })
         ]);
-        const [eventText, driverText, iceJson] = await Promise.all([eventRes.text(), driverRes.text(), iceRes.json()]);
+        const [liveJson, driverJson, mountsJson] = await Promise.all([liveRes.json(), driverRes.json(), mountsRes.json()]);
         if (!isMounted) return;
-        const parsedEvents = parseEvents(eventText);
-        const liveMeta = computeLiveInfo(parsedEvents);
+        const liveMeta = toLiveInfo(liveJson);
         setLiveInfo(liveMeta);
         setActiveClass(liveMeta.activeClass || null);
         const accessState = await fetchAccess(liveMeta.activeRaceId);
-        const parsedDrivers = parseDrivers(driverText);
-        const activeMounts = parseActiveMounts(iceJson);
+        const parsedDrivers = toDrivers(driverJson);
+        const activeMounts = parseActiveMounts(mountsJson);
         console.log('Active mounts', Array.from(activeMounts));
-        const enrichedDrivers = (parsedDrivers.length ? parsedDrivers : fallbackDrivers).map((d) => {
-          let activePath = null;
-          if (activeMounts.has(d.plainMount)) activePath = d.plainMount;
-          else if (activeMounts.has(d.icecastMount)) activePath = d.icecastMount;
-          if (!activePath) {
-            const hint = `${d.classType}-${slugify(d.number)}`.toLowerCase();
-            const alt = Array.from(activeMounts).find((m) => m.toLowerCase().includes(hint));
-            if (alt) activePath = alt;
-          }
-          if (!activePath) {
-            activePath = d.plainMount; // fall back to computed mount so we can attempt play
-          }
-          const hasLiveMount = activeMounts.size === 0 ? true : activeMounts.has(activePath);
-          return { ...d, isActive: hasLiveMount, activePath };
-        });
+        const enrichedDrivers = withMountStatus(
+          parsedDrivers.length ? parsedDrivers : fallbackDrivers,
+          activeMounts,
+          parseMountVariants(mountsJson),
+          parseMountVoice(mountsJson)
+        );
         setDrivers(enrichedDrivers);
         const firstActive = enrichedDrivers.find((d) => d.isActive);
-        const allowPlay = liveMeta.live && !listOnly && accessState.loggedIn && (accessState.subscribed || accessState.hasDayPass);
+        const allowPlay = liveMeta.live && !listOnly && accessState.loggedIn && accessState.canListen;
         if (firstActive && allowPlay) {
-          const mount = firstActive.activePath || firstActive.plainMount;
-          const candidates = buildStreamCandidates({ mountPath: mount, sessionId });
+          const { candidates } = streamFor(firstActive);
+          streamDriverRef.current = firstActive;
           setStreamCandidates(candidates);
           setStreamUrl(candidates[0] || '');
         } else {
@@ -427,6 +480,14 @@ export default function LiveScreen({ navigation, route }) {
       }
     };
     load();
+    fetch(ARCHIVE_URL, { cache: 'no-store' })
+      .then((res) => res.json())
+      .then((json) => {
+        if (isMounted) setReplayEvents(toReplayEvents(json));
+      })
+      .catch(() => {
+        // no replays offered until the archive is reachable
+      });
     return () => {
       isMounted = false;
       if (soundRef.current) {
@@ -435,10 +496,28 @@ export default function LiveScreen({ navigation, route }) {
     };
   }, [listOnly]);
 
+  useEffect(() => {
+    const timer = setInterval(async () => {
+      try {
+        const res = await fetch(`${API_BASE}/api/mounts`, { cache: 'no-store' });
+        const mountsJson = await res.json();
+        setDrivers((prev) =>
+          withMountStatus(prev, parseActiveMounts(mountsJson), parseMountVariants(mountsJson), parseMountVoice(mountsJson))
+        );
+      } catch {
+        // keep the last known status until the next tick
+      }
+    }, scanning ? SCAN_REFRESH_MS : MOUNT_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [scanning]);
+
+  // Replays are only offered between races, on the Live tab.
+  const isReplay = !listOnly && !liveInfo.live && !!replayEvent;
+
   useFocusEffect(
     useCallback(() => {
-      fetchAccess(liveInfo.activeRaceId || null);
-    }, [liveInfo.activeRaceId])
+      fetchAccess((isReplay && replayEvent.raceId) || liveInfo.activeRaceId || null);
+    }, [liveInfo.activeRaceId, isReplay, replayEvent])
   );
 
   const statusColor = useMemo(() => (liveInfo.live ? colors.success : colors.warning), [liveInfo.live]);
@@ -468,6 +547,10 @@ export default function LiveScreen({ navigation, route }) {
   const filteredDrivers = useMemo(() => {
     const trimmed = query.toLowerCase().replace(/\s+/g, ' ').trim();
     return drivers.filter((d) => {
+      if (isReplay) {
+        if (!replayEvent.driverIds.has(d.id)) return false;
+        if (replayEvent.classType && String(d.classType || '').toUpperCase() !== replayEvent.classType) return false;
+      }
       if (liveInfo.live && liveInfo.activeClasses?.length) {
         const allowed = new Set(liveInfo.activeClasses.map((c) => String(c || '').toUpperCase()));
         const classes = d.classList && d.classList.length ? d.classList : [d.classType];
@@ -486,9 +569,49 @@ export default function LiveScreen({ navigation, route }) {
       const queryCompact = trimmed.replace(/\s+/g, '');
       return name.includes(trimmed) || nameCompact.includes(queryCompact) || number.includes(trimmed);
     });
-  }, [drivers, classFilter, query]);
+  }, [drivers, classFilter, query, isReplay, replayEvent]);
 
-  const loadAndPlay = async (candidates) => {
+  // Live drivers in the list that aren't locked out, one per mount, in list order.
+  const scanChannels = useMemo(() => {
+    const seen = new Set();
+    return filteredDrivers.filter((d) => {
+      if (!d.isActive || seen.has(d.activePath) || scanSettings.lockouts.includes(d.activePath)) return false;
+      seen.add(d.activePath);
+      return true;
+    });
+  }, [filteredDrivers, scanSettings.lockouts]);
+  const scanAvailable = drivers.some((d) => d.isActive && d.voiceMeasured);
+
+  // Runs on every mount refresh while scanning (every SCAN_REFRESH_MS).
+  useEffect(() => {
+    if (!scanning || scanRef.current.switching) return;
+    const currentPath = streamDriverRef.current?.activePath || null;
+    const current = scanChannels.find((d) => d.activePath === currentPath);
+    if (current?.transmitting) scanRef.current.heardAt = Date.now();
+    const next = pickScanDriver({ channels: scanChannels, currentPath, heardAt: scanRef.current.heardAt, settings: scanSettings });
+    if (!next) {
+      if (currentPath) stopSound();
+      return;
+    }
+    // A channel that failed to play stays quiet until scan moves on, rather than retrying every tick.
+    if (next.activePath === currentPath && (playing || playStatus === 'error')) return;
+    console.log('Scan tuning to', next.activePath);
+    scanRef.current = { heardAt: Date.now(), switching: true };
+    setCurrentDriver(next);
+    playDriver(next).finally(() => {
+      scanRef.current.switching = false;
+    });
+  }, [scanning, scanChannels, scanSettings]);
+
+  // Candidates for a live driver at the current quality setting, and the data-saver variant they start with.
+  const streamFor = (driver) => {
+    const { setting, lowered } = qualityRef.current;
+    const variant = setting === 'saver' || (setting === 'auto' && lowered) ? pickVariant(driver.variants) : null;
+    const mountPath = driver.activePath || driver.plainMount;
+    return { candidates: buildStreamCandidates({ mountPath, sessionId, variant }), variant };
+  };
+
+  const loadAndPlay = async (candidates, { live = true, variant = null } = {}) => {
     const urls = Array.isArray(candidates) ? candidates : [candidates].filter(Boolean);
     if (!urls.length) return;
     if (soundRef.current) {
@@ -499,17 +622,31 @@ export default function LiveScreen({ navigation, route }) {
       try {
         setPlayStatus('loading');
         setLastError('');
-        const liveUrl = withCacheBuster(url);
+        // Recordings are plain files; only the live mounts need a cache buster.
+        const liveUrl = live ? withCacheBuster(url) : url;
         console.log('Attempting stream', liveUrl);
-        await probeStreamUrl(liveUrl);
+        // The /api/stream proxy and the archive check access per request, so they get a fresh access token.
+        const needsToken = url.startsWith(STREAM_PROXY) || url.startsWith(ARCHIVE_URL);
+        const token = needsToken ? await getAccessToken() : null;
+        const headers = { Accept: 'audio/*', ...(token ? { Authorization: `Bearer ${token}` } : {}) };
+        await probeStreamUrl(liveUrl, token ? { Authorization: headers.Authorization } : {});
         const { sound } = await Audio.Sound.createAsync(
-          { uri: liveUrl, headers: { Accept: 'audio/mpeg' } },
-          { shouldPlay: true, isLiveStream: true },
+          { uri: liveUrl, headers },
+          { shouldPlay: true, isLiveStream: live },
           null,
           false
         );
+        const monitor = live ? createStallMonitor() : null;
+        stallMonitorRef.current = monitor;
         sound.setOnPlaybackStatusUpdate((status) => {
           logProbe('Playback status', pickStatusFields(status));
+          if (!live && status.didJustFinish) {
+            setPlaying(false);
+            setPlayStatus('finished');
+          }
+          if (monitor && stallMonitorRef.current === monitor && isStruggling(monitor, status)) {
+            stepDownRef.current?.();
+          }
         });
         await sound.setIsMutedAsync(false);
         await sound.setVolumeAsync(1.0);
@@ -519,6 +656,7 @@ export default function LiveScreen({ navigation, route }) {
         setPlaying(true);
         setPlayStatus('playing');
         setStreamUrl(liveUrl);
+        setActiveVariant(isVariantUrl(url, variant) ? variant : null);
         return;
       } catch (e) {
         const message = e?.message || String(e);
@@ -539,31 +677,155 @@ export default function LiveScreen({ navigation, route }) {
 
   const handleTogglePlayback = async () => {
     if (!streamUrl) return;
+    // A replay pauses where it is rather than dropping the connection like live audio.
+    if (isReplay && soundRef.current) {
+      if (playing) {
+        await soundRef.current.pauseAsync().catch(() => {});
+        setPlaying(false);
+        setPlayStatus('paused');
+      } else {
+        const resume = playStatus === 'finished' ? soundRef.current.replayAsync() : soundRef.current.playAsync();
+        await resume.catch(() => {});
+        setPlaying(true);
+        setPlayStatus('playing');
+      }
+      return;
+    }
     if (soundRef.current && playing) {
       await soundRef.current.stopAsync().catch(() => {});
       setPlaying(false);
       setPlayStatus('idle');
+      setScanning(false);
+      return;
+    }
+    const driver = streamDriverRef.current;
+    if (driver) {
+      await playDriver(driver);
       return;
     }
     await loadAndPlay(streamCandidates.length ? streamCandidates : streamUrl);
   };
 
+  const playDriver = async (driver) => {
+    const { candidates, variant } = streamFor(driver);
+    streamDriverRef.current = driver;
+    setStreamCandidates(candidates);
+    setStreamUrl(candidates[0] || '');
+    await loadAndPlay(candidates, { variant });
+  };
+
+  // Auto quality only steps down: live audio arrives in real time, so there's no spare throughput to
+  // measure a way back up. Picking High tries full quality again.
+  stepDownRef.current = async () => {
+    const current = streamDriverRef.current;
+    if (!current || qualityRef.current.setting !== 'auto' || qualityRef.current.lowered) return;
+    const driver = driversRef.current.find((d) => d.activePath === current.activePath) || current;
+    if (!pickVariant(driver.variants)) return;
+    console.log('Weak connection; switching to data saver for', driver.activePath);
+    qualityRef.current = { ...qualityRef.current, lowered: true };
+    stallMonitorRef.current = null;
+    await playDriver(driver);
+  };
+
+  const handleSelectQuality = async (value) => {
+    qualityRef.current = { setting: value, lowered: false };
+    setQuality(value);
+    SecureStore.setItemAsync(QUALITY_KEY, value).catch(() => {});
+    const current = streamDriverRef.current;
+    if (playing && !isReplay && current) {
+      const driver = driversRef.current.find((d) => d.activePath === current.activePath) || current;
+      await playDriver(driver);
+    }
+  };
+
+  const saveScanSettings = (next) => {
+    setScanSettings(next);
+    SecureStore.setItemAsync(SCAN_KEY, JSON.stringify(next)).catch(() => {});
+  };
+
+  const handleToggleScanList = (list, driver) => {
+    const current = scanSettings[list];
+    const next = current.includes(driver.activePath)
+      ? current.filter((path) => path !== driver.activePath)
+      : [...current, driver.activePath];
+    saveScanSettings({ ...scanSettings, [list]: next });
+  };
+
+  const handleToggleScan = () => {
+    scanRef.current = { heardAt: 0, switching: false };
+    setScanning((on) => !on);
+  };
+
+  const stopSound = async () => {
+    if (soundRef.current) {
+      await soundRef.current.unloadAsync().catch(() => {});
+      soundRef.current = null;
+    }
+    setPlaying(false);
+    setPlayStatus('idle');
+    setStreamUrl('');
+    setStreamCandidates([]);
+    setCurrentDriver(null);
+    setLastError('');
+    setActiveVariant(null);
+    streamDriverRef.current = null;
+    stallMonitorRef.current = null;
+  };
+
+  // Tapping the selected race again closes replay mode.
+  const handleSelectReplayEvent = async (event) => {
+    await stopSound();
+    const next = replayEvent?.raceId === event.raceId ? null : event;
+    setReplayEvent(next);
+    setClassFilter('ALL');
+    fetchAccess(next ? next.raceId : liveInfo.activeRaceId || null);
+  };
+
+  const handlePlayReplay = async (driver) => {
+    if (!authState.loggedIn || !authState.canListen) return;
+    const url = `${ARCHIVE_URL}/${encodeURIComponent(replayEvent.raceId)}/${driver.id}`;
+    streamDriverRef.current = null;
+    setStreamCandidates([url]);
+    setStreamUrl(url);
+    setCurrentDriver(driver);
+    await loadAndPlay([url], { live: false });
+  };
+
   const handleSelectDriver = async (driver) => {
-    const hasAccess = authState.loggedIn && (authState.subscribed || authState.hasDayPass);
+    if (isReplay) {
+      await handlePlayReplay(driver);
+      return;
+    }
+    const hasAccess = authState.loggedIn && authState.canListen;
     if (listOnly || !liveInfo.live) return;
     if (!driver?.isActive || !hasAccess) return;
-    const mount = driver.activePath || driver.plainMount;
-    const candidates = buildStreamCandidates({ mountPath: mount, sessionId });
-    console.log('Switching stream to', mount, 'candidates', candidates);
-    setStreamCandidates(candidates);
-    setStreamUrl(candidates[0] || '');
+    // Picking a driver holds on them, like a scanner's hold button.
+    setScanning(false);
+    console.log('Switching stream to', driver.activePath || driver.plainMount);
     setCurrentDriver(driver);
-    await loadAndPlay(candidates);
+    await playDriver(driver);
   };
 
-  const hasAccess = authState.loggedIn && (authState.subscribed || authState.hasDayPass);
+  const hasAccess = authState.loggedIn && authState.canListen;
+  let qualityNote = '';
+  if (activeVariant) {
+    const reason = quality === 'auto' ? ' for a weak connection' : '';
+    qualityNote = `Data saver${reason}: ${activeVariant.codec.toUpperCase()} ${activeVariant.bitrate} kbps`;
+  } else if (quality === 'saver' && playing) {
+    qualityNote = 'Data saver isn’t available for this driver yet, so this is full quality.';
+  }
   const derivedListOnly = listOnly || !liveInfo.live;
   const showPlayer = !derivedListOnly;
+  const scanControls = showPlayer && hasAccess;
+  // currentDriver is the list entry from when it was picked; its on-air state comes from the latest refresh.
+  const currentOnAir = !!currentDriver && drivers.some((d) => d.activePath === currentDriver.activePath && d.transmitting);
+  let scanNote = '';
+  if (scanning) {
+    const onAir = scanChannels.filter((d) => d.transmitting).map((d) => `#${d.number}`);
+    scanNote = onAir.length ? `On air: ${onAir.join(', ')}` : 'Nobody is talking.';
+  } else if (scanControls && !scanAvailable) {
+    scanNote = 'Scan is unavailable: voice activity isn’t being reported right now.';
+  }
 
   return (
     <Screen>
@@ -604,8 +866,11 @@ export default function LiveScreen({ navigation, route }) {
                   <Text style={styles.infoValue}>{classFilter}</Text>
                 </View>
                 <View style={styles.selectedCard}>
-                  <Text style={styles.selectedLabel}>Selected</Text>
-                  <Text style={styles.selectedName}>{currentDriver?.name || 'Tap a live driver'}</Text>
+                  <Text style={styles.selectedLabel}>{scanning ? 'Scanning' : 'Selected'}</Text>
+                  <Text style={styles.selectedName}>
+                    {currentDriver?.name || (scanning ? 'Waiting for someone to talk' : 'Tap a live driver')}
+                    {currentOnAir ? <Text style={styles.onAirText}>  • On air</Text> : null}
+                  </Text>
                 </View>
                 <TouchableOpacity
                   style={[
@@ -628,6 +893,46 @@ export default function LiveScreen({ navigation, route }) {
                     {hasAccess ? (playing ? 'Pause' : 'Listen In') : (authState.loggedIn ? 'Subscribe to Listen' : 'Login to Listen')}
                   </Text>
                 </TouchableOpacity>
+                {hasAccess ? (
+                  <View style={[styles.chips, styles.qualityChips]}>
+                    {QUALITY_OPTIONS.map((option) => (
+                      <TouchableOpacity
+                        key={option.value}
+                        onPress={() => handleSelectQuality(option.value)}
+                        style={[styles.chip, quality === option.value && styles.chipSelected]}
+                        activeOpacity={0.85}
+                      >
+                        <Text style={[styles.chipText, quality === option.value && styles.chipTextSelected]}>{option.label}</Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                ) : null}
+                {qualityNote ? <Text style={styles.notice}>{qualityNote}</Text> : null}
+                {hasAccess ? (
+                  <View style={[styles.chips, styles.qualityChips]}>
+                    <TouchableOpacity
+                      onPress={handleToggleScan}
+                      disabled={!scanAvailable && !scanning}
+                      style={[styles.chip, scanning && styles.chipSelected, !scanAvailable && !scanning && styles.listenBtnDisabled]}
+                      activeOpacity={0.85}
+                    >
+                      <Text style={[styles.chipText, scanning && styles.chipTextSelected]}>{scanning ? 'Stop scan' : 'Scan'}</Text>
+                    </TouchableOpacity>
+                    {HANG_OPTIONS.map((seconds) => (
+                      <TouchableOpacity
+                        key={seconds}
+                        onPress={() => saveScanSettings({ ...scanSettings, hangSeconds: seconds })}
+                        style={[styles.chip, scanSettings.hangSeconds === seconds && styles.chipSelected]}
+                        activeOpacity={0.85}
+                      >
+                        <Text style={[styles.chipText, scanSettings.hangSeconds === seconds && styles.chipTextSelected]}>
+                          {`Hang ${seconds}s`}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                ) : null}
+                {scanNote ? <Text style={styles.notice}>{scanNote}</Text> : null}
                 {streamUrl && hasAccess && (
                   <Text style={styles.notice}>
                     Status: {playStatus}{streamUrl ? ` • ${streamUrl.replace(API_BASE, '')}` : ''}
@@ -645,6 +950,65 @@ export default function LiveScreen({ navigation, route }) {
                   <Text style={styles.notice}>Login and subscribe or use a day pass for this race to listen.</Text>
                 ) : null}
               </View>
+            ) : !listOnly && replayEvents.length ? (
+              <View style={styles.infoCard}>
+                <Text style={styles.selectedLabel}>Race Replays</Text>
+                <View style={[styles.chips, styles.replayChips]}>
+                  {replayEvents.map((event) => {
+                    const selected = replayEvent?.raceId === event.raceId;
+                    return (
+                      <TouchableOpacity
+                        key={event.raceId}
+                        onPress={() => handleSelectReplayEvent(event)}
+                        style={[styles.chip, selected && styles.chipSelected]}
+                        activeOpacity={0.85}
+                      >
+                        <Text style={[styles.chipText, selected && styles.chipTextSelected]}>{event.label}</Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+                {isReplay ? (
+                  <>
+                    <View style={styles.selectedCard}>
+                      <Text style={styles.selectedLabel}>Replay</Text>
+                      <Text style={styles.selectedName}>{currentDriver?.name || 'Tap a driver to replay their radio'}</Text>
+                    </View>
+                    <TouchableOpacity
+                      style={[
+                        styles.listenBtn,
+                        hasAccess && !streamUrl && styles.listenBtnDisabled,
+                        !hasAccess && styles.listenBtnGhost
+                      ]}
+                      onPress={
+                        hasAccess
+                          ? handleTogglePlayback
+                          : authState.loggedIn
+                            ? () => navigation.navigate('Subscribe', { returnTo: { stack: 'Tabs', params: { screen: 'Live' } } })
+                            : () => navigation.navigate('Login')
+                      }
+                      activeOpacity={0.9}
+                      disabled={hasAccess && !streamUrl}
+                    >
+                      <Ionicons name={hasAccess ? (playing ? 'pause' : 'play') : 'lock-closed'} color="#fff" size={16} />
+                      <Text style={styles.listenText}>
+                        {hasAccess ? (playing ? 'Pause' : 'Play Replay') : (authState.loggedIn ? 'Subscribe to Listen' : 'Login to Listen')}
+                      </Text>
+                    </TouchableOpacity>
+                    {streamUrl && hasAccess ? <Text style={styles.notice}>Status: {playStatus}</Text> : null}
+                    {lastError ? (
+                      <Text style={styles.notice} selectable>
+                        Last error: {lastError}
+                      </Text>
+                    ) : null}
+                    {!hasAccess && authState.loggedIn ? (
+                      <Text style={styles.notice}>Replays need a subscription or a day pass for that race.</Text>
+                    ) : null}
+                  </>
+                ) : (
+                  <Text style={styles.notice}>Pick a race to hear any driver’s radio from it.</Text>
+                )}
+              </View>
             ) : (
               <Text style={styles.notice}>Streaming controls appear when a live event is active.</Text>
             )}
@@ -678,14 +1042,29 @@ export default function LiveScreen({ navigation, route }) {
                 </View>
               </>
             )}
-            <Text style={styles.listHeading}>{showPlayer ? 'Drivers' : 'All Drivers'}</Text>
+            <Text style={styles.listHeading}>{showPlayer || isReplay ? 'Drivers' : 'All Drivers'}</Text>
             {loading ? (
               <ActivityIndicator size="small" color={colors.accent} style={{ marginTop: spacing.md }} />
             ) : (
           <FlatList
             data={filteredDrivers}
             keyExtractor={(item, index) => `${item.number}-${index}`}
-            renderItem={({ item }) => <DriverCard driver={item} onPress={handleSelectDriver} locked={showPlayer && !hasAccess} />}
+            renderItem={({ item }) => (
+              <DriverCard
+                driver={isReplay ? { ...item, isActive: true } : item}
+                onPress={handleSelectDriver}
+                locked={(showPlayer || isReplay) && !hasAccess}
+                scan={
+                  scanControls
+                    ? {
+                      priority: scanSettings.priorities.includes(item.activePath),
+                      lockedOut: scanSettings.lockouts.includes(item.activePath),
+                      onToggle: handleToggleScanList
+                    }
+                    : null
+                }
+              />
+            )}
             contentContainerStyle={styles.list}
           />
         )}
@@ -838,6 +1217,14 @@ const styles = StyleSheet.create({
   chipSelected: {
     borderColor: colors.accent
   },
+  replayChips: {
+    marginTop: spacing.sm,
+    marginBottom: 0
+  },
+  qualityChips: {
+    marginTop: spacing.sm,
+    marginBottom: 0
+  },
   chipLive: {
     backgroundColor: 'rgba(255,77,77,0.1)'
   },
@@ -899,6 +1286,15 @@ const styles = StyleSheet.create({
     color: colors.textSecondary,
     marginTop: 2
   },
+  onAirText: {
+    color: colors.accent,
+    fontWeight: '700'
+  },
+  scanToggles: {
+    flexDirection: 'row',
+    gap: spacing.sm,
+    marginRight: spacing.sm
+  },
   statusDot: {
     width: 12,
     height: 12,
@@ -3,8 +3,7 @@ import { ActivityIndicator, Keyboard, KeyboardAvoidingView, Platform, StyleSheet
 import Screen from '../components/Screen';
 import NavBar from '../components/NavBar';
 import { colors, spacing, radius } from '../theme';
-
-const API_HOSTS = ['https://racescan.racing', 'https://www.racescan.racing'];
+import { login } from '../auth';
 
 export default function LoginScreen({ navigation }) {
   const [email, setEmail] = useState('');
@@ -23,37 +22,16 @@ export default function LoginScreen({ navigation }) {
     setError('');
     setMessage('');
     try {
-      let lastErr;
-      for (const host of API_HOSTS) {
-        try {
-          const res = await fetch(`${host}/login`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            credentials: 'include',
-            body: JSON.stringify({ email, password })
-          });
-          const text = await res.text();
-          let data = {};
-          try { data = text ? JSON.parse(text) : {}; } catch { data = { message: text }; }
-
-          if (res.ok) {
-            setMessage(data.message || 'Logged in');
-            setError('');
-            setTimeout(() => navigation.navigate('Tabs', { screen: 'Home' }), 800);
-            return;
-          } else {
-            const fallback = res.status === 429 ? 'Too many attempts. Please try again soon.' : 'Login failed.';
-            setError(data.message || fallback);
-            return;
-          }
-        } catch (err) {
-          console.error(`Login request failed for host ${host}`, err);
-          lastErr = err;
-        }
+      const result = await login(email, password);
+      if (result.success) {
+        setMessage(result.message);
+        setError('');
+        setTimeout(() => navigation.navigate('Tabs', { screen: 'Home' }), 800);
+      } else {
+        setError(result.message);
       }
-      setError('Network error. Please try again.');
-      if (lastErr) console.error('All login hosts failed', lastErr);
     } catch (e) {
+      console.error('Login request failed', e);
       setError('Network error. Please try again.');
     } finally {
       setLoading(false);
@@ -103,6 +81,9 @@ export default function LoginScreen({ navigation }) {
               </TouchableOpacity>
               {message ? <Text style={styles.success}>{message}</Text> : null}
               {error ? <Text style={styles.error}>{error}</Text> : null}
+              <TouchableOpacity onPress={() => navigation.navigate('PhoneEntry')} activeOpacity={0.85}>
+                <Text style={styles.link}>Sign in with a text code instead</Text>
+              </TouchableOpacity>
               <TouchableOpacity onPress={() => navigation.navigate('PhoneEntry')} activeOpacity={0.85}>
                 <Text style={styles.link}>Don’t have an account? Sign up</Text>
               </TouchableOpacity>
@@ -15,8 +15,11 @@ import {
 import Screen from '../components/Screen';
 import NavBar from '../components/NavBar';
 import { colors, spacing, radius } from '../theme';
+import { API_BASE } from '../auth';
 
-const API_HOSTS = ['https://racescan.racing', 'https://www.racescan.racing'];
+const API_HOSTS = process.env.EXPO_PUBLIC_API_BASE
+  ? [API_BASE]
+  : ['https://racescan.racing', 'https://www.racescan.racing'];
 
 const parseResponse = async (res) => {
   const raw = await res.text();
@@ -80,13 +83,7 @@ export default function PhoneEntryScreen({ navigation }) {
           return;
         }
 
-        if (checkData.exists) {
-          setMessage('');
-          setError('Account exists. Go to Login?');
-          setLoading(false);
-          return;
-        }
-
+        // Registered numbers sign in with the code; new numbers go on to create an account.
         // Send SMS code
         const smsRes = await fetch(`${host}/api/sms/send-code`, {
           method: 'POST',
@@ -97,7 +94,7 @@ export default function PhoneEntryScreen({ navigation }) {
         const { data: smsData, raw: smsRaw, status: smsStatus } = await parseResponse(smsRes);
         if (smsRes.ok) {
           setLoading(false);
-          navigation.navigate('SmsCode', { phone: normalizedPhone });
+          navigation.navigate('SmsCode', { phone: normalizedPhone, existingAccount: !!checkData.exists });
           return;
         } else {
           console.log('SMS send failed', { host, status: smsStatus, raw: smsRaw });
@@ -128,7 +125,7 @@ export default function PhoneEntryScreen({ navigation }) {
           <ScrollView contentContainerStyle={styles.container} keyboardShouldPersistTaps="handled">
             <View style={styles.card}>
               <Text style={styles.title}>Start with your phone</Text>
-              <Text style={styles.subtitle}>We’ll text you a code to begin sign up.</Text>
+              <Text style={styles.subtitle}>We’ll text you a code to sign in or create your account.</Text>
 
               <Text style={styles.label}>Phone Number</Text>
               <TextInput
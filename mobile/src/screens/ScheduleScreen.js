@@ -6,69 +6,15 @@ import { colors, spacing, radius } from '../theme';
 
 const API_BASE = 'https://racescan.racing';
 
-const parseCsvRow = (line = '') => {
-  const out = [];
-  let cur = '';
-  let inQ = false;
-  for (let i = 0; i < line.length; i++) {
-    const ch = line[i];
-    if (ch === '"') {
-      if (inQ && line[i + 1] === '"') {
-        cur += '"';
-        i++;
-      } else {
-        inQ = !inQ;
-      }
-    } else if (ch === ',' && !inQ) {
-      out.push(cur.trim());
-      cur = '';
-    } else {
-      cur += ch;
-    }
-  }
-  out.push(cur.trim());
-  return out;
-};
-
-const parseEvents = (csvText) => {
-  if (!csvText) return [];
-  const lines = csvText.split(/\r?\n/).filter(Boolean);
-  if (lines.length < 2) return [];
-  const header = lines[0].split(',').map((h) => h.trim().toLowerCase());
-  const idx = {
-    raceId: header.indexOf('raceid'),
-    track: header.indexOf('track'),
-    location: header.indexOf('location'),
-    date: header.indexOf('date'),
-    time: header.indexOf('time'),
-    klass: header.indexOf('class')
-  };
-
-  const events = [];
-  lines.slice(1).forEach((line) => {
-    const cols = parseCsvRow(line);
-    const raceId = idx.raceId >= 0 ? cols[idx.raceId] : cols[0];
-    const track = idx.track >= 0 ? cols[idx.track] : cols[1];
-    const location = idx.location >= 0 ? cols[idx.location] : cols[2];
-    const date = idx.date >= 0 ? cols[idx.date] : cols[3];
-    const time = idx.time >= 0 ? cols[idx.time] : cols[4];
-    let klass = idx.klass >= 0 ? (cols[idx.klass] || '').toUpperCase() : '';
-    if (!klass) {
-      if (/(^|\s|-)LMSC(\s|$)/i.test(track)) klass = 'LMSC';
-      else if (/(^|\s|-)PLM(\s|$)/i.test(track)) klass = 'PLM';
-      else if (/(^|\s|-)SMT(\s|$)/i.test(track)) klass = 'SMT';
-    }
-    const baseStart = new Date(`${date}T${time}:00-05:00`);
-    if (!klass) {
-      events.push({ raceId: `${raceId}-PLM`, classType: 'PLM', track, location, start: baseStart });
-      events.push({ raceId: `${raceId}-LMSC`, classType: 'LMSC', track: `${track} - LMSC`, location, start: new Date(baseStart.getTime() + 2 * 3600 * 1000) });
-    } else {
-      events.push({ raceId, classType: klass, track, location, start: baseStart });
-    }
-  });
-
-  return events.sort((a, b) => a.start.getTime() - b.start.getTime());
-};
+const toEvents = (payload) => (payload?.events || [])
+  .map((evt) => ({
+    raceId: evt.raceId,
+    classType: String(evt.classType || '').toUpperCase(),
+    track: evt.track,
+    location: evt.location,
+    start: new Date(evt.startsAt)
+  }))
+  .sort((a, b) => a.start.getTime() - b.start.getTime());
 
 const isLiveWindow = (start) => {
   const now = new Date();
@@ -102,10 +48,10 @@ export default function ScheduleScreen() {
     const load = async () => {
       try {
         setLoading(true);
-        const res = await fetch(`${API_BASE}/events/events.csv?ts=${Date.now()}`);
-        const text = await res.text();
+        const res = await fetch(`${API_BASE}/api/events`, { cache: 'no-store' });
+        const data = await res.json();
         if (!isMounted) return;
-        const parsed = parseEvents(text);
+        const parsed = toEvents(data);
         setEvents(parsed);
         const classList = Array.from(new Set(parsed.map((e) => (e.classType || '').toUpperCase()).filter(Boolean)));
         setClasses(['ALL', ...classList]);
@@ -15,8 +15,11 @@ import {
 import Screen from '../components/Screen';
 import NavBar from '../components/NavBar';
 import { colors, spacing, radius } from '../theme';
+import { API_BASE, signInWithTokens } from '../auth';
 
-const API_HOSTS = ['https://racescan.racing', 'https://www.racescan.racing'];
+const API_HOSTS = process.env.EXPO_PUBLIC_API_BASE
+  ? [API_BASE]
+  : ['https://racescan.racing', 'https://www.racescan.racing'];
 
 const parseResponse = async (res) => {
   const raw = await res.text();
@@ -27,6 +30,7 @@ const parseResponse = async (res) => {
 
 export default function SmsCodeScreen({ navigation, route }) {
   const phone = route?.params?.phone || '';
+  const existingAccount = !!route?.params?.existingAccount;
   const [code, setCode] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
@@ -82,11 +86,14 @@ export default function SmsCodeScreen({ navigation, route }) {
           method: 'POST',
           headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
           credentials: 'include',
-          body: JSON.stringify({ phone, code: code.trim() })
+          body: JSON.stringify({ phone, code: code.trim(), issueTokens: true })
         });
         const { data, raw, status } = await parseResponse(res);
         if (res.ok) {
-          setMessage('Phone verified. Continue to create your account.');
+          if (data.userFound && data.accessToken) {
+            await signInWithTokens(data);
+          }
+          setMessage(data.userFound ? (data.message || 'Signed in.') : 'Phone verified. Continue to create your account.');
           setLoading(false);
           setTimeout(() => {
             if (data.userFound) {
@@ -122,7 +129,7 @@ export default function SmsCodeScreen({ navigation, route }) {
         >
           <ScrollView contentContainerStyle={styles.container} keyboardShouldPersistTaps="handled">
             <View style={styles.card}>
-              <Text style={styles.title}>Verify your phone</Text>
+              <Text style={styles.title}>{existingAccount ? 'Sign in with your phone' : 'Verify your phone'}</Text>
               <Text style={styles.subtitle}>We sent a code to {phone || 'your phone'}.</Text>
 
               <Text style={styles.label}>SMS Code</Text>
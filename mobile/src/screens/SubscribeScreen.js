@@ -1,11 +1,10 @@
 import React, { useEffect, useState } from 'react';
-import { ActivityIndicator, KeyboardAvoidingView, Platform, ScrollView, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import { ActivityIndicator, KeyboardAvoidingView, Platform, ScrollView, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
 import * as WebBrowser from 'expo-web-browser';
 import Screen from '../components/Screen';
 import NavBar from '../components/NavBar';
 import { colors, spacing, radius } from '../theme';
-
-const API_BASE = 'https://racescan.racing';
+import { apiFetch, refreshUser } from '../auth';
 
 const parseResponse = async (res) => {
   const raw = await res.text();
@@ -20,15 +19,19 @@ export default function SubscribeScreen({ navigation, route }) {
   const [message, setMessage] = useState('');
   const [loggedIn, setLoggedIn] = useState(false);
   const [checkedAuth, setCheckedAuth] = useState(false);
+  const [promoCode, setPromoCode] = useState('');
+  // The code the server accepted: discounts ride along with checkout, comp codes are redeemed here.
+  const [promo, setPromo] = useState(null);
+  const [promoStatus, setPromoStatus] = useState(null);
+  const [promoBusy, setPromoBusy] = useState(false);
 
   const returnTo = route?.params?.returnTo;
 
   useEffect(() => {
     const load = async () => {
       try {
-        const res = await fetch(`${API_BASE}/api/user-info`, { credentials: 'include', cache: 'no-store' });
-        const info = await res.json();
-        setLoggedIn(!!info?.success);
+        const { loggedIn: signedIn } = await refreshUser();
+        setLoggedIn(signedIn);
       } catch {
         setLoggedIn(false);
       }
@@ -37,6 +40,83 @@ export default function SubscribeScreen({ navigation, route }) {
     load();
   }, []);
 
+  const leaveAfterSuccess = () => {
+    setTimeout(() => {
+      if (returnTo?.stack) {
+        navigation.navigate(returnTo.stack, returnTo.params || {});
+      } else {
+        navigation.navigate('Tabs', { screen: 'Home' });
+      }
+    }, 700);
+  };
+
+  const postPromo = async (path, body) => {
+    const res = await apiFetch(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const { data } = await parseResponse(res);
+    return { ...data, ok: res.ok && data.success };
+  };
+
+  const changePromoCode = (value) => {
+    setPromoCode(value);
+    setPromo(null);
+    setPromoStatus(null);
+  };
+
+  const applyPromo = async () => {
+    if (!loggedIn) {
+      navigation.navigate('Tabs', { screen: 'Login' });
+      return;
+    }
+    if (!promoCode.trim()) return;
+    setPromoBusy(true);
+    setPromo(null);
+    setPromoStatus(null);
+    try {
+      const data = await postPromo('/api/promo-codes/check', { promoCode: promoCode.trim(), plan: 'unlimited' });
+      if (!data.ok) {
+        setPromoStatus({ error: true, text: data.message || "That code isn't valid." });
+        return;
+      }
+      setPromo(data.promo);
+      setPromoStatus({
+        error: false,
+        text: data.promo.kind === 'comp'
+          ? `${data.promo.summary}. No payment needed.`
+          : `${data.promo.summary} will be applied at checkout.`
+      });
+    } catch (err) {
+      setPromoStatus({ error: true, text: 'Network error. Please try again.' });
+    } finally {
+      setPromoBusy(false);
+    }
+  };
+
+  const redeemPromo = async () => {
+    setPromoBusy(true);
+    setError('');
+    try {
+      const data = await postPromo('/api/promo-codes/redeem', { promoCode: promo.code });
+      if (!data.ok) {
+        setPromoStatus({ error: true, text: data.message || 'This code could not be redeemed.' });
+        return;
+      }
+      setPromo(null);
+      setPromoCode('');
+      setPromoStatus(null);
+      setMessage(data.message);
+      await refreshUser();
+      leaveAfterSuccess();
+    } catch (err) {
+      setPromoStatus({ error: true, text: 'Network error. Please try again.' });
+    } finally {
+      setPromoBusy(false);
+    }
+  };
+
   const handleSubscribe = async () => {
     if (!loggedIn) {
       navigation.navigate('Tabs', { screen: 'Login' });
@@ -47,11 +127,14 @@ export default function SubscribeScreen({ navigation, route }) {
     setMessage('');
     let lastErr;
     try {
-      const res = await fetch(`${API_BASE}/api/create-checkout-session`, {
+      const res = await apiFetch('/api/create-checkout-session', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
-        credentials: 'include',
-        body: JSON.stringify({ plan: 'unlimited', source: 'mobile' })
+        body: JSON.stringify({
+          plan: 'unlimited',
+          source: 'mobile',
+          promoCode: promo && promo.kind !== 'comp' ? promo.code : undefined
+        })
       });
       const { data, raw, status } = await parseResponse(res);
       console.log('Checkout session response', { status, data, raw: raw?.slice ? raw.slice(0, 200) : raw });
@@ -67,19 +150,12 @@ export default function SubscribeScreen({ navigation, route }) {
       }
 
       // After browser closes, check subscription status
-      const checkRes = await fetch(`${API_BASE}/api/user-info`, { credentials: 'include', cache: 'no-store' });
-      const checkData = await checkRes.json();
+      const { user: checkData } = await refreshUser();
       console.log('Post-checkout user info', checkData);
       if (checkData?.subscribed) {
         setMessage('Subscription active! You can now listen live.');
         setError('');
-        setTimeout(() => {
-          if (returnTo?.stack) {
-            navigation.navigate(returnTo.stack, returnTo.params || {});
-          } else {
-            navigation.navigate('Tabs', { screen: 'Home' });
-          }
-        }, 700);
+        leaveAfterSuccess();
       } else {
         setError('Subscription not completed yet. Please finish checkout.');
       }
@@ -131,6 +207,44 @@ export default function SubscribeScreen({ navigation, route }) {
             </View>
           </View>
 
+          <View style={styles.promoCard}>
+            <Text style={styles.planTitle}>Have a promo code?</Text>
+            <View style={styles.promoRow}>
+              <TextInput
+                style={styles.promoInput}
+                value={promoCode}
+                onChangeText={changePromoCode}
+                placeholder="Enter code"
+                placeholderTextColor={colors.textSecondary}
+                autoCapitalize="characters"
+                autoCorrect={false}
+                returnKeyType="done"
+                onSubmitEditing={applyPromo}
+              />
+              <TouchableOpacity
+                style={[styles.promoButton, (promoBusy || !promoCode.trim()) && styles.buttonDisabled]}
+                onPress={applyPromo}
+                disabled={promoBusy || !promoCode.trim()}
+                activeOpacity={0.9}
+              >
+                {promoBusy && !promo ? <ActivityIndicator color="#fff" /> : <Text style={styles.buttonText}>Apply</Text>}
+              </TouchableOpacity>
+            </View>
+            {promoStatus ? (
+              <Text style={promoStatus.error ? styles.error : styles.success}>{promoStatus.text}</Text>
+            ) : null}
+            {promo?.kind === 'comp' && (
+              <TouchableOpacity
+                style={[styles.button, promoBusy && styles.buttonDisabled]}
+                onPress={redeemPromo}
+                disabled={promoBusy}
+                activeOpacity={0.9}
+              >
+                {promoBusy ? <ActivityIndicator color="#fff" /> : <Text style={styles.buttonText}>Redeem Complimentary Pass</Text>}
+              </TouchableOpacity>
+            )}
+          </View>
+
           {message ? <Text style={styles.success}>{message}</Text> : null}
           {error ? <Text style={styles.error}>{error}</Text> : null}
 
@@ -205,6 +319,36 @@ const styles = StyleSheet.create({
   buttonDisabled: {
     opacity: 0.5
   },
+  promoCard: {
+    backgroundColor: colors.surface,
+    borderRadius: radius.lg,
+    padding: spacing.lg,
+    borderWidth: 1,
+    borderColor: colors.border,
+    gap: spacing.sm
+  },
+  promoRow: {
+    flexDirection: 'row',
+    gap: spacing.sm
+  },
+  promoInput: {
+    flex: 1,
+    backgroundColor: colors.card,
+    color: colors.textPrimary,
+    borderRadius: radius.md,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    borderWidth: 1,
+    borderColor: colors.border,
+    fontSize: 15
+  },
+  promoButton: {
+    backgroundColor: colors.accent,
+    paddingHorizontal: spacing.lg,
+    borderRadius: radius.md,
+    alignItems: 'center',
+    justifyContent: 'center'
+  },
   buttonText: {
     color: '#fff',
     fontWeight: '700'
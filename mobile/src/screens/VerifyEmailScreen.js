@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { ActivityIndicator, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
 import Screen from '../components/Screen';
 import NavBar from '../components/NavBar';
@@ -6,6 +6,32 @@ import { colors, spacing, radius } from '../theme';
 
 const API_HOSTS = ['https://racescan.racing', 'https://www.racescan.racing'];
 
+// expiresAt null means "not loaded yet"; 0 means there is no live code.
+const EMPTY_STATUS = { expiresAt: null, attemptsRemaining: null, resendAt: 0 };
+
+// Folds the expiresInSeconds / attemptsRemaining / resendInSeconds fields the API returns into deadlines.
+const nextStatus = (prev, data = {}) => {
+  const now = Date.now();
+  const status = { ...prev };
+  if (typeof data.expiresInSeconds === 'number') status.expiresAt = now + data.expiresInSeconds * 1000;
+  if (typeof data.attemptsRemaining === 'number') status.attemptsRemaining = data.attemptsRemaining;
+  if (typeof data.resendInSeconds === 'number') status.resendAt = now + data.resendInSeconds * 1000;
+  if (data.pending === false || data.reason === 'missing') status.expiresAt = 0;
+  return status;
+};
+
+const secondsUntil = (time, now) => Math.max(0, Math.ceil(((time || 0) - now) / 1000));
+
+const describeStatus = (status, now) => {
+  if (status.expiresAt === null) return '';
+  const secondsLeft = secondsUntil(status.expiresAt, now);
+  if (!secondsLeft) return 'No active code. Request a new one.';
+  if (status.attemptsRemaining === 0) return 'Too many incorrect attempts. Request a new code.';
+  const clock = `${Math.floor(secondsLeft / 60)}:${String(secondsLeft % 60).padStart(2, '0')}`;
+  const attempts = status.attemptsRemaining === null ? '' : ` · ${status.attemptsRemaining} attempt(s) left`;
+  return `Code expires in ${clock}${attempts}`;
+};
+
 export default function VerifyEmailScreen({ route, navigation }) {
   const initialEmail = route?.params?.email || '';
   const initialPhone = route?.params?.phone || '';
@@ -13,10 +39,42 @@ export default function VerifyEmailScreen({ route, navigation }) {
   const [email, setEmail] = useState(initialEmail);
   const [phone, setPhone] = useState(initialPhone);
   const [smsCode, setSmsCode] = useState('');
+  const [emailCode, setEmailCode] = useState('');
+  const [emailStatus, setEmailStatus] = useState(EMPTY_STATUS);
+  const [smsStatus, setSmsStatus] = useState(EMPTY_STATUS);
+  const [now, setNow] = useState(Date.now());
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState('');
   const [error, setError] = useState('');
 
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    const loadStatus = async (purpose, setStatus) => {
+      const query = purpose === 'email_verify' && initialEmail
+        ? `purpose=${purpose}&email=${encodeURIComponent(initialEmail.trim())}`
+        : `purpose=${purpose}`;
+      for (const host of API_HOSTS) {
+        try {
+          const res = await fetch(`${host}/api/verification-status?${query}`, {
+            headers: { Accept: 'application/json' },
+            credentials: 'include'
+          });
+          const data = await res.json();
+          if (data.success) setStatus((prev) => nextStatus(prev, data));
+          return;
+        } catch (err) {
+          console.error(`Status lookup failed for host ${host}`, err);
+        }
+      }
+    };
+    if (initialChannel !== 'sms') loadStatus('email_verify', setEmailStatus);
+    loadStatus('phone_change', setSmsStatus);
+  }, [initialChannel, initialEmail]);
+
   const parseResponse = async (res) => {
     const raw = await res.text();
     let data = {};
@@ -43,6 +101,7 @@ export default function VerifyEmailScreen({ route, navigation }) {
           body: JSON.stringify({ email: email.trim() })
         });
         const { data, raw, status } = await parseResponse(res);
+        setEmailStatus((prev) => nextStatus(prev, data));
         if (res.ok) {
           setMessage(data.message || 'Verification email sent.');
           setError('');
@@ -64,6 +123,48 @@ export default function VerifyEmailScreen({ route, navigation }) {
     setLoading(false);
   };
 
+  const handleVerifyEmail = async () => {
+    if (!email || !emailCode) {
+      setError('Email and code are required.');
+      setMessage('');
+      return;
+    }
+    setLoading(true);
+    setError('');
+    setMessage('');
+    let lastErr;
+    for (const host of API_HOSTS) {
+      try {
+        const res = await fetch(`${host}/verify-code`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+          credentials: 'include',
+          body: JSON.stringify({ email: email.trim(), code: emailCode.trim() })
+        });
+        const { data, raw, status } = await parseResponse(res);
+        setEmailStatus((prev) => nextStatus(prev, data));
+        if (res.ok && data.success) {
+          setMessage('Email verified!');
+          setError('');
+          setLoading(false);
+          setTimeout(() => navigation.navigate('Tabs', { screen: 'Home' }), 600);
+          return;
+        } else {
+          console.log('Email verify failed', { host, status, raw });
+          setError(data.message || `Could not verify code. (${status}) ${raw?.slice(0, 120) || ''}`);
+          setLoading(false);
+          return;
+        }
+      } catch (err) {
+        lastErr = err;
+        console.error(`Email verify failed for host ${host}`, err);
+      }
+    }
+    setError('Network error. Please try again.');
+    if (lastErr) console.error('All email verify hosts failed', lastErr);
+    setLoading(false);
+  };
+
   const handleSendSms = async () => {
     if (!phone) {
       setError('Enter your phone number to send a code.');
@@ -83,6 +184,7 @@ export default function VerifyEmailScreen({ route, navigation }) {
           body: JSON.stringify({ phone: phone.trim() })
         });
         const { data, raw, status } = await parseResponse(res);
+        setSmsStatus((prev) => nextStatus(prev, data));
         if (res.ok) {
           setMessage(data.message || 'SMS code sent.');
           setError('');
@@ -123,6 +225,7 @@ export default function VerifyEmailScreen({ route, navigation }) {
           body: JSON.stringify({ phone: phone.trim(), code: smsCode.trim() })
         });
         const { data, raw, status } = await parseResponse(res);
+        setSmsStatus((prev) => nextStatus(prev, data));
         if (res.ok) {
           setMessage(data.message || 'Phone verified!');
           setError('');
@@ -145,6 +248,11 @@ export default function VerifyEmailScreen({ route, navigation }) {
     setLoading(false);
   };
 
+  const emailResendIn = secondsUntil(emailStatus.resendAt, now);
+  const smsResendIn = secondsUntil(smsStatus.resendAt, now);
+  const emailStatusText = describeStatus(emailStatus, now);
+  const smsStatusText = describeStatus(smsStatus, now);
+
   return (
     <Screen>
       <NavBar />
@@ -153,7 +261,7 @@ export default function VerifyEmailScreen({ route, navigation }) {
           <>
             <Text style={styles.title}>Verify your email</Text>
             <Text style={styles.subtitle}>
-              We sent a verification email. Please tap the link in your inbox to activate your account.
+              We emailed you a 6-digit code. Enter it below, or tap the link in the email to activate your account.
             </Text>
 
             <TextInput
@@ -166,8 +274,33 @@ export default function VerifyEmailScreen({ route, navigation }) {
               keyboardType="email-address"
             />
 
-            <TouchableOpacity style={styles.button} onPress={handleResend} disabled={loading} activeOpacity={0.9}>
-              {loading ? <ActivityIndicator color="#fff" /> : <Text style={styles.buttonText}>Resend Verification Email</Text>}
+            <TextInput
+              style={styles.input}
+              placeholder="Enter email code"
+              placeholderTextColor={colors.textSecondary}
+              value={emailCode}
+              onChangeText={setEmailCode}
+              keyboardType="number-pad"
+              maxLength={6}
+            />
+
+            <TouchableOpacity style={styles.button} onPress={handleVerifyEmail} disabled={loading} activeOpacity={0.9}>
+              {loading ? <ActivityIndicator color="#fff" /> : <Text style={styles.buttonText}>Verify Email Code</Text>}
+            </TouchableOpacity>
+
+            {emailStatusText ? <Text style={styles.status}>{emailStatusText}</Text> : null}
+
+            <TouchableOpacity
+              style={[styles.button, emailResendIn > 0 && styles.buttonDisabled]}
+              onPress={handleResend}
+              disabled={loading || emailResendIn > 0}
+              activeOpacity={0.9}
+            >
+              {loading ? <ActivityIndicator color="#fff" /> : (
+                <Text style={styles.buttonText}>
+                  {emailResendIn > 0 ? `Resend available in ${emailResendIn}s` : 'Resend Verification Email'}
+                </Text>
+              )}
             </TouchableOpacity>
 
             {message && !error ? <Text style={styles.success}>{message}</Text> : null}
@@ -194,8 +327,15 @@ export default function VerifyEmailScreen({ route, navigation }) {
           keyboardType="phone-pad"
         />
 
-        <TouchableOpacity style={styles.button} onPress={handleSendSms} disabled={loading} activeOpacity={0.9}>
-          {loading ? <ActivityIndicator color="#fff" /> : <Text style={styles.buttonText}>Send SMS Code</Text>}
+        <TouchableOpacity
+          style={[styles.button, smsResendIn > 0 && styles.buttonDisabled]}
+          onPress={handleSendSms}
+          disabled={loading || smsResendIn > 0}
+          activeOpacity={0.9}
+        >
+          {loading ? <ActivityIndicator color="#fff" /> : (
+            <Text style={styles.buttonText}>{smsResendIn > 0 ? `Resend available in ${smsResendIn}s` : 'Send SMS Code'}</Text>
+          )}
         </TouchableOpacity>
 
         <TextInput
@@ -211,6 +351,8 @@ export default function VerifyEmailScreen({ route, navigation }) {
           {loading ? <ActivityIndicator color="#fff" /> : <Text style={styles.buttonText}>Verify SMS Code</Text>}
         </TouchableOpacity>
 
+        {smsStatusText ? <Text style={styles.status}>{smsStatusText}</Text> : null}
+
         {message && error ? <Text style={styles.success}>{message}</Text> : null}
         {error ? <Text style={styles.error}>{error}</Text> : null}
       </View>
@@ -253,10 +395,17 @@ const styles = StyleSheet.create({
     shadowRadius: 10,
     shadowOffset: { width: 0, height: 6 }
   },
+  buttonDisabled: {
+    opacity: 0.6
+  },
   buttonText: {
     color: '#fff',
     fontWeight: '700'
   },
+  status: {
+    marginTop: spacing.sm,
+    color: colors.textSecondary
+  },
   success: {
     marginTop: spacing.sm,
     color: colors.success,
@@ -0,0 +1,271 @@
+// Everything we hold about one account, for GET /api/account/export. The bundle is one JSON
+// document; toZip() splits the same sections into separate files for people who asked for an archive.
+// Secrets (password hash, code hashes, token hashes) are never included.
+const zlib = require('zlib');
+
+const SECTIONS = ['profile', 'verification', 'dayPasses', 'giftsSent', 'compPasses', 'promoCodes', 'subscription', 'listeningHistory'];
+
+const toIso = (value) => (value instanceof Date ? value.toISOString() : value ?? null);
+const fromUnix = (seconds) => (seconds ? new Date(seconds * 1000).toISOString() : null);
+
+// ZIP stores times as MS-DOS date/time words (local fields, 2-second resolution).
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// CRC-32 (the ZIP/PNG polynomial). zlib.crc32 would do, but Node 18 doesn't have it.
+const CRC_TABLE = Array.from({length: 256}, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (const byte of data) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * A minimal ZIP writer: deflated entries, one central directory, no ZIP64.
+ * Export bundles are far below the 4 GB limit that would need it.
+ */
+function zipFiles(files, modifiedAt = new Date()) {
+    const {time, date} = dosDateTime(modifiedAt);
+    const entries = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const {name, content} of files) {
+        const data = Buffer.from(content);
+        const compressed = zlib.deflateRawSync(data);
+        const fileName = Buffer.from(name);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(0x0800, 6); // names are UTF-8
+        local.writeUInt16LE(8, 8); // deflate
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(fileName.length, 26);
+        entries.push(local, fileName, compressed);
+
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(20, 6);
+        header.writeUInt16LE(0x0800, 8);
+        header.writeUInt16LE(8, 10);
+        header.writeUInt16LE(time, 12);
+        header.writeUInt16LE(date, 14);
+        header.writeUInt32LE(crc, 16);
+        header.writeUInt32LE(compressed.length, 20);
+        header.writeUInt32LE(data.length, 24);
+        header.writeUInt16LE(fileName.length, 28);
+        header.writeUInt32LE(offset, 42);
+        directory.push(header, fileName);
+
+        offset += local.length + fileName.length + compressed.length;
+    }
+
+    const directoryBuffer = Buffer.concat(directory);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directoryBuffer.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...entries, directoryBuffer, end]);
+}
+
+module.exports = function createAccountExport({execute, stripe}) {
+    // Invoices come from Stripe, which keeps the billing history; we only store the current state.
+    async function loadInvoices(subscriptionId) {
+        if (!subscriptionId) {
+            return {invoices: []};
+        }
+        if (!stripe) {
+            return {invoices: null, invoicesUnavailable: 'Billing history is unavailable right now.'};
+        }
+        try {
+            const invoices = [];
+            for await (const invoice of stripe.invoices.list({subscription: subscriptionId, limit: 100})) {
+                invoices.push({
+                    id: invoice.id,
+                    number: invoice.number,
+                    status: invoice.status,
+                    billingReason: invoice.billing_reason,
+                    amountPaid: invoice.amount_paid,
+                    currency: invoice.currency,
+                    createdAt: fromUnix(invoice.created),
+                    periodStart: fromUnix(invoice.period_start),
+                    periodEnd: fromUnix(invoice.period_end)
+                });
+            }
+            return {invoices};
+        } catch (error) {
+            console.error('❌ Failed to load invoices for export:', error.message);
+            return {invoices: null, invoicesUnavailable: 'Billing history is unavailable right now.'};
+        }
+    }
+
+    /**
+     * Builds the export for one user, or resolves to null if the account no
+     * longer exists. Dates are ISO strings so the file reads the same anywhere.
+     */
+    async function collect(userId) {
+        const users = await execute(
+            `SELECT id, first_name, last_name, email, email_verified, phone_number, phone_verified,
+                    subscribed, tier, stripe_customer_id, stripe_subscription_id, subscription_status,
+                    cancel_at_period_end, next_billing_date,
+                    daypass_ends, created_at, updated_at
+             FROM users WHERE id = ?`,
+            [userId]
+        );
+        if (!users.length) {
+            return null;
+        }
+        const user = users[0];
+
+        const [codes, passes, gifts, comps, redemptions, listening, billing] = await Promise.all([
+            execute(
+                `SELECT purpose, target, attempts, max_attempts, created_at, expires_at, consumed_at
+                 FROM verification_codes WHERE user_id = ? ORDER BY created_at`,
+                [userId]
+            ),
+            execute(
+                `SELECT event_id, event_name, event_date, stripe_payment_intent, reminder_sent_at, created_at
+                 FROM day_passes WHERE user_id = ? ORDER BY created_at`,
+                [userId]
+            ),
+            execute(
+                `SELECT recipient_email, events, created_at, sent_at, claimed_at, revoked_at
+                 FROM day_pass_gifts WHERE purchaser_id = ? ORDER BY created_at`,
+                [userId]
+            ),
+            execute(
+                `SELECT event_id, category, note, ends_at, revoked_at, created_at
+                 FROM comp_passes WHERE user_id = ? ORDER BY created_at`,
+                [userId]
+            ),
+            execute(
+                `SELECT c.code, r.checkout_session_id, r.redeemed_at
+                 FROM promo_redemptions r JOIN promo_codes c ON c.id = r.promo_code_id
+                 WHERE r.user_id = ? ORDER BY r.redeemed_at`,
+                [userId]
+            ),
+            execute(
+                `SELECT mount, ip_address, user_agent, started_at, ended_at, duration_seconds
+                 FROM listening_sessions WHERE user_id = ? ORDER BY started_at`,
+                [userId]
+            ),
+            loadInvoices(user.stripe_subscription_id)
+        ]);
+
+        return {
+            exportedAt: new Date().toISOString(),
+            profile: {
+                id: user.id,
+                firstName: user.first_name,
+                lastName: user.last_name,
+                email: user.email,
+                phoneNumber: user.phone_number,
+                createdAt: toIso(user.created_at),
+                updatedAt: toIso(user.updated_at)
+            },
+            verification: {
+                emailVerified: !!user.email_verified,
+                phoneVerified: !!user.phone_verified,
+                codes: codes.map((row) => ({
+                    purpose: row.purpose,
+                    sentTo: row.target,
+                    attempts: row.attempts,
+                    maxAttempts: row.max_attempts,
+                    createdAt: toIso(row.created_at),
+                    expiresAt: toIso(row.expires_at),
+                    usedAt: toIso(row.consumed_at)
+                }))
+            },
+            dayPasses: passes.map((row) => ({
+                eventId: row.event_id,
+                eventName: row.event_name,
+                eventDate: row.event_date,
+                paymentReference: row.stripe_payment_intent,
+                reminderSentAt: toIso(row.reminder_sent_at),
+                purchasedAt: toIso(row.created_at)
+            })),
+            giftsSent: gifts.map((row) => ({
+                recipientEmail: row.recipient_email,
+                events: typeof row.events === 'string' ? JSON.parse(row.events) : row.events,
+                purchasedAt: toIso(row.created_at),
+                emailedAt: toIso(row.sent_at),
+                claimedAt: toIso(row.claimed_at),
+                refundedAt: toIso(row.revoked_at)
+            })),
+            compPasses: comps.map((row) => ({
+                eventId: row.event_id,
+                category: row.category,
+                note: row.note,
+                endsAt: toIso(row.ends_at),
+                revokedAt: toIso(row.revoked_at),
+                grantedAt: toIso(row.created_at)
+            })),
+            promoCodes: redemptions.map((row) => ({
+                code: row.code,
+                checkoutReference: row.checkout_session_id,
+                redeemedAt: toIso(row.redeemed_at)
+            })),
+            subscription: {
+                subscribed: !!user.subscribed,
+                tier: user.tier,
+                status: user.subscription_status,
+                cancelAtPeriodEnd: !!user.cancel_at_period_end,
+                stripeCustomerId: user.stripe_customer_id,
+                stripeSubscriptionId: user.stripe_subscription_id,
+                nextBillingDate: toIso(user.next_billing_date),
+                dayPassEnds: toIso(user.daypass_ends),
+                ...billing
+            },
+            listeningHistory: listening.map((row) => ({
+                mount: row.mount,
+                ipAddress: row.ip_address,
+                userAgent: row.user_agent,
+                startedAt: toIso(row.started_at),
+                endedAt: toIso(row.ended_at),
+                durationSeconds: row.duration_seconds
+            }))
+        };
+    }
+
+    // One JSON file per section plus a short README, in a single archive.
+    function toZip(bundle) {
+        const files = SECTIONS.map((section) => ({
+            name: `${section}.json`,
+            content: JSON.stringify(bundle[section], null, 2)
+        }));
+        files.unshift({
+            name: 'README.txt',
+            content: [
+                `RaceScan account export, generated ${bundle.exportedAt}.`,
+                '',
+                ...SECTIONS.map((section) => `${section}.json`)
+            ].join('\n')
+        });
+        return zipFiles(files, new Date(bundle.exportedAt));
+    }
+
+    return {collect, toZip};
+};
@@ -0,0 +1,151 @@
+// Day passes bought as a gift (day_pass_gifts). A paid gift checkout creates one gift holding its
+// events and a claim token; only the token's hash is stored, so the link in the recipient's email
+// is the only copy. Claiming moves the events into day_passes for the signed-in claimer, who must
+// own the recipient address, keeping the payment intent so a refund still revokes them.
+const crypto = require('crypto');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token || '')).digest('hex');
+const newToken = () => crypto.randomBytes(24).toString('hex');
+
+// mysql2 parses JSON columns, but older servers hand back a string.
+const parseEvents = (value) => {
+    if (Array.isArray(value)) {
+        return value;
+    }
+    try {
+        const parsed = JSON.parse(value || '[]');
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+        return [];
+    }
+};
+
+const fromRow = (row) => ({...row, events: parseEvents(row.events)});
+
+module.exports = function createDayPassGifts({pool, execute}) {
+    /**
+     * Creates the gift for a paid checkout. Safe to run twice for the same
+     * session: resolves to {gift, token} the first time and {gift, token: null}
+     * after that, so the claim email goes out once.
+     */
+    async function createFromCheckout({checkoutSessionId, purchaserId, recipientEmail, message, events, paymentIntentId}) {
+        const token = newToken();
+        const result = await execute(
+            `INSERT IGNORE INTO day_pass_gifts
+                (checkout_session_id, purchaser_id, recipient_email, message, events, token_hash, stripe_payment_intent)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [checkoutSessionId, purchaserId, recipientEmail, message || null, JSON.stringify(events), hashToken(token), paymentIntentId]
+        );
+        const rows = await execute('SELECT * FROM day_pass_gifts WHERE checkout_session_id = ?', [checkoutSessionId]);
+        return {gift: fromRow(rows[0]), token: result.affectedRows ? token : null};
+    }
+
+    async function findByToken(token) {
+        const rows = await execute(
+            `SELECT g.*, u.first_name AS purchaser_name
+             FROM day_pass_gifts g LEFT JOIN users u ON u.id = g.purchaser_id
+             WHERE g.token_hash = ?`,
+            [hashToken(token)]
+        );
+        return rows.length ? fromRow(rows[0]) : null;
+    }
+
+    /**
+     * Gives the gift's passes to `userId`. Resolves to {gift, added} or to
+     * {status, message} when the link is unknown, revoked or already used, or
+     * `userId` isn't the verified owner of the address it was sent to.
+     */
+    async function claim(token, userId) {
+        const conn = await pool.getConnection();
+        try {
+            await conn.beginTransaction();
+            const [rows] = await conn.execute('SELECT * FROM day_pass_gifts WHERE token_hash = ? FOR UPDATE', [hashToken(token)]);
+            const gift = rows.length ? fromRow(rows[0]) : null;
+            const [claimers] = await conn.execute('SELECT email, email_verified FROM users WHERE id = ?', [userId]);
+            const claimer = claimers[0];
+
+            let refusal = null;
+            if (!gift) {
+                refusal = {status: 404, message: 'This gift link is not valid. Ask the sender to resend it.'};
+            } else if (gift.revoked_at) {
+                refusal = {status: 410, message: 'This gift was refunded and can no longer be claimed.'};
+            } else if (gift.claimed_at) {
+                refusal = gift.claimed_by === userId
+                    ? {status: 409, message: 'You have already claimed this gift.'}
+                    : {status: 409, message: 'This gift has already been claimed.'};
+            } else if (!claimer || claimer.email.toLowerCase() !== gift.recipient_email.toLowerCase()) {
+                // A forwarded or leaked link is no use to anyone else.
+                refusal = {status: 403, message: `This gift was sent to ${gift.recipient_email}. Log in with that account to claim it.`};
+            } else if (!claimer.email_verified) {
+                refusal = {status: 403, message: 'Verify your email address before claiming this gift.'};
+            }
+            if (refusal) {
+                await conn.rollback();
+                return refusal;
+            }
+
+            await conn.execute(
+                'UPDATE day_pass_gifts SET claimed_by = ?, claimed_at = UTC_TIMESTAMP() WHERE id = ?',
+                [userId, gift.id]
+            );
+            // Events the claimer already holds are skipped rather than failing the claim.
+            let added = 0;
+            if (gift.events.length) {
+                const [result] = await conn.query(
+                    'INSERT IGNORE INTO day_passes (user_id, event_id, event_name, event_date, stripe_payment_intent) VALUES ?',
+                    [gift.events.map((event) => [userId, event.eventId, event.name, event.date, gift.stripe_payment_intent])]
+                );
+                added = result.affectedRows;
+            }
+            await conn.commit();
+            return {gift, added};
+        } catch (error) {
+            await conn.rollback();
+            throw error;
+        } finally {
+            conn.release();
+        }
+    }
+
+    // Gifts `userId` bought, newest first, without their token hashes.
+    async function listSent(userId) {
+        const rows = await execute(
+            `SELECT id, recipient_email, events, created_at, sent_at, claimed_at, revoked_at
+             FROM day_pass_gifts WHERE purchaser_id = ? ORDER BY created_at DESC`,
+            [userId]
+        );
+        return rows.map(fromRow);
+    }
+
+    /**
+     * Replaces the claim token of an unclaimed gift `userId` bought, so the
+     * old link stops working. Resolves to {gift, token}, or null if there is nothing to resend.
+     */
+    async function reissue(giftId, userId) {
+        const token = newToken();
+        const result = await execute(
+            `UPDATE day_pass_gifts SET token_hash = ?
+             WHERE id = ? AND purchaser_id = ? AND claimed_at IS NULL AND revoked_at IS NULL`,
+            [hashToken(token), giftId, userId]
+        );
+        if (!result.affectedRows) {
+            return null;
+        }
+        const rows = await execute('SELECT * FROM day_pass_gifts WHERE id = ?', [giftId]);
+        return {gift: fromRow(rows[0]), token};
+    }
+
+    const markSent = (giftId) => execute('UPDATE day_pass_gifts SET sent_at = UTC_TIMESTAMP() WHERE id = ?', [giftId]);
+
+    // Refunded before anyone claimed it; claimed passes are removed with the other day passes.
+    async function revokeForPayment(paymentIntentId) {
+        const result = await execute(
+            `UPDATE day_pass_gifts SET revoked_at = UTC_TIMESTAMP()
+             WHERE stripe_payment_intent = ? AND claimed_at IS NULL AND revoked_at IS NULL`,
+            [paymentIntentId]
+        );
+        return result.affectedRows;
+    }
+
+    return {createFromCheckout, findByToken, claim, listSent, reissue, markSent, revokeForPayment};
+};
@@ -0,0 +1,50 @@
+// The one answer to "can user X listen to event Y", shared by the stream proxy, playback
+// tokens and the clients (through /api/entitlements). An Unlimited subscription in good
+// standing covers every event; so does a live comp pass without an event. Otherwise the user
+// needs a day pass or comp pass for that event, and day_passes rows are only ever written once
+// Stripe has confirmed the payment.
+module.exports = function createEntitlements({execute, query}) {
+    /**
+     * Resolves to {allowed, via}: via is 'subscription', 'comp', 'day-pass' or null.
+     * `eventIds` may be one race ID or several; a pass for any of them counts.
+     */
+    async function check(userId, eventIds = []) {
+        if (!userId) {
+            return {allowed: false, via: null};
+        }
+
+        const users = await execute('SELECT subscribed, tier FROM users WHERE id = ?', [userId]);
+        if (!users.length) {
+            return {allowed: false, via: null};
+        }
+        // A day-pass purchase also sets `subscribed`, so the tier decides what it covers.
+        if (users[0].subscribed && users[0].tier === 'unlimited') {
+            return {allowed: true, via: 'subscription'};
+        }
+
+        const raceIds = [].concat(eventIds)
+            .map((id) => String(id || '').trim().toUpperCase())
+            .filter(Boolean);
+
+        const comps = await execute(
+            `SELECT event_id FROM comp_passes
+             WHERE user_id = ? AND revoked_at IS NULL AND (ends_at IS NULL OR ends_at > UTC_TIMESTAMP())`,
+            [userId]
+        );
+        if (comps.some((pass) => !pass.event_id || raceIds.includes(pass.event_id))) {
+            return {allowed: true, via: 'comp'};
+        }
+
+        if (!raceIds.length) {
+            return {allowed: false, via: null};
+        }
+
+        const passes = await query(
+            'SELECT 1 FROM day_passes WHERE user_id = ? AND event_id IN (?) LIMIT 1',
+            [userId, raceIds]
+        );
+        return passes.length ? {allowed: true, via: 'day-pass'} : {allowed: false, via: null};
+    }
+
+    return {check};
+};
@@ -0,0 +1,81 @@
+// One ffmpeg process per live rostered mount, reading it from Icecast like any other listener.
+// sync() starts a process for each mount that goes live, stops the ones Icecast no longer lists
+// and restarts any that exited on their own, RETRY_MS later. transcoder.js and voice-activity.js
+// say what the processes do with the audio.
+const {spawn} = require('child_process');
+
+// Wait this long before restarting ffmpeg for a mount after it exits.
+const RETRY_MS = 15 * 1000;
+
+/**
+ * `outputArgs(mount)` is everything after ffmpeg's input. `name(mount)` is how
+ * warnings refer to a job, e.g. 'Transcoding /smt-62.mp3'. With `readStdout`
+ * the job's child.stdout is a pipe for `onStart(job)` to read; `onClose(job)`
+ * runs whenever a process ends, stopped or not.
+ */
+module.exports = function createFfmpegJobs({icecastUrl, ffmpegPath, tokenFor, outputArgs, name, readStdout = false, onStart, onClose}) {
+    const jobs = new Map();
+    const lastEnded = new Map();
+
+    function start(mount) {
+        const input = new URL(mount, icecastUrl);
+        input.searchParams.set('token', tokenFor(mount));
+        const args = ['-hide_banner', '-loglevel', 'error', '-nostdin', '-i', input.toString(), ...outputArgs(mount)];
+
+        const child = spawn(ffmpegPath, args, {stdio: ['ignore', readStdout ? 'pipe' : 'ignore', 'pipe']});
+        const job = {mount, child, stopping: false, lastError: ''};
+        jobs.set(mount, job);
+
+        child.stderr.setEncoding('utf8');
+        child.stderr.on('data', (text) => {
+            job.lastError = text.trim().split('\n').pop();
+        });
+        child.on('error', (err) => {
+            console.error(`❌ Could not start ffmpeg for ${mount}:`, err.message);
+        });
+        child.on('close', (code) => {
+            if (jobs.get(mount) === job) {
+                jobs.delete(mount);
+            }
+            lastEnded.set(mount, Date.now());
+            onClose?.(job);
+            if (!job.stopping && code !== null) {
+                console.warn(`⚠️ ${name(mount)} stopped (exit ${code})${job.lastError ? `: ${job.lastError}` : ''}`);
+            }
+        });
+        onStart?.(job);
+    }
+
+    function stop(job) {
+        job.stopping = true;
+        jobs.delete(job.mount);
+        job.child.kill('SIGTERM');
+    }
+
+    /**
+     * Runs one ffmpeg per live rostered mount and stops the ones Icecast no
+     * longer lists. `mounts` come from the Icecast poller.
+     */
+    function sync(mounts) {
+        const live = new Set(mounts.filter((mount) => mount.driverId).map((mount) => mount.mount));
+        jobs.forEach((job, mount) => {
+            if (!live.has(mount)) {
+                stop(job);
+            }
+        });
+
+        const now = Date.now();
+        live.forEach((mount) => {
+            if (!jobs.has(mount) && now - (lastEnded.get(mount) || 0) >= RETRY_MS) {
+                start(mount);
+            }
+        });
+    }
+
+    const stopAll = () => jobs.forEach(stop);
+
+    // The running job for a mount, or undefined.
+    const get = (mount) => jobs.get(mount);
+
+    return {sync, stopAll, get};
+};
@@ -0,0 +1,280 @@
+// Packages live driver mounts as HLS, so players can pause, rewind and get back to live, which
+// progressive MP3 from Icecast can't do. Each mount is read like any other listener, cut on MP3
+// frame boundaries into segments of about segmentSeconds, and kept on disk for a rolling
+// windowSeconds playlist. Segments are HLS "packed audio": plain MPEG audio behind the ID3
+// timestamp players use to line segments up.
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const {promises: fsp} = fs;
+
+// Wait this long before reconnecting to a mount whose connection dropped.
+const RETRY_MS = 5 * 1000;
+// Players start a few segments back from the newest, so don't offer a playlist shorter than that.
+const MIN_PLAYLIST_SEGMENTS = 3;
+// Segments that left the playlist stay on disk this long for players still fetching them.
+const RETIRED_SEGMENTS_KEPT = 3;
+
+const MPEG_VERSIONS = {0: 2.5, 2: 2, 3: 1};
+const SAMPLE_RATES = {1: [44100, 48000, 32000], 2: [22050, 24000, 16000], 2.5: [11025, 12000, 8000]};
+const BITRATES_KBPS = {
+    v1l2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    v1l3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    v2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+/**
+ * Reads the MPEG audio frame header at `offset`. Returns {length, samples,
+ * sampleRate}, or null when there is no Layer II/III frame header there.
+ */
+function readFrameHeader(buffer, offset) {
+    if (buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) {
+        return null;
+    }
+    const version = MPEG_VERSIONS[(buffer[offset + 1] >> 3) & 0x03];
+    const layer = 4 - ((buffer[offset + 1] >> 1) & 0x03);
+    const bitrateIndex = buffer[offset + 2] >> 4;
+    const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+    if (!version || (layer !== 2 && layer !== 3) || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+        return null;
+    }
+
+    let table = BITRATES_KBPS.v2;
+    if (version === 1) {
+        table = layer === 3 ? BITRATES_KBPS.v1l3 : BITRATES_KBPS.v1l2;
+    }
+    const sampleRate = SAMPLE_RATES[version][sampleRateIndex];
+    const samples = version === 1 || layer === 2 ? 1152 : 576;
+    const padding = (buffer[offset + 2] >> 1) & 0x01;
+    return {length: Math.floor((samples / 8) * table[bitrateIndex] * 1000 / sampleRate) + padding, samples, sampleRate};
+}
+
+const syncsafe = (size) => Buffer.from([(size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f]);
+
+const TIMESTAMP_OWNER = 'com.apple.streaming.transportStreamTimestamp';
+
+// The ID3 tag every packed-audio segment starts with: a PRIV frame holding its 33-bit, 90 kHz start time.
+function timestampTag(pts) {
+    const body = Buffer.alloc(TIMESTAMP_OWNER.length + 1 + 8);
+    body.write(TIMESTAMP_OWNER, 0, 'latin1');
+    body.writeBigUInt64BE(BigInt(pts), TIMESTAMP_OWNER.length + 1);
+    const frame = Buffer.concat([Buffer.from('PRIV', 'latin1'), syncsafe(body.length), Buffer.from([0, 0]), body]);
+    return Buffer.concat([Buffer.from([0x49, 0x44, 0x33, 0x04, 0x00, 0x00]), syncsafe(frame.length), frame]);
+}
+
+// '/smt-62.mp3' is served as /api/hls/smt-62/live.m3u8.
+const streamName = (mount) => mount.replace(/^\//, '').replace(/\.mp3$/, '');
+
+module.exports = function createHlsPackager({dir, icecastUrl, tokenFor, segmentSeconds, windowSeconds}) {
+    const streams = new Map();
+
+    function newStream(mount) {
+        return {
+            mount,
+            dir: path.join(dir, streamName(mount)),
+            segments: [],
+            retired: [],
+            nextSequence: 0,
+            discontinuitySequence: 0,
+            samples: 0,
+            sampleRate: null,
+            pending: Buffer.alloc(0),
+            frames: [],
+            frameSamples: 0,
+            startPts: 0,
+            discontinuity: false,
+            request: null,
+            connected: false,
+            lastDropped: 0,
+            writing: Promise.resolve()
+        };
+    }
+
+    async function writeSegment(stream, segment, data) {
+        await fsp.mkdir(stream.dir, {recursive: true});
+        await fsp.writeFile(path.join(stream.dir, segment.file), data);
+        if (streams.get(stream.mount) !== stream) {
+            return;
+        }
+
+        stream.segments.push(segment);
+        let total = stream.segments.reduce((sum, entry) => sum + entry.duration, 0);
+        while (stream.segments.length > MIN_PLAYLIST_SEGMENTS && total - stream.segments[0].duration >= windowSeconds) {
+            const dropped = stream.segments.shift();
+            total -= dropped.duration;
+            if (dropped.discontinuity) {
+                stream.discontinuitySequence += 1;
+            }
+            stream.retired.push(dropped);
+        }
+        while (stream.retired.length > RETIRED_SEGMENTS_KEPT) {
+            const old = stream.retired.shift();
+            await fsp.rm(path.join(stream.dir, old.file), {force: true});
+        }
+    }
+
+    // Closes the frames gathered so far into the next segment.
+    function cutSegment(stream) {
+        if (!stream.frames.length) {
+            return;
+        }
+        const segment = {
+            sequence: stream.nextSequence,
+            file: `seg-${stream.nextSequence}.mp3`,
+            duration: stream.frameSamples / stream.sampleRate,
+            discontinuity: stream.discontinuity
+        };
+        const data = Buffer.concat([timestampTag(stream.startPts), ...stream.frames]);
+        stream.nextSequence += 1;
+        stream.discontinuity = false;
+        stream.frames = [];
+        stream.frameSamples = 0;
+
+        stream.writing = stream.writing
+            .then(() => writeSegment(stream, segment, data))
+            .catch((err) => console.error(`❌ HLS segment write failed for ${stream.mount}:`, err.message));
+    }
+
+    function consume(stream, chunk) {
+        let buffer = stream.pending.length ? Buffer.concat([stream.pending, chunk]) : chunk;
+        let offset = 0;
+        while (offset + 4 <= buffer.length) {
+            const header = readFrameHeader(buffer, offset);
+            if (!header) {
+                // Not on a frame boundary yet (stream start or a corrupt frame); step until one lines up.
+                offset += 1;
+                continue;
+            }
+            if (offset + header.length > buffer.length) {
+                break;
+            }
+            if (!stream.frames.length) {
+                stream.startPts = Math.round(stream.samples * 90000 / header.sampleRate) % 2 ** 33;
+            }
+            stream.sampleRate = header.sampleRate;
+            stream.frames.push(buffer.subarray(offset, offset + header.length));
+            stream.frameSamples += header.samples;
+            stream.samples += header.samples;
+            offset += header.length;
+            if (stream.frameSamples / header.sampleRate >= segmentSeconds) {
+                cutSegment(stream);
+            }
+        }
+        buffer = buffer.subarray(offset);
+        // Frames still being gathered point into chunk buffers, so keep only the unparsed tail.
+        stream.pending = Buffer.from(buffer);
+    }
+
+    function dropConnection(stream) {
+        if (!stream.request) {
+            return;
+        }
+        stream.request.destroy();
+        stream.request = null;
+        stream.connected = false;
+        stream.lastDropped = Date.now();
+        stream.pending = Buffer.alloc(0);
+        cutSegment(stream);
+        // Whatever arrives after a reconnect doesn't follow on from what came before.
+        stream.discontinuity = stream.nextSequence > 0;
+    }
+
+    function connect(stream) {
+        const url = new URL(stream.mount, icecastUrl);
+        url.searchParams.set('token', tokenFor(stream.mount));
+        const client = url.protocol === 'https:' ? https : http;
+        const request = client.get(url, {headers: {'Icy-MetaData': '0'}}, (icecastRes) => {
+            request.setTimeout(0);
+            if (icecastRes.statusCode !== 200) {
+                icecastRes.resume();
+                console.warn(`⚠️ Could not package ${stream.mount}: Icecast returned ${icecastRes.statusCode}`);
+                return dropConnection(stream);
+            }
+            stream.connected = true;
+            icecastRes.on('data', (chunk) => consume(stream, chunk));
+            icecastRes.on('end', () => dropConnection(stream));
+            icecastRes.on('aborted', () => dropConnection(stream));
+        });
+        request.setTimeout(10 * 1000, () => request.destroy(new Error('Icecast did not respond')));
+        request.on('error', (err) => {
+            if (stream.request === request) {
+                console.warn(`⚠️ HLS connection lost for ${stream.mount}:`, err.message);
+                dropConnection(stream);
+            }
+        });
+        stream.request = request;
+    }
+
+    async function stop(stream) {
+        streams.delete(stream.mount);
+        dropConnection(stream);
+        await stream.writing;
+        await fsp.rm(stream.dir, {recursive: true, force: true});
+    }
+
+    /**
+     * Packages every live rostered mount and drops the ones Icecast no longer
+     * lists. `mounts` come from the Icecast poller.
+     */
+    async function sync(mounts) {
+        const live = new Set(mounts.filter((mount) => mount.driverId).map((mount) => mount.mount));
+
+        await Promise.all(Array.from(streams.values())
+            .filter((stream) => !live.has(stream.mount))
+            .map(stop));
+
+        const now = Date.now();
+        live.forEach((mount) => {
+            if (!streams.has(mount)) {
+                streams.set(mount, newStream(mount));
+            }
+            const stream = streams.get(mount);
+            if (!stream.request && now - stream.lastDropped >= RETRY_MS) {
+                connect(stream);
+            }
+        });
+    }
+
+    // Segments from a previous process can't be resumed; the playlists that listed them are gone.
+    const reset = () => fsp.rm(dir, {recursive: true, force: true});
+
+    /**
+     * The live media playlist for `mount`, or null until enough audio has been
+     * packaged. `query` (e.g. '?token=...') is appended to every segment URI.
+     */
+    function playlist(mount, query = '') {
+        const stream = streams.get(mount);
+        if (!stream || stream.segments.length < MIN_PLAYLIST_SEGMENTS) {
+            return null;
+        }
+        const targetDuration = Math.ceil(Math.max(...stream.segments.map((segment) => segment.duration)));
+        const lines = [
+            '#EXTM3U',
+            '#EXT-X-VERSION:3',
+            `#EXT-X-TARGETDURATION:${targetDuration}`,
+            `#EXT-X-MEDIA-SEQUENCE:${stream.segments[0].sequence}`
+        ];
+        if (stream.discontinuitySequence) {
+            lines.push(`#EXT-X-DISCONTINUITY-SEQUENCE:${stream.discontinuitySequence}`);
+        }
+        stream.segments.forEach((segment) => {
+            if (segment.discontinuity) {
+                lines.push('#EXT-X-DISCONTINUITY');
+            }
+            lines.push(`#EXTINF:${segment.duration.toFixed(3)},`, `${segment.file}${query}`);
+        });
+        return `${lines.join('\n')}\n`;
+    }
+
+    // Where a segment of `mount` is on disk, relative to `dir`; null once it has rolled off.
+    function segmentPath(mount, file) {
+        const stream = streams.get(mount);
+        const known = stream && [...stream.segments, ...stream.retired].some((segment) => segment.file === file);
+        return known ? path.join(streamName(mount), file) : null;
+    }
+
+    const isPackaging = (mount) => !!streams.get(mount)?.connected;
+
+    return {sync, reset, playlist, segmentPath, isPackaging};
+};
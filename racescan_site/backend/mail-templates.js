@@ -0,0 +1,202 @@
+// Every email RaceScan sends. A template returns {subject, heading, html, text}; render()
+// wraps the HTML in the branded layout and the text in a matching plain-text frame.
+const SITE_URL = 'https://racescan.racing';
+const BRAND_COLOR = '#ff4d4d';
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const button = (href, label) => `
+    <p style="margin: 24px 0;">
+        <a href="${escapeHtml(href)}" style="background: ${BRAND_COLOR}; color: #ffffff; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold; display: inline-block;">${escapeHtml(label)}</a>
+    </p>`;
+
+const formatMoney = (amountCents, currency) => new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: String(currency || 'usd').toUpperCase()
+}).format((Number(amountCents) || 0) / 100);
+
+const PLAN_NAMES = {
+    'day-pass': 'Day Pass',
+    unlimited: 'Unlimited'
+};
+
+const TEMPLATES = {
+    verification: ({code, verifyLink, expiresInMinutes}) => ({
+        subject: 'Your RaceScan Verification Code',
+        heading: 'Welcome to RaceScan!',
+        html: `
+            <p>Your verification code is:</p>
+            <p style="font-size: 32px; font-weight: bold; letter-spacing: 6px; background: ${BRAND_COLOR}; color: #ffffff; padding: 10px 20px; display: inline-block;">${escapeHtml(code)}</p>
+            <p>Enter this code on the website or in the app, or use the button below. It expires in ${expiresInMinutes} minutes.</p>
+            ${button(verifyLink, 'Verify my email')}
+            <p>If you did not create a RaceScan account, please ignore this email.</p>`,
+        text: [
+            `Your verification code is: ${code}`,
+            `Enter this code on the website or in the app, or open this link to verify your account: ${verifyLink}`,
+            `It expires in ${expiresInMinutes} minutes.`,
+            'If you did not create a RaceScan account, please ignore this email.'
+        ]
+    }),
+
+    emailChange: ({code, expiresInMinutes}) => ({
+        subject: 'Confirm your new RaceScan email',
+        heading: 'Confirm your new email',
+        html: `
+            <p>Enter this code on your RaceScan account page to move your account to this address:</p>
+            <p style="font-size: 32px; font-weight: bold; letter-spacing: 6px; background: ${BRAND_COLOR}; color: #ffffff; padding: 10px 20px; display: inline-block;">${escapeHtml(code)}</p>
+            <p>It expires in ${expiresInMinutes} minutes. If you did not ask for this change, please ignore this email.</p>`,
+        text: [
+            `Enter this code on your RaceScan account page to move your account to this address: ${code}`,
+            `It expires in ${expiresInMinutes} minutes. If you did not ask for this change, please ignore this email.`
+        ]
+    }),
+
+    passwordReset: ({resetLink, expiresInMinutes}) => ({
+        subject: 'RaceScan Password Reset',
+        heading: 'Reset your password',
+        html: `
+            <p>You requested a password reset. This link expires in ${expiresInMinutes} minutes.</p>
+            ${button(resetLink, 'Choose a new password')}
+            <p>If you did not request this, please ignore this email; your password will not change.</p>`,
+        text: [
+            `You requested a password reset. Open this link to choose a new password (it expires in ${expiresInMinutes} minutes):`,
+            resetLink,
+            'If you did not request this, please ignore this email; your password will not change.'
+        ]
+    }),
+
+    // events: [{name, date}] for day passes; empty for subscriptions. giftEmail when bought as a gift.
+    receipt: ({firstName, plan, amountCents, currency, events = [], reference, giftEmail}) => {
+        const planName = PLAN_NAMES[plan] || plan;
+        const total = formatMoney(amountCents, currency);
+        return {
+            subject: `Your RaceScan receipt: ${planName}`,
+            heading: `Thanks${firstName ? `, ${escapeHtml(firstName)}` : ''}!`,
+            html: `
+            <p>Your payment went through. Here are the details:</p>
+            <table style="border-collapse: collapse; width: 100%;">
+                <tr><td style="padding: 6px 0; color: #666666;">Plan</td><td style="padding: 6px 0; text-align: right;">${escapeHtml(planName)}</td></tr>
+                ${events.map((event) => `<tr><td style="padding: 6px 0; color: #666666;">Event</td><td style="padding: 6px 0; text-align: right;">${escapeHtml(event.name)} (${escapeHtml(event.date)})</td></tr>`).join('')}
+                ${giftEmail ? `<tr><td style="padding: 6px 0; color: #666666;">Gift for</td><td style="padding: 6px 0; text-align: right;">${escapeHtml(giftEmail)}</td></tr>` : ''}
+                <tr><td style="padding: 6px 0; border-top: 1px solid #dddddd; font-weight: bold;">Total</td><td style="padding: 6px 0; border-top: 1px solid #dddddd; text-align: right; font-weight: bold;">${escapeHtml(total)}</td></tr>
+            </table>
+            ${reference ? `<p style="color: #666666; font-size: 12px;">Reference: ${escapeHtml(reference)}</p>` : ''}
+            ${button(`${SITE_URL}/auth/account.html`, 'View my account')}`,
+            text: [
+                'Your payment went through. Here are the details:',
+                `Plan: ${planName}`,
+                ...events.map((event) => `Event: ${event.name} (${event.date})`),
+                giftEmail ? `Gift for: ${giftEmail}` : '',
+                `Total: ${total}`,
+                reference ? `Reference: ${reference}` : '',
+                `View your account: ${SITE_URL}/auth/account.html`
+            ]
+        };
+    },
+
+    // events: [{name, date}]; message is the sender's note, if any.
+    dayPassGift: ({fromName, message, events, claimLink}) => ({
+        subject: `${fromName || 'Someone'} sent you a RaceScan day pass`,
+        heading: 'You have a RaceScan gift!',
+        html: `
+            <p>${escapeHtml(fromName || 'A RaceScan fan')} bought you live scanner access for:</p>
+            <ul>${events.map((event) => `<li>${escapeHtml(event.name)} (${escapeHtml(event.date)})</li>`).join('')}</ul>
+            ${message ? `<p style="border-left: 3px solid ${BRAND_COLOR}; padding-left: 12px; font-style: italic;">${escapeHtml(message)}</p>` : ''}
+            <p>Sign in or create a free account, then claim your pass:</p>
+            ${button(claimLink, 'Claim my day pass')}
+            <p>Only one account can claim this gift, so keep the link to yourself.</p>`,
+        text: [
+            `${fromName || 'A RaceScan fan'} bought you live scanner access for:`,
+            events.map((event) => `- ${event.name} (${event.date})`).join('\n'),
+            message ? `"${message}"` : '',
+            `Sign in or create a free account, then claim your pass: ${claimLink}`,
+            'Only one account can claim this gift, so keep the link to yourself.'
+        ]
+    }),
+
+    passTransferSent: ({firstName, eventName, eventDate, recipientEmail}) => ({
+        subject: `Your ${eventName} day pass was transferred`,
+        heading: 'Day pass transferred',
+        html: `
+            <p>Hi${firstName ? ` ${escapeHtml(firstName)}` : ''}, your day pass for <strong>${escapeHtml(eventName)}</strong> (${escapeHtml(eventDate)}) now belongs to ${escapeHtml(recipientEmail)}.</p>
+            <p>If you did not make this transfer, please reset your password and contact us right away.</p>
+            ${button(`${SITE_URL}/auth/account.html`, 'View my account')}`,
+        text: [
+            `Hi${firstName ? ` ${firstName}` : ''}, your day pass for ${eventName} (${eventDate}) now belongs to ${recipientEmail}.`,
+            'If you did not make this transfer, please reset your password and contact us right away.',
+            `View your account: ${SITE_URL}/auth/account.html`
+        ]
+    }),
+
+    passTransferReceived: ({firstName, eventName, eventDate, fromName}) => ({
+        subject: `You received a day pass for ${eventName}`,
+        heading: 'A day pass is yours',
+        html: `
+            <p>Hi${firstName ? ` ${escapeHtml(firstName)}` : ''}, ${escapeHtml(fromName || 'another RaceScan fan')} transferred their day pass for <strong>${escapeHtml(eventName)}</strong> (${escapeHtml(eventDate)}) to your account.</p>
+            <p>It is ready to use when the event goes live.</p>
+            ${button(`${SITE_URL}/auth/account.html`, 'View my passes')}`,
+        text: [
+            `Hi${firstName ? ` ${firstName}` : ''}, ${fromName || 'another RaceScan fan'} transferred their day pass for ${eventName} (${eventDate}) to your account.`,
+            'It is ready to use when the event goes live.',
+            `View your passes: ${SITE_URL}/auth/account.html`
+        ]
+    }),
+
+    eventReminder: ({firstName, eventName, startsAtLocal, listenLink}) => ({
+        subject: `Reminder: ${eventName} is coming up`,
+        heading: `${escapeHtml(eventName)} is almost here`,
+        html: `
+            <p>Hi${firstName ? ` ${escapeHtml(firstName)}` : ''}, your day pass for <strong>${escapeHtml(eventName)}</strong> is ready.</p>
+            <p>The event starts ${escapeHtml(startsAtLocal)}. Scanner audio goes live shortly before the green flag.</p>
+            ${button(listenLink, 'Open the live scanner')}`,
+        text: [
+            `Hi${firstName ? ` ${firstName}` : ''}, your day pass for ${eventName} is ready.`,
+            `The event starts ${startsAtLocal}. Scanner audio goes live shortly before the green flag.`,
+            `Listen live: ${listenLink}`
+        ]
+    })
+};
+
+const layout = (heading, body) => `<!DOCTYPE html>
+<html lang="en">
+<body style="margin: 0; padding: 0; background: #f4f4f4; font-family: Arial, Helvetica, sans-serif; color: #222222;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background: #f4f4f4; padding: 24px 0;">
+        <tr><td align="center">
+            <table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width: 600px; background: #ffffff; border-radius: 8px; overflow: hidden;">
+                <tr><td style="background: #111111; padding: 16px 24px; color: #ffffff; font-size: 22px; font-weight: bold;">Race<span style="color: ${BRAND_COLOR};">Scan</span></td></tr>
+                <tr><td style="padding: 24px;">
+                    <h2 style="margin-top: 0;">${heading}</h2>
+                    ${body}
+                </td></tr>
+                <tr><td style="padding: 16px 24px; background: #fafafa; color: #888888; font-size: 12px;">
+                    RaceScan &middot; <a href="${SITE_URL}" style="color: #888888;">racescan.racing</a>
+                </td></tr>
+            </table>
+        </td></tr>
+    </table>
+</body>
+</html>`;
+
+/**
+ * Resolves a template by name into {subject, html, text}. Values interpolated
+ * into the HTML are escaped; the text version is the template's lines joined by blank lines.
+ */
+function render(name, data = {}) {
+    const template = TEMPLATES[name];
+    if (!template) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+    const {subject, heading, html, text} = template(data);
+    return {
+        subject,
+        html: layout(heading, html),
+        text: [...text.filter(Boolean), '--', `RaceScan · ${SITE_URL}`].join('\n\n')
+    };
+}
+
+module.exports = {render, escapeHtml};
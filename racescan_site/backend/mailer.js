@@ -0,0 +1,119 @@
+// Outgoing email, chosen by MAIL_TRANSPORT:
+//   smtp   any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+//   gmail  Gmail with an app password (EMAIL_USER, EMAIL_PASS)
+//   file   nothing leaves the machine; each message is saved as JSON in MAIL_DIR and
+//          shown at /dev/mailbox
+// Messages are built from mail-templates.js, so every email has HTML and plain-text parts.
+const {promises: fsp} = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const {render} = require('./mail-templates');
+
+const MAILBOX_ID_PATTERN = /^[0-9]+-[0-9a-f]{8}$/;
+
+const TRANSPORTS = {
+    smtp: ({smtp}) => {
+        if (!smtp.host) {
+            throw new Error('MAIL_TRANSPORT=smtp needs SMTP_HOST');
+        }
+        return nodemailer.createTransport({
+            host: smtp.host,
+            port: smtp.port,
+            secure: smtp.secure,
+            auth: smtp.user ? {user: smtp.user, pass: smtp.pass} : undefined
+        });
+    },
+    gmail: ({gmail}) => {
+        if (!gmail.user || !gmail.pass) {
+            throw new Error('MAIL_TRANSPORT=gmail needs EMAIL_USER and EMAIL_PASS');
+        }
+        return nodemailer.createTransport({service: 'gmail', auth: {user: gmail.user, pass: gmail.pass}});
+    },
+    file: () => nodemailer.createTransport({jsonTransport: true})
+};
+
+/**
+ * Builds the mailer for `config.transport`, or returns null when no transport
+ * is configured. Unknown names and missing settings throw at startup.
+ */
+module.exports = function createMailer(config) {
+    if (!config.transport) {
+        return null;
+    }
+    const build = TRANSPORTS[config.transport];
+    if (!build) {
+        throw new Error(`Unknown MAIL_TRANSPORT "${config.transport}" (expected ${Object.keys(TRANSPORTS).join(', ')})`);
+    }
+    const transport = build(config);
+    const capturesMail = config.transport === 'file';
+
+    const saveToMailbox = async (info) => {
+        const message = JSON.parse(info.message);
+        const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        await fsp.mkdir(config.mailboxDir, {recursive: true});
+        await fsp.writeFile(
+            path.join(config.mailboxDir, `${id}.json`),
+            JSON.stringify({
+                id,
+                date: new Date().toISOString(),
+                from: message.from?.address || config.from,
+                to: (message.to || []).map((recipient) => recipient.address).join(', '),
+                subject: message.subject,
+                text: message.text,
+                html: message.html
+            }, null, 2)
+        );
+        return id;
+    };
+
+    // Resolves to the message id (the mailbox id for the file transport).
+    async function send(templateName, to, data) {
+        const {subject, html, text} = render(templateName, data);
+        const info = await transport.sendMail({from: config.from, to, subject, html, text});
+        return capturesMail ? saveToMailbox(info) : info.messageId;
+    }
+
+    // Captured messages, newest first, without their bodies.
+    async function listMailbox() {
+        if (!capturesMail) {
+            return [];
+        }
+        const files = await fsp.readdir(config.mailboxDir).catch((err) => {
+            if (err.code === 'ENOENT') {
+                return [];
+            }
+            throw err;
+        });
+        const ids = files
+            .filter((file) => file.endsWith('.json'))
+            .map((file) => file.slice(0, -'.json'.length))
+            .filter((id) => MAILBOX_ID_PATTERN.test(id))
+            .sort()
+            .reverse();
+        const messages = await Promise.all(ids.map((id) => readMailboxMessage(id)));
+        return messages.filter(Boolean).map(({html, text, ...summary}) => summary);
+    }
+
+    async function readMailboxMessage(id) {
+        if (!capturesMail || !MAILBOX_ID_PATTERN.test(String(id))) {
+            return null;
+        }
+        try {
+            return JSON.parse(await fsp.readFile(path.join(config.mailboxDir, `${id}.json`), 'utf8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return null;
+            }
+            throw err;
+        }
+    }
+
+    return {
+        transport: config.transport,
+        capturesMail,
+        send,
+        listMailbox,
+        readMailboxMessage
+    };
+};
@@ -0,0 +1,16 @@
+// Stripe webhook deliveries that have been processed, so retries are applied once.
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS stripe_events (
+                id           VARCHAR(255) PRIMARY KEY,
+                type         VARCHAR(100) NOT NULL,
+                processed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS stripe_events');
+    }
+};
@@ -0,0 +1,28 @@
+// Race schedule, loaded with `npm run import:events` and served by /api/events and /api/live.
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS events (
+                id          INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+                race_id     VARCHAR(64)           NOT NULL,
+                track       VARCHAR(255)          NOT NULL,
+                location    VARCHAR(255)  DEFAULT NULL,
+                address     VARCHAR(255)  DEFAULT NULL,
+                image       VARCHAR(255)  DEFAULT NULL,
+                class       VARCHAR(16)           NOT NULL,
+                starts_at   DATETIME              NOT NULL,
+                timezone    VARCHAR(64)           NOT NULL DEFAULT 'America/New_York',
+                status      VARCHAR(20)           NOT NULL DEFAULT 'scheduled',
+                created_at  DATETIME      DEFAULT CURRENT_TIMESTAMP,
+                updated_at  DATETIME      DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY uq_events_race_id (race_id),
+                KEY idx_events_starts_at (starts_at),
+                KEY idx_events_class (class)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS events');
+    }
+};
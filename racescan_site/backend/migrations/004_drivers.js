@@ -0,0 +1,40 @@
+// Driver roster, loaded with `npm run import:drivers`. One driver_classes row per class a
+// driver runs in; number, logo, radio and Icecast mount can differ per class.
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS drivers (
+                id          INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+                slug        VARCHAR(128)          NOT NULL,
+                name        VARCHAR(255)          NOT NULL,
+                state       VARCHAR(64)   DEFAULT 'USA',
+                created_at  DATETIME      DEFAULT CURRENT_TIMESTAMP,
+                updated_at  DATETIME      DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY uq_drivers_slug (slug)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS driver_classes (
+                id           INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+                driver_id    INT UNSIGNED          NOT NULL,
+                class        VARCHAR(16)           NOT NULL,
+                car_number   VARCHAR(8)            NOT NULL,
+                number_logo  VARCHAR(255)  DEFAULT NULL,
+                frequency_hz BIGINT UNSIGNED DEFAULT NULL,
+                tone_hz      DECIMAL(6, 1) DEFAULT NULL,
+                mount        VARCHAR(255)          NOT NULL,
+                UNIQUE KEY uq_driver_classes_mount (mount),
+                KEY idx_driver_classes_class (class),
+                CONSTRAINT fk_driver_classes_driver
+                    FOREIGN KEY (driver_id)
+                    REFERENCES drivers (id)
+                    ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS driver_classes');
+        await db.query('DROP TABLE IF EXISTS drivers');
+    }
+};
@@ -0,0 +1,28 @@
+// Filled by the Icecast listener_add / listener_remove callbacks.
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS listening_sessions (
+                id               INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+                user_id          INT UNSIGNED NOT NULL,
+                mount            VARCHAR(255) NOT NULL,
+                icecast_client   VARCHAR(64)  NOT NULL,
+                ip_address       VARCHAR(64)  DEFAULT NULL,
+                user_agent       VARCHAR(255) DEFAULT NULL,
+                started_at       DATETIME DEFAULT CURRENT_TIMESTAMP,
+                ended_at         DATETIME DEFAULT NULL,
+                duration_seconds INT UNSIGNED DEFAULT NULL,
+                KEY idx_listening_sessions_client (icecast_client, mount),
+                KEY idx_listening_sessions_user (user_id, started_at),
+                CONSTRAINT fk_listening_sessions_user
+                    FOREIGN KEY (user_id)
+                    REFERENCES users (id)
+                    ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS listening_sessions');
+    }
+};
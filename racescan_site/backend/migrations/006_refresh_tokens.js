@@ -0,0 +1,26 @@
+// Refresh tokens issued by /api/auth/token. Only a SHA-256 of the token is stored; each is single-use.
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS refresh_tokens (
+                id           INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+                user_id      INT UNSIGNED NOT NULL,
+                token_hash   CHAR(64)     NOT NULL,
+                user_agent   VARCHAR(255) DEFAULT NULL,
+                created_at   DATETIME DEFAULT CURRENT_TIMESTAMP,
+                expires_at   DATETIME     NOT NULL,
+                revoked_at   DATETIME DEFAULT NULL,
+                UNIQUE KEY uq_refresh_tokens_hash (token_hash),
+                KEY idx_refresh_tokens_user (user_id),
+                CONSTRAINT fk_refresh_tokens_user
+                    FOREIGN KEY (user_id)
+                    REFERENCES users (id)
+                    ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS refresh_tokens');
+    }
+};
@@ -0,0 +1,24 @@
+// express-session store (see session-store.js). user_id lets us sign one account out everywhere.
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS sessions (
+                session_id  VARCHAR(128) PRIMARY KEY,
+                user_id     INT UNSIGNED DEFAULT NULL,
+                data        MEDIUMTEXT   NOT NULL,
+                expires_at  DATETIME     NOT NULL,
+                updated_at  DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                KEY idx_sessions_user (user_id),
+                KEY idx_sessions_expires (expires_at),
+                CONSTRAINT fk_sessions_user
+                    FOREIGN KEY (user_id)
+                    REFERENCES users (id)
+                    ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS sessions');
+    }
+};
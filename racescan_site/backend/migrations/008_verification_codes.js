@@ -0,0 +1,37 @@
+// Codes for email verification, password reset and phone changes move out of the users table,
+// scoped to one user and purpose, hashed, expiring and attempt-limited (see verification-codes.js).
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS verification_codes (
+                id           INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+                user_id      INT UNSIGNED      NOT NULL,
+                purpose      VARCHAR(32)       NOT NULL,
+                target       VARCHAR(255)      DEFAULT NULL,
+                code_hash    CHAR(64)          DEFAULT NULL,
+                attempts     SMALLINT UNSIGNED NOT NULL DEFAULT 0,
+                max_attempts SMALLINT UNSIGNED NOT NULL,
+                created_at   DATETIME          NOT NULL,
+                expires_at   DATETIME          NOT NULL,
+                consumed_at  DATETIME          DEFAULT NULL,
+                UNIQUE KEY uq_verification_codes_user_purpose (user_id, purpose),
+                KEY idx_verification_codes_hash (purpose, code_hash),
+                CONSTRAINT fk_verification_codes_user
+                    FOREIGN KEY (user_id)
+                    REFERENCES users (id)
+                    ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        // Outstanding plain-text codes and reset tokens are dropped; users just request a new one.
+        await db.dropColumnIfExists('users', 'verification_code');
+        await db.dropColumnIfExists('users', 'reset_token');
+        await db.dropColumnIfExists('users', 'reset_token_expiry');
+    },
+
+    async down(db) {
+        await db.addColumnIfMissing('users', 'verification_code', 'VARCHAR(12) DEFAULT NULL');
+        await db.addColumnIfMissing('users', 'reset_token', 'VARCHAR(128) DEFAULT NULL');
+        await db.addColumnIfMissing('users', 'reset_token_expiry', 'DATETIME DEFAULT NULL');
+        await db.query('DROP TABLE IF EXISTS verification_codes');
+    }
+};
@@ -0,0 +1,18 @@
+// Codes texted by the SMS providers that don't keep their own (twilio-messaging, console; see sms-providers.js).
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS sms_codes (
+                phone      VARCHAR(32)       NOT NULL PRIMARY KEY,
+                code_hash  CHAR(64)          NOT NULL,
+                attempts   SMALLINT UNSIGNED NOT NULL DEFAULT 0,
+                expires_at DATETIME          NOT NULL,
+                KEY idx_sms_codes_expires (expires_at)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS sms_codes');
+    }
+};
@@ -0,0 +1,10 @@
+// When the "your event is coming up" email went out for a day pass (see sendEventReminders).
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('day_passes', 'reminder_sent_at', 'DATETIME DEFAULT NULL');
+    },
+
+    async down(db) {
+        await db.dropColumnIfExists('day_passes', 'reminder_sent_at');
+    }
+};
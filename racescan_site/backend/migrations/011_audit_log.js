@@ -0,0 +1,27 @@
+// Security-relevant account actions (e.g. data exports). user_id is cleared rather than
+// cascaded when an account is deleted, so the trail outlives the account.
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id         BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+                user_id    INT UNSIGNED DEFAULT NULL,
+                action     VARCHAR(64)  NOT NULL,
+                ip_address VARCHAR(64)  DEFAULT NULL,
+                user_agent VARCHAR(255) DEFAULT NULL,
+                details    JSON         DEFAULT NULL,
+                created_at DATETIME     DEFAULT CURRENT_TIMESTAMP,
+                KEY idx_audit_log_user (user_id, created_at),
+                KEY idx_audit_log_action (action, created_at),
+                CONSTRAINT fk_audit_log_user
+                    FOREIGN KEY (user_id)
+                    REFERENCES users (id)
+                    ON DELETE SET NULL
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS audit_log');
+    }
+};
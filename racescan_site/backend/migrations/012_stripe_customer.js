@@ -0,0 +1,14 @@
+// The Stripe customer behind a user's payments, needed to open the billing portal, and
+// whether their subscription is set to end with the current period instead of renewing.
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('users', 'stripe_customer_id', 'VARCHAR(255) DEFAULT NULL');
+        await db.addColumnIfMissing('users', 'cancel_at_period_end', 'TINYINT(1) DEFAULT 0');
+        await db.addIndexIfMissing('users', 'idx_users_stripe_customer', 'INDEX idx_users_stripe_customer (stripe_customer_id)');
+    },
+
+    async down(db) {
+        await db.dropColumnIfExists('users', 'cancel_at_period_end');
+        await db.dropColumnIfExists('users', 'stripe_customer_id');
+    }
+};
@@ -0,0 +1,28 @@
+// Events picked for a day-pass checkout that has not been paid yet. Rows move into day_passes
+// only when Stripe confirms the payment for their checkout session.
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS day_pass_selections (
+                id                  INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+                user_id             INT UNSIGNED          NOT NULL,
+                checkout_session_id VARCHAR(255)          NOT NULL,
+                event_id            VARCHAR(64)           NOT NULL,
+                event_name          VARCHAR(255)          NOT NULL,
+                event_date          VARCHAR(64)           NOT NULL,
+                created_at          DATETIME      DEFAULT CURRENT_TIMESTAMP,
+                fulfilled_at        DATETIME      DEFAULT NULL,
+                UNIQUE KEY uq_day_pass_selection (checkout_session_id, event_id),
+                KEY idx_day_pass_selections_user (user_id),
+                CONSTRAINT fk_day_pass_selections_user
+                    FOREIGN KEY (user_id)
+                    REFERENCES users (id)
+                    ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS day_pass_selections');
+    }
+};
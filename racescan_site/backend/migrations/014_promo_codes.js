@@ -0,0 +1,80 @@
+// Locally defined promo codes (discounts applied through Stripe Checkout, or comp codes that
+// grant access outright), who redeemed them, and complimentary passes issued without payment.
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS promo_codes (
+                id               INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+                code             VARCHAR(64)           NOT NULL,
+                description      VARCHAR(255)  DEFAULT NULL,
+                kind             VARCHAR(16)           NOT NULL,
+                plan             VARCHAR(32)   DEFAULT NULL,
+                percent_off      DECIMAL(5, 2) DEFAULT NULL,
+                amount_off_cents INT UNSIGNED  DEFAULT NULL,
+                duration         VARCHAR(16)   DEFAULT 'once',
+                duration_months  INT UNSIGNED  DEFAULT NULL,
+                stripe_coupon_id VARCHAR(255)  DEFAULT NULL,
+                comp_event_id    VARCHAR(64)   DEFAULT NULL,
+                comp_days        INT UNSIGNED  DEFAULT NULL,
+                comp_category    VARCHAR(32)   DEFAULT NULL,
+                max_redemptions  INT UNSIGNED  DEFAULT NULL,
+                times_redeemed   INT UNSIGNED          NOT NULL DEFAULT 0,
+                expires_at       DATETIME      DEFAULT NULL,
+                disabled_at      DATETIME      DEFAULT NULL,
+                created_at       DATETIME      DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE KEY uq_promo_codes_code (code)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS promo_redemptions (
+                id                  INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+                promo_code_id       INT UNSIGNED          NOT NULL,
+                user_id             INT UNSIGNED          NOT NULL,
+                checkout_session_id VARCHAR(255)  DEFAULT NULL,
+                redeemed_at         DATETIME      DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE KEY uq_promo_redemption (promo_code_id, user_id),
+                KEY idx_promo_redemptions_user (user_id),
+                CONSTRAINT fk_promo_redemptions_code
+                    FOREIGN KEY (promo_code_id)
+                    REFERENCES promo_codes (id)
+                    ON DELETE CASCADE,
+                CONSTRAINT fk_promo_redemptions_user
+                    FOREIGN KEY (user_id)
+                    REFERENCES users (id)
+                    ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+
+        // event_id NULL means every event until ends_at (NULL ends_at: until revoked).
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS comp_passes (
+                id            INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+                user_id       INT UNSIGNED          NOT NULL,
+                event_id      VARCHAR(64)   DEFAULT NULL,
+                category      VARCHAR(32)           NOT NULL,
+                note          VARCHAR(255)  DEFAULT NULL,
+                promo_code_id INT UNSIGNED  DEFAULT NULL,
+                issued_by     VARCHAR(255)  DEFAULT NULL,
+                ends_at       DATETIME      DEFAULT NULL,
+                revoked_at    DATETIME      DEFAULT NULL,
+                created_at    DATETIME      DEFAULT CURRENT_TIMESTAMP,
+                KEY idx_comp_passes_user (user_id),
+                CONSTRAINT fk_comp_passes_user
+                    FOREIGN KEY (user_id)
+                    REFERENCES users (id)
+                    ON DELETE CASCADE,
+                CONSTRAINT fk_comp_passes_code
+                    FOREIGN KEY (promo_code_id)
+                    REFERENCES promo_codes (id)
+                    ON DELETE SET NULL
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS comp_passes');
+        await db.query('DROP TABLE IF EXISTS promo_redemptions');
+        await db.query('DROP TABLE IF EXISTS promo_codes');
+    }
+};
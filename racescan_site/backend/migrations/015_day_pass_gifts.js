@@ -0,0 +1,39 @@
+// Day passes bought for someone else. A paid gift checkout stores its events here with a claim
+// token (hashed); the passes move into day_passes for whoever claims the emailed link.
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS day_pass_gifts (
+                id                    INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+                checkout_session_id   VARCHAR(255)          NOT NULL,
+                purchaser_id          INT UNSIGNED  DEFAULT NULL,
+                recipient_email       VARCHAR(255)          NOT NULL,
+                message               VARCHAR(500)  DEFAULT NULL,
+                events                JSON                  NOT NULL,
+                token_hash            CHAR(64)              NOT NULL,
+                stripe_payment_intent VARCHAR(128)  DEFAULT NULL,
+                created_at            DATETIME      DEFAULT CURRENT_TIMESTAMP,
+                sent_at               DATETIME      DEFAULT NULL,
+                claimed_by            INT UNSIGNED  DEFAULT NULL,
+                claimed_at            DATETIME      DEFAULT NULL,
+                revoked_at            DATETIME      DEFAULT NULL,
+                UNIQUE KEY uq_day_pass_gifts_checkout (checkout_session_id),
+                UNIQUE KEY uq_day_pass_gifts_token (token_hash),
+                KEY idx_day_pass_gifts_purchaser (purchaser_id),
+                KEY idx_day_pass_gifts_payment (stripe_payment_intent),
+                CONSTRAINT fk_day_pass_gifts_purchaser
+                    FOREIGN KEY (purchaser_id)
+                    REFERENCES users (id)
+                    ON DELETE SET NULL,
+                CONSTRAINT fk_day_pass_gifts_claimed_by
+                    FOREIGN KEY (claimed_by)
+                    REFERENCES users (id)
+                    ON DELETE SET NULL
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS day_pass_gifts');
+    }
+};
@@ -0,0 +1,29 @@
+// Race recordings captured by recorder.js: one audio file per event and driver, served for replay
+// by /api/archive. file_path is relative to RECORDINGS_DIR.
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS recordings (
+                id          INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+                event_id    VARCHAR(64)           NOT NULL,
+                driver_id   INT UNSIGNED          NOT NULL,
+                mount       VARCHAR(255)          NOT NULL,
+                file_path   VARCHAR(255)          NOT NULL,
+                status      VARCHAR(16)           NOT NULL DEFAULT 'recording',
+                bytes       BIGINT UNSIGNED       NOT NULL DEFAULT 0,
+                started_at  DATETIME      DEFAULT CURRENT_TIMESTAMP,
+                ended_at    DATETIME      DEFAULT NULL,
+                UNIQUE KEY uq_recordings_event_driver (event_id, driver_id),
+                KEY idx_recordings_driver (driver_id),
+                CONSTRAINT fk_recordings_driver
+                    FOREIGN KEY (driver_id)
+                    REFERENCES drivers (id)
+                    ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS recordings');
+    }
+};
@@ -0,0 +1,162 @@
+// Versioned schema migrations. Each file in ./migrations is `<number>_<name>.js` and
+// exports async up(db) / down(db); applied versions are recorded in schema_migrations.
+// `npm run migrate` applies them, and the server refuses to start while any are pending.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .map((file) => ({file, match: FILE_PATTERN.exec(file)}))
+        .filter(({match}) => match)
+        .map(({file, match}) => ({
+            version: Number(match[1]),
+            name: match[2],
+            file,
+            ...require(path.join(dir, file))
+        }))
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+        if (index && migration.version === migrations[index - 1].version) {
+            throw new Error(`Duplicate migration version ${migration.version}: ${migrations[index - 1].file} and ${migration.file}`);
+        }
+        if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+            throw new Error(`Migration ${migration.file} must export up() and down()`);
+        }
+    });
+
+    return migrations;
+}
+
+// What migrations get as `db`: plain queries plus the existence checks MySQL lacks in DDL.
+function createMigrationHelpers(conn) {
+    const query = async (sql, params = []) => {
+        const [rows] = await conn.query(sql, params);
+        return rows;
+    };
+
+    const columnExists = async (table, column) => {
+        const rows = await query(
+            `SELECT COUNT(*) AS cnt FROM INFORMATION_SCHEMA.COLUMNS
+             WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+            [table, column]
+        );
+        return Number(rows[0].cnt) > 0;
+    };
+
+    const indexExists = async (table, index) => {
+        const rows = await query(
+            `SELECT COUNT(*) AS cnt FROM INFORMATION_SCHEMA.STATISTICS
+             WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+            [table, index]
+        );
+        return Number(rows[0].cnt) > 0;
+    };
+
+    return {
+        query,
+        columnExists,
+        indexExists,
+        async addColumnIfMissing(table, column, definition) {
+            if (!(await columnExists(table, column))) {
+                await query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            }
+        },
+        async dropColumnIfExists(table, column) {
+            if (await columnExists(table, column)) {
+                await query(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+            }
+        },
+        async addIndexIfMissing(table, index, definition) {
+            if (!(await indexExists(table, index))) {
+                await query(`ALTER TABLE ${table} ADD ${definition}`);
+            }
+        }
+    };
+}
+
+async function ensureMigrationsTable(conn) {
+    await conn.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version    INT UNSIGNED PRIMARY KEY,
+            name       VARCHAR(255) NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+}
+
+async function appliedVersions(conn) {
+    try {
+        const [rows] = await conn.query('SELECT version FROM schema_migrations ORDER BY version');
+        return new Set(rows.map((row) => Number(row.version)));
+    } catch (err) {
+        if (err.code === 'ER_NO_SUCH_TABLE') {
+            return new Set();
+        }
+        throw err;
+    }
+}
+
+async function pendingMigrations(conn, migrations = loadMigrations()) {
+    const applied = await appliedVersions(conn);
+    return migrations.filter((migration) => !applied.has(migration.version));
+}
+
+/**
+ * Applies every pending migration in order. MySQL commits DDL implicitly, so
+ * a failure stops the run with earlier migrations kept and recorded.
+ */
+async function migrateUp(conn, {log = console.log} = {}) {
+    await ensureMigrationsTable(conn);
+    const db = createMigrationHelpers(conn);
+    const pending = await pendingMigrations(conn);
+
+    for (const migration of pending) {
+        log(`⬆️ Applying ${migration.file}`);
+        await migration.up(db);
+        await conn.query('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+    }
+    return pending;
+}
+
+// Reverts the most recently applied `steps` migrations.
+async function migrateDown(conn, {steps = 1, log = console.log} = {}) {
+    await ensureMigrationsTable(conn);
+    const db = createMigrationHelpers(conn);
+    const applied = await appliedVersions(conn);
+    const migrations = loadMigrations();
+    const unknown = [...applied].filter((version) => !migrations.some((migration) => migration.version === version));
+    if (unknown.length) {
+        throw new Error(`Applied migration(s) ${unknown.join(', ')} have no file here; refusing to roll back`);
+    }
+
+    const targets = migrations.filter((migration) => applied.has(migration.version)).reverse().slice(0, steps);
+    for (const migration of targets) {
+        log(`⬇️ Reverting ${migration.file}`);
+        await migration.down(db);
+        await conn.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    }
+    return targets;
+}
+
+// Startup guard: throws when the database is behind the migrations shipped with this build.
+async function assertSchemaCurrent(conn) {
+    const pending = await pendingMigrations(conn);
+    if (pending.length) {
+        const error = new Error(`Database schema is out of date; pending migration(s): ${pending.map((m) => m.file).join(', ')}`);
+        error.pending = pending;
+        throw error;
+    }
+}
+
+module.exports = {
+    loadMigrations,
+    appliedVersions,
+    pendingMigrations,
+    migrateUp,
+    migrateDown,
+    assertSchemaCurrent
+};
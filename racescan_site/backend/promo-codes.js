@@ -0,0 +1,321 @@
+// Promo codes typed in at checkout, and complimentary passes.
+//   Local codes live in promo_codes: percent or amount discounts, applied through a Stripe coupon
+//   created the first time the code is used, or comp codes that grant a comp pass with no payment.
+//   Anything not found locally is looked up as a Stripe promotion code.
+// Comp passes (comp_passes) are what entitlements.js checks; operators also issue them directly
+// with scripts/comp-passes.js.
+const COMP_CATEGORIES = ['media', 'team', 'sponsor'];
+const CODE_PATTERN = /^[A-Z0-9_-]{3,64}$/;
+
+class PromoCodeError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.reason = reason;
+    }
+}
+
+const PLAN_NAMES = {
+    'day-pass': 'Day Pass',
+    unlimited: 'Unlimited'
+};
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const formatDollars = (cents) => `$${(Number(cents) / 100).toFixed(2)}`;
+
+function summarize(promo) {
+    if (promo.kind === 'comp') {
+        if (promo.compEventId) {
+            return `Complimentary pass for ${promo.compEventId}`;
+        }
+        return `Complimentary access to every event for ${promo.compDays} day(s)`;
+    }
+    const amount = promo.kind === 'percent' ? `${Number(promo.percentOff)}% off` : `${formatDollars(promo.amountOffCents)} off`;
+    if (promo.duration === 'repeating' && promo.durationMonths) {
+        return `${amount} for ${promo.durationMonths} month(s)`;
+    }
+    return promo.duration === 'forever' ? `${amount} every billing period` : amount;
+}
+
+module.exports = function createPromoCodes({execute, stripe}) {
+    const fromRow = (row) => ({
+        source: 'local',
+        id: row.id,
+        code: row.code,
+        description: row.description,
+        kind: row.kind,
+        plan: row.plan,
+        percentOff: row.percent_off === null ? null : Number(row.percent_off),
+        amountOffCents: row.amount_off_cents,
+        duration: row.duration,
+        durationMonths: row.duration_months,
+        stripeCouponId: row.stripe_coupon_id,
+        compEventId: row.comp_event_id,
+        compDays: row.comp_days,
+        compCategory: row.comp_category
+    });
+
+    async function findLocal(code, {userId, plan, replaceCheckout}) {
+        const load = () => execute(
+            `SELECT *, expires_at IS NOT NULL AND expires_at <= UTC_TIMESTAMP() AS expired
+             FROM promo_codes WHERE code = ?`,
+            [code]
+        );
+        let rows = await load();
+        if (!rows.length) {
+            return null;
+        }
+        // Starting checkout again gives up the redemption an unfinished one reserved.
+        if (replaceCheckout && userId && await releaseAbandoned(rows[0].id, userId)) {
+            rows = await load();
+        }
+        const row = rows[0];
+        if (row.disabled_at) {
+            throw new PromoCodeError('disabled', 'This code is no longer valid.');
+        }
+        if (Number(row.expired)) {
+            throw new PromoCodeError('expired', 'This code has expired.');
+        }
+        if (row.max_redemptions !== null && row.times_redeemed >= row.max_redemptions) {
+            throw new PromoCodeError('used_up', 'This code has reached its redemption limit.');
+        }
+        if (row.kind !== 'comp' && row.plan && plan && row.plan !== plan) {
+            throw new PromoCodeError('wrong_plan', `This code only applies to the ${PLAN_NAMES[row.plan] || row.plan} plan.`);
+        }
+        if (userId) {
+            const used = await execute('SELECT 1 FROM promo_redemptions WHERE promo_code_id = ? AND user_id = ?', [row.id, userId]);
+            if (used.length) {
+                throw new PromoCodeError('already_redeemed', 'You have already used this code.');
+            }
+        }
+        return fromRow(row);
+    }
+
+    // Stripe enforces its own limits, expiry and product restrictions when the session is created.
+    async function findStripe(code) {
+        if (!stripe) {
+            return null;
+        }
+        const {data} = await stripe.promotionCodes.list({code, active: true, limit: 1});
+        const promotionCode = data[0];
+        if (!promotionCode) {
+            return null;
+        }
+        const coupon = promotionCode.coupon || {};
+        return {
+            source: 'stripe',
+            id: promotionCode.id,
+            code: promotionCode.code,
+            description: coupon.name || null,
+            kind: coupon.percent_off ? 'percent' : 'amount',
+            plan: null,
+            percentOff: coupon.percent_off ?? null,
+            amountOffCents: coupon.amount_off ?? null,
+            duration: coupon.duration,
+            durationMonths: coupon.duration_in_months ?? null
+        };
+    }
+
+    /**
+     * Looks a code up for `userId` buying `plan` (either may be omitted).
+     * With `replaceCheckout`, a checkout the user left open releases its
+     * reservation of the code first. Resolves to the promo, or throws a PromoCodeError
+     * with reason invalid, not_found, disabled, expired, used_up, wrong_plan or already_redeemed.
+     */
+    async function find(rawCode, {userId = null, plan = null, replaceCheckout = false} = {}) {
+        const code = normalizeCode(rawCode);
+        if (!CODE_PATTERN.test(code)) {
+            throw new PromoCodeError('invalid', 'Enter a valid promo code.');
+        }
+        const promo = await findLocal(code, {userId, plan, replaceCheckout}) || await findStripe(code);
+        if (!promo) {
+            throw new PromoCodeError('not_found', "That code isn't valid.");
+        }
+        return promo;
+    }
+
+    // What the checkout pages show once a code is accepted.
+    const describe = (promo) => ({
+        code: promo.code,
+        kind: promo.kind,
+        plan: promo.plan,
+        description: promo.description,
+        percentOff: promo.percentOff,
+        amountOffCents: promo.amountOffCents,
+        summary: summarize(promo)
+    });
+
+    /**
+     * The `discounts` for a Checkout session. A local code gets one Stripe coupon, created on
+     * first use and reused after that; its limits are enforced here (see reserve()) rather than by Stripe.
+     */
+    async function checkoutDiscounts(promo) {
+        if (promo.source === 'stripe') {
+            return [{promotion_code: promo.id}];
+        }
+        if (promo.stripeCouponId) {
+            return [{coupon: promo.stripeCouponId}];
+        }
+
+        const coupon = await stripe.coupons.create({
+            name: promo.code.slice(0, 40),
+            ...(promo.kind === 'percent'
+                ? {percent_off: promo.percentOff}
+                : {amount_off: promo.amountOffCents, currency: 'usd'}),
+            duration: promo.duration || 'once',
+            ...(promo.duration === 'repeating' ? {duration_in_months: promo.durationMonths} : {}),
+            metadata: {promo_code_id: String(promo.id)}
+        });
+        await execute(
+            'UPDATE promo_codes SET stripe_coupon_id = ? WHERE id = ? AND stripe_coupon_id IS NULL',
+            [coupon.id, promo.id]
+        );
+        // Two first uses at once both create a coupon; everyone uses whichever was stored.
+        const rows = await execute('SELECT stripe_coupon_id FROM promo_codes WHERE id = ?', [promo.id]);
+        return [{coupon: rows[0]?.stripe_coupon_id || coupon.id}];
+    }
+
+    /**
+     * Counts a paid checkout against a local code. Checkouts reserve their redemption when they
+     * start (reserve()), so for those this finds it already counted. Safe to run twice for the
+     * same user and code; resolves to whether this call recorded it.
+     */
+    async function recordRedemption(promoCodeId, userId, checkoutSessionId = null) {
+        const result = await execute(
+            'INSERT IGNORE INTO promo_redemptions (promo_code_id, user_id, checkout_session_id) VALUES (?, ?, ?)',
+            [promoCodeId, userId, checkoutSessionId]
+        );
+        if (!result.affectedRows) {
+            return false;
+        }
+        await execute('UPDATE promo_codes SET times_redeemed = times_redeemed + 1 WHERE id = ?', [promoCodeId]);
+        return true;
+    }
+
+    /**
+     * Takes one of the code's redemptions for `userId`. The redemption row is
+     * claimed before the count, so a code is used once per account and never
+     * past its limit.
+     */
+    async function claim(promo, userId) {
+        const claimed = await execute(
+            'INSERT IGNORE INTO promo_redemptions (promo_code_id, user_id) VALUES (?, ?)',
+            [promo.id, userId]
+        );
+        if (!claimed.affectedRows) {
+            throw new PromoCodeError('already_redeemed', 'You have already used this code.');
+        }
+        const counted = await execute(
+            `UPDATE promo_codes SET times_redeemed = times_redeemed + 1
+             WHERE id = ?
+               AND disabled_at IS NULL
+               AND (max_redemptions IS NULL OR times_redeemed < max_redemptions)
+               AND (expires_at IS NULL OR expires_at > UTC_TIMESTAMP())`,
+            [promo.id]
+        );
+        if (!counted.affectedRows) {
+            await execute('DELETE FROM promo_redemptions WHERE promo_code_id = ? AND user_id = ?', [promo.id, userId]);
+            throw new PromoCodeError('used_up', 'This code has reached its redemption limit.');
+        }
+    }
+
+    /**
+     * Gives a reserved redemption back: the one held by `checkoutSessionId`, or
+     * with only `userId`, the one reserved for a session that was never created.
+     * Resolves to whether there was one.
+     */
+    async function release(promoCodeId, {userId = null, checkoutSessionId = null}) {
+        const result = checkoutSessionId
+            ? await execute('DELETE FROM promo_redemptions WHERE promo_code_id = ? AND checkout_session_id = ?', [promoCodeId, checkoutSessionId])
+            : await execute('DELETE FROM promo_redemptions WHERE promo_code_id = ? AND user_id = ? AND checkout_session_id IS NULL', [promoCodeId, userId]);
+        if (!result.affectedRows) {
+            return false;
+        }
+        await execute('UPDATE promo_codes SET times_redeemed = times_redeemed - 1 WHERE id = ? AND times_redeemed > 0', [promoCodeId]);
+        return true;
+    }
+
+    // A checkout the user left open still holds their redemption until it expires.
+    async function releaseAbandoned(promoCodeId, userId) {
+        const rows = await execute('SELECT checkout_session_id FROM promo_redemptions WHERE promo_code_id = ? AND user_id = ?', [promoCodeId, userId]);
+        const checkoutSessionId = rows[0]?.checkout_session_id;
+        if (!checkoutSessionId || !stripe) {
+            return false;
+        }
+        const session = await stripe.checkout.sessions.retrieve(checkoutSessionId);
+        if (session.status === 'complete') {
+            return false;
+        }
+        if (session.status === 'open') {
+            try {
+                await stripe.checkout.sessions.expire(checkoutSessionId);
+            } catch (error) {
+                // Paid for in the meantime.
+                console.warn(`⚠️ Could not expire checkout ${checkoutSessionId}:`, error.message);
+                return false;
+            }
+        }
+        return release(promoCodeId, {checkoutSessionId});
+    }
+
+    /**
+     * Reserves a local discount code for the checkout `userId` is about to
+     * start, so its limits hold while the session is open. Pass the session to
+     * attach() once it exists, or call release() if it couldn't be created.
+     * Throws a PromoCodeError (already_redeemed or used_up) when the code can't be had.
+     */
+    const reserve = (promo, userId) => claim(promo, userId);
+
+    // Ties a reservation to its checkout session, which releases it if it expires unpaid.
+    async function attach(promoCodeId, userId, checkoutSessionId) {
+        await execute(
+            'UPDATE promo_redemptions SET checkout_session_id = ? WHERE promo_code_id = ? AND user_id = ? AND checkout_session_id IS NULL',
+            [checkoutSessionId, promoCodeId, userId]
+        );
+    }
+
+    /**
+     * Adds a comp pass. With `eventId` it covers that event only, otherwise every
+     * event; it ends at `endsAt` ('YYYY-MM-DD HH:mm:ss' UTC), after `days`, or never.
+     */
+    async function grantComp(userId, {eventId = null, category, note = null, days = null, endsAt = null, promoCodeId = null, issuedBy = null}) {
+        if (!COMP_CATEGORIES.includes(category)) {
+            throw new Error(`Unknown comp category "${category}" (expected ${COMP_CATEGORIES.join(', ')})`);
+        }
+        const result = await execute(
+            `INSERT INTO comp_passes (user_id, event_id, category, note, promo_code_id, issued_by, ends_at)
+             VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, UTC_TIMESTAMP() + INTERVAL ? DAY))`,
+            [userId, eventId ? String(eventId).toUpperCase() : null, category, note, promoCodeId, issuedBy, endsAt, days]
+        );
+        const rows = await execute('SELECT id, event_id, category, ends_at FROM comp_passes WHERE id = ?', [result.insertId]);
+        return rows[0];
+    }
+
+    // Redeems a comp code for `userId`, once per account and within the code's limit.
+    async function redeemComp(promo, userId) {
+        if (promo.kind !== 'comp') {
+            throw new PromoCodeError('not_comp', 'This code gives a discount at checkout; enter it when you choose a plan.');
+        }
+        await claim(promo, userId);
+        try {
+            return await grantComp(userId, {
+                eventId: promo.compEventId,
+                category: promo.compCategory,
+                days: promo.compEventId ? null : promo.compDays,
+                note: `Promo code ${promo.code}`,
+                promoCodeId: promo.id
+            });
+        } catch (error) {
+            // No pass, so the code isn't used up: give the redemption back and let them try again.
+            await release(promo.id, {userId});
+            throw error;
+        }
+    }
+
+    return {find, describe, checkoutDiscounts, reserve, attach, release, recordRedemption, grantComp, redeemComp};
+};
+
+module.exports.PromoCodeError = PromoCodeError;
+module.exports.COMP_CATEGORIES = COMP_CATEGORIES;
+module.exports.normalizeCode = normalizeCode;
+module.exports.CODE_PATTERN = CODE_PATTERN;
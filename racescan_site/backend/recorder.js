@@ -0,0 +1,156 @@
+// Records driver mounts to disk while their event is live (recordings), so a race can be replayed
+// after its Icecast mounts are gone. Each event/driver pair gets one MP3 file; when a source drops
+// and comes back during the event, the capture reopens that file and appends to it, which players
+// read straight through.
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const {promises: fsp} = fs;
+
+// Wait this long before reconnecting to a mount whose capture failed or ended on its own.
+const RETRY_MS = 30 * 1000;
+
+const safeSegment = (value) => String(value).replace(/[^A-Za-z0-9_-]/g, '_');
+
+module.exports = function createRecorder({execute, dir, icecastUrl, tokenFor}) {
+    const captures = new Map();
+    const lastEnded = new Map();
+
+    async function closeRecording(capture) {
+        const bytes = await fsp.stat(capture.absolutePath).then((stat) => stat.size).catch(() => 0);
+        await execute(
+            'UPDATE recordings SET bytes = ?, status = ?, ended_at = UTC_TIMESTAMP() WHERE id = ?',
+            [bytes, bytes ? 'complete' : 'failed', capture.recordingId]
+        );
+        console.log(`⏹️ Stopped recording ${capture.mount} for ${capture.eventId} (${bytes} bytes)`);
+    }
+
+    async function finish(capture) {
+        if (capture.done) {
+            return;
+        }
+        capture.done = true;
+        if (captures.get(capture.mount) === capture) {
+            captures.delete(capture.mount);
+        }
+        lastEnded.set(capture.mount, Date.now());
+        capture.request?.destroy();
+
+        await new Promise((resolve) => {
+            if (!capture.file || capture.file.closed) {
+                return resolve();
+            }
+            capture.file.once('close', resolve);
+            if (!capture.file.writableEnded) {
+                capture.file.end();
+            }
+        });
+        if (capture.recordingId) {
+            await closeRecording(capture);
+        }
+    }
+
+    async function start({eventId, driverId, mount}) {
+        const filePath = path.posix.join(safeSegment(eventId), `${safeSegment(driverId)}.mp3`);
+        const capture = {eventId, driverId, mount, absolutePath: path.join(dir, filePath), done: false};
+        // Claimed before the first await so the next sync doesn't start the same mount twice.
+        captures.set(mount, capture);
+
+        await fsp.mkdir(path.dirname(capture.absolutePath), {recursive: true});
+        await execute(
+            `INSERT INTO recordings (event_id, driver_id, mount, file_path)
+             VALUES (?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE mount    = VALUES(mount),
+                                     status   = 'recording',
+                                     ended_at = NULL`,
+            [eventId, driverId, mount, filePath]
+        );
+        const rows = await execute('SELECT id FROM recordings WHERE event_id = ? AND driver_id = ?', [eventId, driverId]);
+        capture.recordingId = rows[0].id;
+        // Stopped by a sync while the row was being written.
+        if (capture.done) {
+            return closeRecording(capture);
+        }
+
+        const url = new URL(mount, icecastUrl);
+        url.searchParams.set('token', tokenFor(mount));
+        const client = url.protocol === 'https:' ? https : http;
+        capture.request = client.get(url, {headers: {'Icy-MetaData': '0'}}, (icecastRes) => {
+            capture.request.setTimeout(0);
+            if (icecastRes.statusCode !== 200) {
+                icecastRes.resume();
+                console.warn(`⚠️ Could not record ${mount}: Icecast returned ${icecastRes.statusCode}`);
+                return finish(capture);
+            }
+            capture.file = fs.createWriteStream(capture.absolutePath, {flags: 'a'});
+            capture.file.on('error', (err) => {
+                console.error(`❌ Recording write failed for ${mount}:`, err.message);
+                finish(capture);
+            });
+            icecastRes.on('end', () => finish(capture));
+            icecastRes.on('aborted', () => finish(capture));
+            icecastRes.pipe(capture.file);
+            console.log(`⏺️ Recording ${mount} for ${eventId}`);
+        });
+        capture.request.setTimeout(10 * 1000, () => capture.request.destroy(new Error('Icecast did not respond')));
+        capture.request.on('error', (err) => {
+            if (!capture.done) {
+                console.warn(`⚠️ Recording connection lost for ${mount}:`, err.message);
+            }
+            finish(capture);
+        });
+    }
+
+    /**
+     * Brings the running captures in line with what should be recorded: every
+     * live rostered mount in the class of an event that is inside its live
+     * window. `events` come from resolveLiveStatus, `mounts` from the Icecast poller.
+     */
+    async function sync(events, mounts) {
+        const wanted = new Map();
+        events.forEach((event) => {
+            mounts
+                .filter((mount) => mount.driverId && mount.classType === event.classType && !wanted.has(mount.mount))
+                .forEach((mount) => wanted.set(mount.mount, {eventId: event.raceId, driverId: mount.driverId, mount: mount.mount}));
+        });
+
+        const stopping = [];
+        captures.forEach((capture, mount) => {
+            if (wanted.get(mount)?.eventId !== capture.eventId) {
+                stopping.push(finish(capture));
+            }
+        });
+        await Promise.all(stopping);
+
+        const now = Date.now();
+        const starting = [];
+        wanted.forEach((target, mount) => {
+            if (!captures.has(mount) && now - (lastEnded.get(mount) || 0) >= RETRY_MS) {
+                starting.push(start(target).catch((err) => {
+                    console.error(`❌ Could not start recording ${mount}:`, err.message);
+                    const capture = captures.get(mount);
+                    return capture ? finish(capture) : null;
+                }));
+            }
+        });
+        await Promise.all(starting);
+    }
+
+    // Recordings left open by a previous process that stopped mid-race.
+    async function recover() {
+        const rows = await execute("SELECT id, file_path FROM recordings WHERE status = 'recording'");
+        for (const row of rows) {
+            const bytes = await fsp.stat(path.join(dir, row.file_path)).then((stat) => stat.size).catch(() => 0);
+            await execute(
+                'UPDATE recordings SET bytes = ?, status = ?, ended_at = COALESCE(ended_at, UTC_TIMESTAMP()) WHERE id = ?',
+                [bytes, bytes ? 'complete' : 'failed', row.id]
+            );
+        }
+        return rows.length;
+    }
+
+    const isRecording = (mount) => captures.has(mount);
+
+    return {sync, recover, isRecording};
+};
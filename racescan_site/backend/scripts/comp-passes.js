@@ -0,0 +1,104 @@
+// Issues complimentary passes (comp_passes) to media, teams and sponsors: access with no payment.
+// Usage: npm run comp -- grant EMAIL --category media|team|sponsor [--event RACE_ID] [--days N | --until YYYY-MM-DD] [--note "text"]
+//        npm run comp -- list [EMAIL]
+//        npm run comp -- revoke ID
+// Without --event the pass covers every event; without --days or --until it lasts until revoked.
+// The person needs a RaceScan account first; comp codes (npm run promo) suit people who don't have one yet.
+const os = require('os');
+const {parseArgs} = require('util');
+const mysql = require('mysql2/promise');
+const createPromoCodes = require('../promo-codes');
+require('dotenv').config();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+async function grant(conn, email, options) {
+    const [users] = await conn.execute('SELECT id FROM users WHERE email = ?', [String(email || '').trim().toLowerCase()]);
+    if (!users.length) {
+        throw new Error(`No account for ${email}; they need to sign up first`);
+    }
+    if (options.days && options.until) {
+        throw new Error('Give --days or --until, not both');
+    }
+    if (options.until && !DATE_PATTERN.test(options.until)) {
+        throw new Error('--until must be a date like 2026-12-31');
+    }
+    const days = options.days ? Number(options.days) : null;
+    if (days !== null && !(Number.isInteger(days) && days > 0)) {
+        throw new Error('--days must be a whole number above 0');
+    }
+
+    const execute = async (sql, params) => (await conn.execute(sql, params))[0];
+    const pass = await createPromoCodes({execute, stripe: null}).grantComp(users[0].id, {
+        eventId: options.event || null,
+        category: options.category,
+        note: options.note || null,
+        days,
+        endsAt: options.until ? `${options.until} 23:59:59` : null,
+        issuedBy: os.userInfo().username
+    });
+    console.log(`✅ Comp pass ${pass.id} for ${email}: ${pass.event_id || 'all events'} until ${pass.ends_at || 'revoked'}`);
+}
+
+async function list(conn, email) {
+    const [rows] = await conn.execute(
+        `SELECT p.id, u.email, p.event_id, p.category, p.note, p.ends_at, p.revoked_at
+         FROM comp_passes p JOIN users u ON u.id = p.user_id
+         WHERE (? IS NULL OR u.email = ?)
+         ORDER BY p.created_at DESC`,
+        [email || null, email || null]
+    );
+    rows.forEach((row) => {
+        const state = row.revoked_at ? `revoked ${row.revoked_at}` : `until ${row.ends_at || 'revoked'}`;
+        console.log(`#${row.id} ${row.email} ${row.category} ${row.event_id || 'all events'} ${state}${row.note ? ` (${row.note})` : ''}`);
+    });
+    console.log(`${rows.length} pass(es)`);
+}
+
+async function main() {
+    const {positionals, values} = parseArgs({
+        allowPositionals: true,
+        options: {
+            category: {type: 'string'},
+            event: {type: 'string'},
+            days: {type: 'string'},
+            until: {type: 'string'},
+            note: {type: 'string'}
+        }
+    });
+    const [command = 'list', arg] = positionals;
+
+    const conn = await mysql.createConnection({
+        host: process.env.DB_HOST || 'localhost',
+        user: process.env.DB_USER,
+        password: process.env.DB_PASS,
+        database: process.env.DB_NAME,
+        dateStrings: true
+    });
+
+    try {
+        if (command === 'grant') {
+            await grant(conn, arg, values);
+        } else if (command === 'list') {
+            await list(conn, arg);
+        } else if (command === 'revoke') {
+            const [result] = await conn.execute(
+                'UPDATE comp_passes SET revoked_at = UTC_TIMESTAMP() WHERE id = ? AND revoked_at IS NULL',
+                [Number(arg) || 0]
+            );
+            if (!result.affectedRows) {
+                throw new Error(`No active comp pass #${arg}`);
+            }
+            console.log(`✅ Revoked comp pass #${arg}`);
+        } else {
+            throw new Error(`Unknown command "${command}" (expected grant, list or revoke)`);
+        }
+    } finally {
+        await conn.end();
+    }
+}
+
+main().catch((err) => {
+    console.error('❌ Comp pass command failed:', err.message);
+    process.exitCode = 1;
+});
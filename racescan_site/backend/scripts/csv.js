@@ -0,0 +1,39 @@
+// Minimal CSV helpers shared by the one-time importers.
+
+// Splits one CSV line, honouring quoted fields and doubled quotes.
+const parseCsvRow = (line = '') => {
+    const out = [];
+    let cur = '';
+    let inQ = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (ch === '"') {
+            if (inQ && line[i + 1] === '"') {
+                cur += '"';
+                i++;
+            } else {
+                inQ = !inQ;
+            }
+        } else if (ch === ',' && !inQ) {
+            out.push(cur.trim());
+            cur = '';
+        } else {
+            cur += ch;
+        }
+    }
+    out.push(cur.trim());
+    return out;
+};
+
+// Returns the lower-cased header and a column getter for a CSV document.
+const readCsv = (csvText) => {
+    const lines = csvText.split(/\r?\n/).filter((line) => line.trim());
+    const header = parseCsvRow(lines[0] || '').map((h) => h.toLowerCase());
+    return {
+        header,
+        rows: lines.slice(1).map(parseCsvRow),
+        col: (cols, name) => cols[header.indexOf(name)] || ''
+    };
+};
+
+module.exports = {parseCsvRow, readCsv};
@@ -0,0 +1,112 @@
+// One-time importer that loads frontend/drivers/drivers.csv into drivers/driver_classes.
+// Usage: npm run import:drivers -- [path/to/drivers.csv]
+// Safe to re-run: drivers are upserted by name slug and class entries by mount.
+const fs = require('fs');
+const path = require('path');
+const mysql = require('mysql2/promise');
+const {readCsv} = require('./csv');
+require('dotenv').config();
+
+const DEFAULT_CSV = path.resolve(__dirname, '../../frontend/drivers/drivers.csv');
+
+const slugify = (value = '', fallback = '') => {
+    const v = String(value || '')
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return v || String(fallback || '');
+};
+
+// Mount naming must stay in sync with RunStreamer.sh on the streaming host (class-number-name).
+const buildMount = (klass, number, name) => (
+    `/${slugify(klass, 'class')}-${slugify(number, 'na')}-${slugify(name || number, 'driver')}.mp3`
+);
+
+const toNumber = (value) => {
+    const cleaned = String(value || '').replace(/[^0-9.]/g, '');
+    return cleaned ? Number(cleaned) : null;
+};
+
+function parseDrivers(csvText) {
+    const {rows, col} = readCsv(csvText);
+    const drivers = new Map();
+
+    rows.forEach((cols, index) => {
+        const name = col(cols, 'driver name');
+        const number = col(cols, 'driver number');
+        const klass = col(cols, 'class').toUpperCase();
+        if (!name || !number || !klass) {
+            console.warn(`⚠️ Line ${index + 2}: missing name, number or class, skipped`);
+            return;
+        }
+
+        const slug = slugify(name, 'driver');
+        if (!drivers.has(slug)) {
+            drivers.set(slug, {slug, name, state: col(cols, 'state') || 'USA', classes: []});
+        }
+
+        drivers.get(slug).classes.push({
+            klass,
+            number,
+            logo: col(cols, 'number_logo') || null,
+            frequencyHz: toNumber(col(cols, 'frequency_1 (hz)')),
+            toneHz: toNumber(col(cols, 'tc')),
+            mount: buildMount(klass, number, name)
+        });
+    });
+
+    return Array.from(drivers.values());
+}
+
+async function main() {
+    const csvPath = path.resolve(process.argv[2] || DEFAULT_CSV);
+    const drivers = parseDrivers(fs.readFileSync(csvPath, 'utf8'));
+
+    const conn = await mysql.createConnection({
+        host: process.env.DB_HOST || 'localhost',
+        user: process.env.DB_USER,
+        password: process.env.DB_PASS,
+        database: process.env.DB_NAME
+    });
+
+    let entries = 0;
+    try {
+        await conn.beginTransaction();
+        for (const driver of drivers) {
+            await conn.execute(`
+                INSERT INTO drivers (slug, name, state)
+                VALUES (?, ?, ?)
+                ON DUPLICATE KEY UPDATE name  = VALUES(name),
+                                        state = VALUES(state)
+            `, [driver.slug, driver.name, driver.state]);
+            const [[{id}]] = await conn.execute('SELECT id FROM drivers WHERE slug = ?', [driver.slug]);
+
+            for (const entry of driver.classes) {
+                await conn.execute(`
+                    INSERT INTO driver_classes (driver_id, class, car_number, number_logo, frequency_hz, tone_hz, mount)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                    ON DUPLICATE KEY UPDATE driver_id    = VALUES(driver_id),
+                                            class        = VALUES(class),
+                                            car_number   = VALUES(car_number),
+                                            number_logo  = VALUES(number_logo),
+                                            frequency_hz = VALUES(frequency_hz),
+                                            tone_hz      = VALUES(tone_hz)
+                `, [id, entry.klass, entry.number, entry.logo, entry.frequencyHz, entry.toneHz, entry.mount]);
+                entries++;
+            }
+        }
+        await conn.commit();
+        console.log(`✅ Imported ${drivers.length} driver(s) with ${entries} class entr${entries === 1 ? 'y' : 'ies'} from ${csvPath}`);
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        await conn.end();
+    }
+}
+
+main().catch((err) => {
+    console.error('❌ Driver import failed:', err.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,107 @@
+// One-time importer that loads frontend/events/events.csv into the events table.
+// Usage: npm run import:events -- [path/to/events.csv]
+// Safe to re-run: rows are upserted by race ID.
+const fs = require('fs');
+const path = require('path');
+const mysql = require('mysql2/promise');
+const moment = require('moment-timezone');
+const {readCsv} = require('./csv');
+require('dotenv').config();
+
+const DEFAULT_CSV = path.resolve(__dirname, '../../frontend/events/events.csv');
+const TIMEZONE = process.env.EVENT_TIMEZONE || 'America/New_York';
+
+// The CSV reuses some race IDs (e.g. RACE024 twice); give later copies the lowest unused number.
+const nextFreeRaceId = (used) => {
+    for (let n = 1; ; n++) {
+        const candidate = `RACE${String(n).padStart(3, '0')}`;
+        if (!used.has(candidate)) {
+            return candidate;
+        }
+    }
+};
+
+function parseEvents(csvText) {
+    const {rows, col} = readCsv(csvText);
+    const used = new Set(rows.map((cols) => col(cols, 'raceid').toUpperCase()).filter(Boolean));
+    const seen = new Set();
+    const events = [];
+
+    rows.forEach((cols, index) => {
+        const lineNo = index + 2;
+        let raceId = col(cols, 'raceid').toUpperCase();
+        const start = moment.tz(`${col(cols, 'date')} ${col(cols, 'time')}`, ['YYYY-MM-DD HH:mm', 'YYYY-M-D H:mm'], true, TIMEZONE);
+
+        if (!start.isValid()) {
+            console.warn(`⚠️ Line ${lineNo}: invalid date/time, skipped`);
+            return;
+        }
+
+        if (!raceId || seen.has(raceId)) {
+            const replacement = nextFreeRaceId(used);
+            console.warn(`⚠️ Line ${lineNo}: duplicate race ID ${raceId || '(blank)'} imported as ${replacement}`);
+            raceId = replacement;
+            used.add(raceId);
+        }
+        seen.add(raceId);
+
+        events.push({
+            raceId,
+            track: col(cols, 'track'),
+            location: col(cols, 'location') || null,
+            address: col(cols, 'address') || null,
+            image: col(cols, 'image') || null,
+            klass: col(cols, 'class').toUpperCase(),
+            startsAt: start.utc().format('YYYY-MM-DD HH:mm:ss')
+        });
+    });
+
+    return events;
+}
+
+async function main() {
+    const csvPath = path.resolve(process.argv[2] || DEFAULT_CSV);
+    const events = parseEvents(fs.readFileSync(csvPath, 'utf8'));
+    const invalid = events.filter((event) => !event.track || !event.klass);
+    if (invalid.length) {
+        throw new Error(`Rows missing track or class: ${invalid.map((event) => event.raceId).join(', ')}`);
+    }
+
+    const conn = await mysql.createConnection({
+        host: process.env.DB_HOST || 'localhost',
+        user: process.env.DB_USER,
+        password: process.env.DB_PASS,
+        database: process.env.DB_NAME,
+        timezone: 'Z'
+    });
+
+    try {
+        await conn.query("SET time_zone = 'UTC'");
+        await conn.beginTransaction();
+        for (const event of events) {
+            await conn.execute(`
+                INSERT INTO events (race_id, track, location, address, image, class, starts_at, timezone)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                ON DUPLICATE KEY UPDATE track     = VALUES(track),
+                                        location  = VALUES(location),
+                                        address   = VALUES(address),
+                                        image     = VALUES(image),
+                                        class     = VALUES(class),
+                                        starts_at = VALUES(starts_at),
+                                        timezone  = VALUES(timezone)
+            `, [event.raceId, event.track, event.location, event.address, event.image, event.klass, event.startsAt, TIMEZONE]);
+        }
+        await conn.commit();
+        console.log(`✅ Imported ${events.length} event(s) from ${csvPath}`);
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        await conn.end();
+    }
+}
+
+main().catch((err) => {
+    console.error('❌ Event import failed:', err.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,48 @@
+// Applies or reverts schema migrations from ../migrations.
+// Usage: npm run migrate                 apply everything pending
+//        npm run migrate -- status       list applied and pending migrations
+//        npm run migrate -- down [steps] revert the last migration (or the last <steps>)
+const mysql = require('mysql2/promise');
+const {loadMigrations, appliedVersions, migrateUp, migrateDown} = require('../migrator');
+require('dotenv').config();
+
+async function printStatus(conn) {
+    const applied = await appliedVersions(conn);
+    loadMigrations().forEach((migration) => {
+        console.log(`${applied.has(migration.version) ? '✅' : '⏳'} ${migration.file}`);
+    });
+}
+
+async function main() {
+    const [command = 'up', arg] = process.argv.slice(2);
+    const conn = await mysql.createConnection({
+        host: process.env.DB_HOST || 'localhost',
+        user: process.env.DB_USER,
+        password: process.env.DB_PASS,
+        database: process.env.DB_NAME,
+        timezone: 'Z'
+    });
+
+    try {
+        await conn.query("SET time_zone = 'UTC'");
+        if (command === 'up') {
+            const applied = await migrateUp(conn);
+            console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Schema is up to date');
+        } else if (command === 'down') {
+            const steps = Number(arg) || 1;
+            const reverted = await migrateDown(conn, {steps});
+            console.log(`✅ Reverted ${reverted.length} migration(s)`);
+        } else if (command === 'status') {
+            await printStatus(conn);
+        } else {
+            throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+        }
+    } finally {
+        await conn.end();
+    }
+}
+
+main().catch((err) => {
+    console.error('❌ Migration failed:', err.message);
+    process.exitCode = 1;
+});
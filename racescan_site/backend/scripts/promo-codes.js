@@ -0,0 +1,173 @@
+// Creates, lists and disables local promo codes (promo_codes). Customers enter them on the plan pages.
+// Usage: npm run promo -- create CODE --percent 20 [--plan day-pass|unlimited] [--duration once|forever|repeating] [--months N]
+//        npm run promo -- create CODE --amount 5.00 [same options as --percent]
+//        npm run promo -- create CODE --comp --category media|team|sponsor (--event RACE_ID | --days N)
+//        any create also takes [--max N] [--expires YYYY-MM-DD] [--description "text"]
+//        npm run promo -- list
+//        npm run promo -- disable CODE
+// Discount codes become a Stripe coupon the first time someone checks out with them, so
+// change a discount by disabling the code and creating a new one.
+const {parseArgs} = require('util');
+const mysql = require('mysql2/promise');
+const {COMP_CATEGORIES, CODE_PATTERN, normalizeCode} = require('../promo-codes');
+require('dotenv').config();
+
+const PLANS = ['day-pass', 'unlimited'];
+const DURATIONS = ['once', 'forever', 'repeating'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const positiveInt = (value, flag) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new Error(`--${flag} must be a whole number above 0`);
+    }
+    return number;
+};
+
+function buildCode(code, options) {
+    const kinds = ['percent', 'amount', 'comp'].filter((kind) => options[kind] !== undefined);
+    if (kinds.length !== 1) {
+        throw new Error('Give exactly one of --percent, --amount or --comp');
+    }
+    if (options.plan && !PLANS.includes(options.plan)) {
+        throw new Error(`--plan must be one of ${PLANS.join(', ')}`);
+    }
+    if (options.expires && !DATE_PATTERN.test(options.expires)) {
+        throw new Error('--expires must be a date like 2026-12-31');
+    }
+
+    const row = {
+        code,
+        description: options.description || null,
+        kind: kinds[0],
+        plan: options.plan || null,
+        percent_off: null,
+        amount_off_cents: null,
+        duration: options.duration || 'once',
+        duration_months: null,
+        comp_event_id: null,
+        comp_days: null,
+        comp_category: null,
+        max_redemptions: options.max ? positiveInt(options.max, 'max') : null,
+        // Codes stay valid through the whole expiry day (UTC).
+        expires_at: options.expires ? `${options.expires} 23:59:59` : null
+    };
+
+    if (row.kind === 'comp') {
+        if (!COMP_CATEGORIES.includes(options.category)) {
+            throw new Error(`--comp needs --category ${COMP_CATEGORIES.join('|')}`);
+        }
+        if (!options.event === !options.days) {
+            throw new Error('--comp needs either --event RACE_ID or --days N');
+        }
+        row.comp_category = options.category;
+        row.comp_event_id = options.event ? options.event.trim().toUpperCase() : null;
+        row.comp_days = options.days ? positiveInt(options.days, 'days') : null;
+        row.duration = null;
+        return row;
+    }
+
+    if (!DURATIONS.includes(row.duration)) {
+        throw new Error(`--duration must be one of ${DURATIONS.join(', ')}`);
+    }
+    if (row.duration === 'repeating') {
+        row.duration_months = positiveInt(options.months, 'months');
+    }
+    if (row.kind === 'percent') {
+        const percent = Number(options.percent);
+        if (!(percent > 0 && percent <= 100)) {
+            throw new Error('--percent must be above 0 and at most 100');
+        }
+        row.percent_off = percent;
+    } else {
+        const cents = Math.round(Number(options.amount) * 100);
+        if (!(cents > 0)) {
+            throw new Error('--amount must be a dollar amount above 0, e.g. 5.00');
+        }
+        row.amount_off_cents = cents;
+    }
+    return row;
+}
+
+const describeRow = (row) => {
+    if (row.kind === 'comp') {
+        return `comp ${row.comp_category}: ${row.comp_event_id || `all events for ${row.comp_days} day(s)`}`;
+    }
+    const amount = row.kind === 'percent' ? `${Number(row.percent_off)}% off` : `$${(row.amount_off_cents / 100).toFixed(2)} off`;
+    return `${amount} (${row.duration}${row.duration_months ? ` ${row.duration_months} months` : ''}) ${row.plan || 'any plan'}`;
+};
+
+async function main() {
+    const {positionals, values} = parseArgs({
+        allowPositionals: true,
+        options: {
+            percent: {type: 'string'},
+            amount: {type: 'string'},
+            comp: {type: 'boolean'},
+            plan: {type: 'string'},
+            duration: {type: 'string'},
+            months: {type: 'string'},
+            category: {type: 'string'},
+            event: {type: 'string'},
+            days: {type: 'string'},
+            max: {type: 'string'},
+            expires: {type: 'string'},
+            description: {type: 'string'}
+        }
+    });
+    const [command = 'list', rawCode] = positionals;
+    const code = normalizeCode(rawCode);
+    if (command !== 'list' && !CODE_PATTERN.test(code)) {
+        throw new Error('Codes are 3-64 letters, digits, dashes or underscores');
+    }
+
+    const conn = await mysql.createConnection({
+        host: process.env.DB_HOST || 'localhost',
+        user: process.env.DB_USER,
+        password: process.env.DB_PASS,
+        database: process.env.DB_NAME,
+        dateStrings: true
+    });
+
+    try {
+        if (command === 'create') {
+            const row = buildCode(code, values);
+            const columns = Object.keys(row);
+            await conn.query(
+                `INSERT INTO promo_codes (${columns.join(', ')}) VALUES (?)`,
+                [columns.map((column) => row[column])]
+            );
+            console.log(`✅ Created ${code}: ${describeRow(row)}`);
+        } else if (command === 'list') {
+            const [rows] = await conn.execute('SELECT * FROM promo_codes ORDER BY created_at DESC');
+            rows.forEach((row) => {
+                const state = row.disabled_at ? 'disabled' : `${row.times_redeemed}/${row.max_redemptions ?? '∞'} used`;
+                console.log(`${row.code.padEnd(20)} ${describeRow(row)}, ${state}${row.expires_at ? `, expires ${row.expires_at}` : ''}`);
+            });
+            console.log(`${rows.length} code(s)`);
+        } else if (command === 'disable') {
+            const [result] = await conn.execute(
+                'UPDATE promo_codes SET disabled_at = UTC_TIMESTAMP() WHERE code = ? AND disabled_at IS NULL',
+                [code]
+            );
+            if (!result.affectedRows) {
+                throw new Error(`No active code ${code}`);
+            }
+            console.log(`✅ Disabled ${code}`);
+        } else {
+            throw new Error(`Unknown command "${command}" (expected create, list or disable)`);
+        }
+    } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') {
+            throw new Error(`${code} already exists`);
+        }
+        throw err;
+    } finally {
+        await conn.end();
+    }
+}
+
+main().catch((err) => {
+    console.error('❌ Promo code command failed:', err.message);
+    process.exitCode = 1;
+});
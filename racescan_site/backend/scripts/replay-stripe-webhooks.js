@@ -0,0 +1,147 @@
+// Replays the recorded Stripe events in fixtures/stripe through a running server's webhook, signed
+// with STRIPE_WEBHOOK_SECRET, and checks the users and day_passes rows each one leaves behind.
+// Usage: npm run stripe:replay                 against http://127.0.0.1:$PORT/api/stripe/webhook
+//        npm run stripe:replay -- --url URL    against another server using the same database
+// The events belong to a throwaway user created for the run and deleted afterwards. None of them
+// make the server call the Stripe API, so no STRIPE_API_HOST (stripe-mock) is needed.
+const fs = require('fs');
+const path = require('path');
+const {parseArgs} = require('util');
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'stripe');
+
+// What each fixture should leave behind. `user` lists the users columns to compare.
+const STEPS = [
+    {
+        fixture: '01-checkout-unlimited.json',
+        user: {subscribed: 1, tier: 'unlimited', subscription_status: 'Active', stripe_subscription_id: 'sub_replay_{{run}}', stripe_customer_id: 'cus_replay_{{run}}'},
+        dayPasses: 0
+    },
+    {
+        fixture: '02-invoice-payment-failed.json',
+        user: {subscribed: 1, tier: 'unlimited', subscription_status: 'Past Due'},
+        dayPasses: 0
+    },
+    {
+        fixture: '03-invoice-paid.json',
+        user: {subscribed: 1, tier: 'unlimited', subscription_status: 'Active', next_billing_date: '2025-12-09 17:06:40'},
+        dayPasses: 0
+    },
+    {
+        fixture: '04-subscription-updated.json',
+        user: {subscribed: 1, tier: 'unlimited', subscription_status: 'Active', cancel_at_period_end: 1},
+        dayPasses: 0
+    },
+    {
+        fixture: '05-subscription-deleted.json',
+        user: {subscribed: 0, tier: null, subscription_status: 'Canceled', cancel_at_period_end: 0, next_billing_date: null},
+        dayPasses: 0
+    },
+    {
+        fixture: '06-checkout-day-pass.json',
+        user: {subscribed: 1, tier: 'day-pass', subscription_status: 'Active'},
+        dayPasses: 2
+    },
+    {
+        fixture: '07-charge-refunded.json',
+        user: {subscribed: 0, tier: null, subscription_status: 'Refunded'},
+        dayPasses: 0
+    }
+];
+
+const fill = (text, values) => text.replace(/\{\{(\w+)\}\}/g, (match, key) => String(values[key]));
+
+const formatValue = (value) => (value instanceof Date
+    ? value.toISOString().slice(0, 19).replace('T', ' ')
+    : value);
+
+async function post(url, payload, stripe, secret) {
+    const signature = stripe.webhooks.generateTestHeaderString({payload, secret});
+    const res = await fetch(url, {
+        method: 'POST',
+        headers: {'Content-Type': 'application/json', 'Stripe-Signature': signature},
+        body: payload
+    });
+    return {status: res.status, body: await res.json().catch(() => null)};
+}
+
+async function check(conn, step, values) {
+    const failures = [];
+    const [users] = await conn.execute('SELECT * FROM users WHERE id = ?', [values.userId]);
+    Object.entries(step.user).forEach(([column, expected]) => {
+        const want = typeof expected === 'string' ? fill(expected, values) : expected;
+        const actual = formatValue(users[0]?.[column]);
+        if (actual !== want) {
+            failures.push(`users.${column} is ${JSON.stringify(actual)}, expected ${JSON.stringify(want)}`);
+        }
+    });
+    const [[{count}]] = await conn.execute('SELECT COUNT(*) AS count FROM day_passes WHERE user_id = ?', [values.userId]);
+    if (Number(count) !== step.dayPasses) {
+        failures.push(`${count} day pass(es), expected ${step.dayPasses}`);
+    }
+    return failures;
+}
+
+async function main() {
+    const {values: options} = parseArgs({
+        options: {url: {type: 'string', default: `http://127.0.0.1:${Number(process.env.PORT) || 3000}/api/stripe/webhook`}}
+    });
+    const secret = process.env.STRIPE_WEBHOOK_SECRET;
+    if (!secret) {
+        throw new Error('STRIPE_WEBHOOK_SECRET must match the server being replayed against');
+    }
+    // Only the signing helpers are used; they never call the API.
+    const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY || 'sk_test_replay');
+
+    const conn = await mysql.createConnection({
+        host: process.env.DB_HOST || 'localhost',
+        user: process.env.DB_USER,
+        password: process.env.DB_PASS,
+        database: process.env.DB_NAME,
+        timezone: 'Z'
+    });
+
+    const run = Date.now().toString(36);
+    const values = {run, email: `stripe-replay+${run}@racescan.test`};
+    let failed = 0;
+    try {
+        await conn.query("SET time_zone = 'UTC'");
+        const [created] = await conn.execute(
+            "INSERT INTO users (first_name, last_name, email, password_hash, email_verified) VALUES ('Stripe', 'Replay', ?, '!', 1)",
+            [values.email]
+        );
+        values.userId = created.insertId;
+        console.log(`👤 Replaying as user ID ${values.userId} (${values.email})`);
+
+        for (const step of STEPS) {
+            const payload = fill(fs.readFileSync(path.join(FIXTURES_DIR, step.fixture), 'utf8'), values);
+            const {status, body} = await post(options.url, payload, stripe, secret);
+            const failures = status === 200 && body?.received && !body.ignored && !body.duplicate
+                ? await check(conn, step, values)
+                : [`webhook answered ${status} ${JSON.stringify(body)}`];
+            if (failures.length) {
+                failed += 1;
+                console.log(`❌ ${step.fixture}\n   ${failures.join('\n   ')}`);
+            } else {
+                console.log(`✅ ${step.fixture}`);
+            }
+        }
+    } finally {
+        if (values.userId) {
+            await conn.execute('DELETE FROM day_passes WHERE user_id = ?', [values.userId]);
+            await conn.execute('DELETE FROM users WHERE id = ?', [values.userId]);
+        }
+        await conn.execute('DELETE FROM stripe_events WHERE id LIKE ?', [`evt_replay_${run}_%`]);
+        await conn.end();
+    }
+
+    console.log(failed ? `❌ ${failed} of ${STEPS.length} event(s) failed` : `✅ All ${STEPS.length} events replayed`);
+    process.exitCode = failed ? 1 : 0;
+}
+
+main().catch((err) => {
+    console.error('❌ Replay failed:', err.message);
+    process.exitCode = 1;
+});
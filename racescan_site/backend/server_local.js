@@ -1,18 +1,36 @@
 const express = require('express');
 const session = require('express-session');
 const fs = require('fs');
+const http = require('http');
+const https = require('https');
 const {promises: fsp} = fs;
 const mysql = require('mysql2/promise');
 const bcrypt = require('bcrypt');
 const crypto = require('crypto');
-const nodemailer = require('nodemailer');
-const twilio = require('twilio');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
+const os = require('os');
 const moment = require('moment-timezone');
+const createMySqlSessionStore = require('./session-store');
+const {assertSchemaCurrent} = require('./migrator');
+const createVerificationCodes = require('./verification-codes');
+const createSmsProvider = require('./sms-providers');
+const createMailer = require('./mailer');
+const {escapeHtml} = require('./mail-templates');
+const createAccountExport = require('./account-export');
+const createEntitlements = require('./entitlements');
+const createPromoCodes = require('./promo-codes');
+const createDayPassGifts = require('./day-pass-gifts');
+const createRecorder = require('./recorder');
+const createHlsPackager = require('./hls-packager');
+const createTranscoder = require('./transcoder');
+const createVoiceActivityMonitor = require('./voice-activity');
+const {VerificationCodeError} = createVerificationCodes;
+const {PromoCodeError} = createPromoCodes;
+const {parseVariantMount} = createTranscoder;
 require('dotenv').config();
 
 const app = express();
@@ -37,15 +55,104 @@ const config = {
     nodeEnv: process.env.NODE_ENV || 'development',
     frontendDir: path.resolve(__dirname, '../frontend'),
     corsHosts: defaultDomains,
+    eventTimezone: process.env.EVENT_TIMEZONE || 'America/New_York',
+    // An event counts as live from leadMinutes before its start until durationMinutes after it.
+    live: {
+        leadMinutes: Number(process.env.LIVE_LEAD_MINUTES) || 30,
+        durationMinutes: Number(process.env.LIVE_DURATION_MINUTES) || 6 * 60
+    },
     stripe: {
         secretKey: process.env.STRIPE_SECRET_KEY || '',
+        webhookSecret: process.env.STRIPE_WEBHOOK_SECRET || '',
         priceDayPass: process.env.STRIPE_PRICE_DAY_PASS || '',
-        priceUnlimited: process.env.STRIPE_PRICE_UNLIMITED || ''
+        priceUnlimited: process.env.STRIPE_PRICE_UNLIMITED || '',
+        // Optional API override so webhooks and checkout can be exercised against stripe-mock.
+        apiHost: process.env.STRIPE_API_HOST || '',
+        apiPort: process.env.STRIPE_API_PORT || '',
+        apiProtocol: process.env.STRIPE_API_PROTOCOL || ''
+    },
+    auth: {
+        // Bearer tokens for the mobile app: short-lived signed access tokens plus rotating refresh tokens.
+        accessTokenSecret: process.env.ACCESS_TOKEN_SECRET || process.env.SESSION_SECRET || 'supersecretkey',
+        accessTokenTtlSeconds: Number(process.env.ACCESS_TOKEN_TTL) || 15 * 60,
+        refreshTokenTtlDays: Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 60,
+        // HMAC key for codes in verification_codes (email verification, password reset, phone change).
+        verificationCodeSecret: process.env.VERIFICATION_CODE_SECRET || process.env.SESSION_SECRET || 'supersecretkey'
+    },
+    icecast: {
+        // Where Icecast listens on the box; /api/stream pipes mounts from here.
+        url: process.env.ICECAST_URL || 'http://127.0.0.1:8500',
+        // Basic-auth password Icecast sends to the listener_add/listener_remove callbacks.
+        authSecret: process.env.ICECAST_AUTH_SECRET || '',
+        tokenSecret: process.env.PLAYBACK_TOKEN_SECRET || process.env.SESSION_SECRET || 'supersecretkey',
+        tokenTtlSeconds: Number(process.env.PLAYBACK_TOKEN_TTL) || 5 * 60,
+        // One poller feeds /api/mounts and its SSE stream, however many clients are watching.
+        pollIntervalMs: Number(process.env.ICECAST_POLL_MS) || 5 * 1000
+    },
+    recordings: {
+        // Every live driver mount is recorded here for /api/archive replays. Turn it off on all but
+        // one server when several share the database, or each would record the same race.
+        enabled: process.env.RECORDINGS_ENABLED !== 'false',
+        dir: path.resolve(process.env.RECORDINGS_DIR || path.join(__dirname, 'recordings'))
+    },
+    hls: {
+        // Live mounts are also packaged as HLS (/api/hls) with a rolling rewind window. Playlists
+        // are held in this process, so send each listener to one server when several run behind nginx.
+        enabled: process.env.HLS_ENABLED !== 'false',
+        dir: path.resolve(process.env.HLS_DIR || path.join(os.tmpdir(), 'racescan-hls')),
+        segmentSeconds: Number(process.env.HLS_SEGMENT_SECONDS) || 6,
+        windowSeconds: Number(process.env.HLS_WINDOW_SECONDS) || 5 * 60
+    },
+    transcode: {
+        // ffmpeg publishes Opus/AAC data-saver variants of each live mount back to Icecast (transcoder.js).
+        // Off by default: it needs ffmpeg and the Icecast source password, and the scanner pipeline may
+        // publish the variants itself. /api/mounts advertises them either way.
+        enabled: process.env.TRANSCODE_ENABLED === 'true',
+        ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+        sourcePassword: process.env.ICECAST_SOURCE_PASSWORD || ''
+    },
+    voiceActivity: {
+        // ffmpeg (FFMPEG_PATH above) measures each live mount so /api/mounts can say who is talking, which
+        // scan mode follows (voice-activity.js). Levels are in dBFS; scanner squelch tails sit well below -45.
+        enabled: process.env.VOICE_ACTIVITY_ENABLED === 'true',
+        thresholdDb: Number(process.env.VOICE_THRESHOLD_DB) || -40
+    },
+    mail: {
+        // smtp, gmail or file (see mailer.js). Unset: Gmail when EMAIL_USER and EMAIL_PASS are
+        // present, otherwise the file transport outside production.
+        transport: process.env.MAIL_TRANSPORT
+            || (process.env.EMAIL_USER && process.env.EMAIL_PASS ? 'gmail' : (process.env.NODE_ENV === 'production' ? '' : 'file')),
+        from: process.env.MAIL_FROM || `"RaceScan" <${process.env.EMAIL_USER || 'no-reply@racescan.racing'}>`,
+        smtp: {
+            host: process.env.SMTP_HOST || '',
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER || '',
+            pass: process.env.SMTP_PASS || ''
+        },
+        gmail: {
+            user: process.env.EMAIL_USER || '',
+            pass: process.env.EMAIL_PASS || ''
+        },
+        // Where the file transport keeps messages for /dev/mailbox.
+        mailboxDir: process.env.MAIL_DIR || path.join(os.tmpdir(), 'racescan-mailbox'),
+        // Day-pass holders are reminded this long before their event starts.
+        reminderLeadHours: Number(process.env.REMINDER_LEAD_HOURS) || 24
     },
-    twilio: {
-        accountSid: process.env.TWILIO_ACCOUNT_SID || '',
-        authToken: process.env.TWILIO_AUTH_TOKEN || '',
-        verifySid: process.env.TWILIO_VERIFY_SID || ''
+    sms: {
+        // twilio-verify, twilio-messaging or console (see sms-providers.js). Unset: Twilio Verify when
+        // TWILIO_VERIFY_SID is present, otherwise the console provider outside production.
+        provider: process.env.SMS_PROVIDER
+            || (process.env.TWILIO_VERIFY_SID ? 'twilio-verify' : (process.env.NODE_ENV === 'production' ? '' : 'console')),
+        // The console provider also appends every code here, for scripts and emulators to read.
+        logFile: process.env.SMS_LOG_FILE || '',
+        twilio: {
+            accountSid: process.env.TWILIO_ACCOUNT_SID || '',
+            authToken: process.env.TWILIO_AUTH_TOKEN || '',
+            verifySid: process.env.TWILIO_VERIFY_SID || '',
+            messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID || '',
+            fromNumber: process.env.TWILIO_FROM_NUMBER || ''
+        }
     }
 };
 
@@ -54,7 +161,7 @@ config.staticDir = path.join(config.frontendDir, 'static');
 config.partialsDir = path.join(config.staticDir, 'partials');
 config.slideshowDir = path.join(config.staticDir, 'images', 'slideshow_images');
 
-const requiredEnv = ['DB_USER', 'DB_PASS', 'DB_NAME', 'EMAIL_USER', 'EMAIL_PASS', 'STRIPE_SECRET_KEY'];
+const requiredEnv = ['DB_USER', 'DB_PASS', 'DB_NAME', 'STRIPE_SECRET_KEY'];
 const missingEnv = requiredEnv.filter((name) => !process.env[name]);
 if (missingEnv.length) {
     console.warn(`⚠️ Missing environment variables: ${missingEnv.join(', ')}`);
@@ -64,20 +171,40 @@ if (!config.stripe.priceDayPass || !config.stripe.priceUnlimited) {
     console.warn('⚠️ Stripe price IDs are missing; checkout may be limited.');
 }
 
+const stripeClientOptions = config.stripe.apiHost
+    ? {
+        host: config.stripe.apiHost,
+        port: config.stripe.apiPort || undefined,
+        protocol: config.stripe.apiProtocol || 'https'
+    }
+    : undefined;
+
 const stripe = config.stripe.secretKey
-    ? require('stripe')(config.stripe.secretKey)
+    ? require('stripe')(config.stripe.secretKey, stripeClientOptions)
     : null;
 
 if (!stripe) {
     console.warn('⚠️ Stripe secret key is missing; payment routes are disabled.');
 }
 
-const twilioClient = (config.twilio.accountSid && config.twilio.authToken && config.twilio.verifySid)
-    ? twilio(config.twilio.accountSid, config.twilio.authToken)
-    : null;
+if (stripe && !config.stripe.webhookSecret) {
+    console.warn('⚠️ STRIPE_WEBHOOK_SECRET is missing; Stripe webhooks will be rejected.');
+}
+
+const smsProvider = createSmsProvider(config.sms, {execute, secret: config.auth.verificationCodeSecret});
 
-if (!twilioClient) {
-    console.warn('⚠️ Twilio Verify not configured; SMS verification routes will be disabled.');
+if (!config.icecast.authSecret) {
+    console.warn('⚠️ ICECAST_AUTH_SECRET is missing; Icecast listener callbacks will reject every listener.');
+}
+
+if (config.transcode.enabled && !config.transcode.sourcePassword) {
+    console.warn('⚠️ ICECAST_SOURCE_PASSWORD is missing; data-saver variants will not be transcoded.');
+}
+
+if (!smsProvider) {
+    console.warn('⚠️ SMS provider not configured; SMS verification routes will be disabled.');
+} else if (smsProvider.name === 'console') {
+    console.warn(`⚠️ SMS provider is "console": codes are logged${config.sms.logFile ? ` and written to ${config.sms.logFile}` : ''}, not texted.`);
 }
 
 const pool = mysql.createPool({
@@ -112,40 +239,46 @@ pool.on('connection', (connection) => {
     });
 });
 
-(async () => {
-    try {
-        await ensureColumn('users', 'phone_number', 'VARCHAR(32) NULL');
-        await ensureColumn('users', 'phone_verified', 'TINYINT(1) DEFAULT 0');
-        const idx = await query(
-            `SELECT COUNT(*) as cnt FROM INFORMATION_SCHEMA.STATISTICS
-             WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'users' AND INDEX_NAME = 'uq_users_phone'`
-        );
-        if (idx[0]?.cnt === 0) {
-            await execute('ALTER TABLE users ADD UNIQUE INDEX uq_users_phone (phone_number)');
-        }
-    } catch (err) {
-        console.warn('⚠️ Unable to ensure phone columns exist:', err.message);
-    }
-})();
+const mailer = createMailer(config.mail);
 
-const mailTransport = (process.env.EMAIL_USER && process.env.EMAIL_PASS)
-    ? nodemailer.createTransport({
-        service: 'gmail',
-        auth: {
-            user: process.env.EMAIL_USER,
-            pass: process.env.EMAIL_PASS
-        }
-    })
-    : null;
+if (!mailer) {
+    console.warn('⚠️ Mail transport not configured; emails will not be sent.');
+} else if (mailer.capturesMail) {
+    console.warn(`⚠️ Mail transport is "file": messages are saved to ${config.mail.mailboxDir} and listed at /dev/mailbox, not sent.`);
+}
 
 const asyncHandler = (handler) => (req, res, next) => {
     Promise.resolve(handler(req, res, next)).catch(next);
 };
 
+// The website authenticates with the session cookie; the mobile app sends `Authorization: Bearer`.
+// Returns the user ID, undefined when neither is present, or null for a rejected Bearer token.
+function resolveRequestUserId(req) {
+    const bearer = readBearerToken(req);
+    if (bearer) {
+        return verifyAccessToken(bearer)?.uid || null;
+    }
+    return req.session?.userId || undefined;
+}
+
+// Either way the signed-in user ends up on req.userId.
 const requireAuth = (req, res, next) => {
-    if (!req.session || !req.session.userId) {
-        return res.status(401).json({success: false, message: 'Not authenticated'});
+    const userId = resolveRequestUserId(req);
+    if (!userId) {
+        const message = userId === null ? 'Invalid or expired access token' : 'Not authenticated';
+        return res.status(401).json({success: false, message});
     }
+    req.userId = userId;
+    return next();
+};
+
+// For routes that also serve signed-out visitors: req.userId is null when nobody is signed in.
+const optionalAuth = (req, res, next) => {
+    const userId = resolveRequestUserId(req);
+    if (userId === null) {
+        return res.status(401).json({success: false, message: 'Invalid or expired access token'});
+    }
+    req.userId = userId || null;
     return next();
 };
 
@@ -177,27 +310,60 @@ const safeJsonParse = (value, fallback = []) => {
     }
 };
 
-async function sendVerificationEmail(email, code) {
-    if (!mailTransport) {
+async function sendVerificationEmail(email, code, expiresInSeconds) {
+    if (!mailer) {
         console.warn('⚠️ Email transport not configured; skipping verification email.');
         return;
     }
 
-    await mailTransport.sendMail({
-        from: `"RaceScan" <${process.env.EMAIL_USER}>`,
-        to: email,
-        subject: 'Your RaceScan Verification Code',
-        html: `
-            <h2>Welcome to RaceScan!</h2>
-            <p>Your verification code is:</p>
-            <h1 style="background: #ff4d4d; color: white; padding: 10px 20px; display: inline-block;">${code}</h1>
-            <p>Enter this code on the website to verify your account.</p>
-            <p>If you did not request this, please ignore this email.</p>
-        `
+    const params = new URLSearchParams({email, code});
+    await mailer.send('verification', email, {
+        code,
+        verifyLink: `https://racescan.racing/verify-email?${params}`,
+        expiresInMinutes: Math.round(expiresInSeconds / 60)
     });
     console.log(`📩 Verification email sent to ${email}`);
 }
 
+// Receipts are a courtesy: a mail failure is logged rather than failing the payment webhook.
+async function sendReceiptEmail(userId, receipt) {
+    if (!mailer) {
+        return;
+    }
+    const users = await execute('SELECT email, first_name FROM users WHERE id = ?', [userId]);
+    if (!users.length) {
+        return;
+    }
+    try {
+        await mailer.send('receipt', users[0].email, {firstName: users[0].first_name, ...receipt});
+        console.log(`📩 Receipt sent to ${users[0].email}`);
+    } catch (error) {
+        console.warn(`⚠️ Failed to send receipt to ${users[0].email}:`, error.message);
+    }
+}
+
+// Answers a rejected verification code with the reason plus the time and attempts left;
+// anything that isn't a VerificationCodeError is rethrown for asyncHandler.
+function sendVerificationCodeError(res, error) {
+    if (!(error instanceof VerificationCodeError)) {
+        throw error;
+    }
+    return res.status(error.reason === 'cooldown' ? 429 : 400).json({
+        success: false,
+        message: error.message,
+        reason: error.reason,
+        ...error.details
+    });
+}
+
+// Same for a rejected promo code: the message is ready to show, the reason is for clients.
+function sendPromoCodeError(res, error) {
+    if (!(error instanceof PromoCodeError)) {
+        throw error;
+    }
+    return res.status(400).json({success: false, message: error.message, reason: error.reason});
+}
+
 async function execute(query, params = []) {
     const [rows] = await pool.execute(query, params);
     return rows;
@@ -208,261 +374,1458 @@ async function query(query, params = []) {
     return rows;
 }
 
-async function ensureColumn(table, column, definition) {
-    const rows = await query(
-        `SELECT COUNT(*) as cnt FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
-        [table, column]
-    );
-    if (rows[0]?.cnt === 0) {
-        console.log(`ℹ️ Adding column ${column} to ${table}`);
-        await execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
-    }
-}
+const STRIPE_STATUS_LABELS = {
+    active: 'Active',
+    trialing: 'Trialing',
+    past_due: 'Past Due',
+    unpaid: 'Unpaid',
+    canceled: 'Canceled',
+    incomplete: 'Incomplete',
+    incomplete_expired: 'Expired',
+    paused: 'Paused'
+};
 
-// Middleware
-app.set('trust proxy', 1);
-app.use(helmet({
-    contentSecurityPolicy: false,
-    crossOriginEmbedderPolicy: false
-}));
-app.use(compression());
-app.use(express.json({limit: '1mb'}));
-app.use(express.urlencoded({extended: true}));
-app.use(cors({
-    origin: (origin, callback) => {
-        if (!origin) {
-            return callback(null, true);
-        }
+// Subscription states that still grant listening access while Stripe retries payment.
+const STRIPE_ENTITLED_STATUSES = new Set(['active', 'trialing', 'past_due']);
 
-        try {
-            const {hostname} = new URL(origin);
-            if (config.corsHosts.has(hostname)) {
-                return callback(null, true);
-            }
-        } catch (error) {
-            console.warn(`⚠️ Unable to parse origin "${origin}":`, error.message);
-        }
+const toSqlDateTime = (unixSeconds) => (unixSeconds
+    ? moment.unix(unixSeconds).utc().format('YYYY-MM-DD HH:mm:ss')
+    : null);
 
-        console.warn(`🔒 Blocked CORS request from ${origin}`);
-        return callback(new Error('Not allowed by CORS'));
-    },
-    credentials: true,
-    methods: ['GET', 'POST', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
-}));
+const stripeId = (value) => (value && typeof value === 'object' ? value.id : value) || null;
 
-app.use(session({
-    secret: process.env.SESSION_SECRET || 'supersecretkey',
-    resave: false,
-    saveUninitialized: false,
-    cookie: {
-        path: '/',
-        secure: config.isProduction,
-        httpOnly: true,
-        sameSite: 'lax',
-        maxAge: 24 * 60 * 60 * 1000
-    }
-}));
+// Newer Stripe API versions moved these fields; accept both shapes.
+const getInvoiceSubscriptionId = (invoice) => stripeId(
+    invoice?.subscription || invoice?.parent?.subscription_details?.subscription
+);
 
-const authLimiter = rateLimit({
-    windowMs: 2 * 60 * 1000,
-    max: 30,
-    standardHeaders: true,
-    legacyHeaders: false,
-    skip: (req) => req.method !== 'POST',
-    skipSuccessfulRequests: true
-});
+const getInvoiceUserId = (invoice) => invoice?.subscription_details?.metadata?.user_id
+    || invoice?.parent?.subscription_details?.metadata?.user_id
+    || null;
 
-app.use(['/signup', '/login', '/verify-code', '/resend-code', '/api/reset-password-request', '/api/reset-password-confirm'], authLimiter);
+const getSubscriptionPeriodEnd = (subscription) => subscription?.current_period_end
+    || subscription?.items?.data?.[0]?.current_period_end
+    || null;
 
-app.use((req, res, next) => {
-    console.log(`🔎 [${req.method}] ${req.originalUrl}`);
-    next();
-});
+// Canceling from our account page sets cancel_at_period_end; the Stripe portal may set cancel_at instead.
+const isSubscriptionEnding = (subscription) => !!(subscription?.cancel_at_period_end || subscription?.cancel_at);
 
-// HTTPS redirect in production
-app.use((req, res, next) => {
-    if (config.isProduction && !req.secure) {
-        return res.redirect(`https://${req.headers.host}${req.originalUrl}`);
+async function findStripeUser({userId, subscriptionId, email}) {
+    if (userId) {
+        const rows = await execute('SELECT id FROM users WHERE id = ?', [userId]);
+        if (rows.length) {
+            return rows[0].id;
+        }
     }
-    return next();
-});
-
-// Static assets
-app.use('/', express.static(config.frontendDir));
-app.use('/static', express.static(config.staticDir));
-
-app.get('/navbar.html', (req, res) => {
-    res.sendFile(path.join(config.partialsDir, 'navbar.html'));
-});
-
-app.get('/navbar_authed.html', (req, res) => {
-    res.sendFile(path.join(config.partialsDir, 'navbar_authed.html'));
-});
 
-app.get('/api/health', asyncHandler(async (req, res) => {
-    const conn = await pool.getConnection();
-    try {
-        await conn.ping();
-        res.json({status: 'ok', uptime: process.uptime()});
-    } finally {
-        conn.release();
+    if (subscriptionId) {
+        const rows = await execute('SELECT id FROM users WHERE stripe_subscription_id = ?', [subscriptionId]);
+        if (rows.length) {
+            return rows[0].id;
+        }
     }
-}));
-
-app.post('/api/select-day-pass-event', requireAuth, asyncHandler(async (req, res) => {
-    const {selectedEvents} = req.body;
 
-    if (!Array.isArray(selectedEvents) || !selectedEvents.length) {
-        return res.status(400).json({success: false, message: 'No events selected'});
+    if (email) {
+        const rows = await execute('SELECT id FROM users WHERE email = ?', [normalizeEmail(email)]);
+        if (rows.length) {
+            return rows[0].id;
+        }
     }
 
-    const sanitized = selectedEvents
+    return null;
+}
+
+async function grantDayPasses(userId, events, paymentIntentId = null) {
+    const insertValues = events
         .map((event) => ({
             eventId: event?.eventId,
             name: String(event?.name || '').trim(),
             date: String(event?.date || '').trim()
         }))
-        .filter((event) => event.eventId && event.name && event.date);
+        .filter((event) => event.eventId && event.name && event.date)
+        .map((event) => [userId, event.eventId, event.name, event.date, paymentIntentId]);
 
-    if (!sanitized.length) {
-        return res.status(400).json({success: false, message: 'Invalid event payload'});
+    if (!insertValues.length) {
+        return 0;
     }
 
-    const insertValues = sanitized.map((event) => [
-        req.session.userId,
-        event.eventId,
-        event.name,
-        event.date
-    ]);
-
     await query(
-        'INSERT INTO day_passes (user_id, event_id, event_name, event_date) VALUES ?',
+        'INSERT IGNORE INTO day_passes (user_id, event_id, event_name, event_date, stripe_payment_intent) VALUES ?',
         [insertValues]
     );
+    return insertValues.length;
+}
 
-    res.json({success: true, inserted: sanitized.length});
-}));
+// Passes alone never downgrade an active unlimited subscription.
+async function markDayPassHolder(userId) {
+    await execute(`
+        UPDATE users
+        SET subscription_status = IF(tier = 'unlimited', subscription_status, 'Active'),
+            subscribed          = 1,
+            tier                = IF(tier = 'unlimited', tier, 'day-pass')
+        WHERE id = ?
+    `, [userId]);
+}
 
-app.post('/signup', asyncHandler(async (req, res) => {
-    console.log('🔹 Signup route hit');
-    const {firstName, lastName, email, password, phone, channel} = req.body;
+// The reverse, once a day-pass holder has given their last pass away.
+async function clearDayPassHolder(userId) {
+    await execute(`
+        UPDATE users
+        SET subscribed          = 0,
+            tier                = NULL,
+            subscription_status = NULL
+        WHERE id = ?
+          AND tier = 'day-pass'
+          AND NOT EXISTS (SELECT 1 FROM day_passes WHERE day_passes.user_id = users.id)
+    `, [userId]);
+}
 
-    if (!firstName || !lastName || !email || !password) {
-        return res.status(400).json({success: false, message: 'All fields are required'});
+// The claim link goes only to the recipient; a mail failure leaves the gift for the buyer to resend.
+async function sendGiftEmail(gift, token) {
+    if (!mailer) {
+        console.warn(`⚠️ Gift ${gift.id} created but no mail transport is configured to send it.`);
+        return false;
     }
-
-    const normalizedEmail = normalizeEmail(email);
-    const normalizedPhone = normalizePhone(phone);
-    if (!normalizedPhone) {
-        return res.status(400).json({success: false, message: 'Phone number is required for SMS verification'});
+    const buyers = await execute('SELECT first_name FROM users WHERE id = ?', [gift.purchaser_id]);
+    try {
+        await mailer.send('dayPassGift', gift.recipient_email, {
+            fromName: buyers[0]?.first_name,
+            message: gift.message,
+            events: gift.events,
+            claimLink: `https://racescan.racing/auth/claim_gift.html?token=${token}`
+        });
+        await dayPassGifts.markSent(gift.id);
+        console.log(`📩 Gift ${gift.id} sent to ${gift.recipient_email}`);
+        return true;
+    } catch (error) {
+        console.warn(`⚠️ Failed to send gift ${gift.id} to ${gift.recipient_email}:`, error.message);
+        return false;
     }
+}
 
-    const existingUser = await execute(
-        'SELECT id FROM users WHERE email = ?',
-        [normalizedEmail]
+// Free checkouts (e.g. a 100% discount) complete with no_payment_required; both count as paid.
+const isCheckoutPaid = (checkoutSession) => ['paid', 'no_payment_required'].includes(checkoutSession?.payment_status);
+
+/**
+ * The events a day-pass checkout was created for, from day_pass_selections.
+ * Sessions created before that table existed carried them in metadata instead.
+ */
+async function loadDayPassSelections(checkoutSession) {
+    const rows = await execute(
+        'SELECT event_id, event_name, event_date FROM day_pass_selections WHERE checkout_session_id = ?',
+        [checkoutSession.id]
     );
+    if (rows.length) {
+        return rows.map((row) => ({eventId: row.event_id, name: row.event_name, date: row.event_date}));
+    }
+    return safeJsonParse(checkoutSession.metadata?.selected_events, []);
+}
 
-    if (existingUser.length) {
-        return res.status(409).json({
-            success: false,
-            message: 'User already exists. <a href="/auth/login.html" class="login-link">Click here to log in</a>',
-            userExists: true
-        });
+/**
+ * Applies a paid Checkout session to the user record and resolves to
+ * {plan, events, giftEmail}. Shared by the browser success redirect and the
+ * checkout.session.completed webhook, so it must be safe to run twice for the
+ * same session. Day passes are granted here and nowhere else; a gift checkout
+ * creates the gift instead, and its passes are granted when it is claimed.
+ */
+async function fulfillCheckoutSession(userId, checkoutSession) {
+    const plan = checkoutSession.metadata?.plan;
+    if (!isCheckoutPaid(checkoutSession)) {
+        throw new Error(`Checkout ${checkoutSession.id} is not paid (${checkoutSession.payment_status})`);
     }
+    let events = [];
+    const giftEmail = plan === 'day-pass' ? checkoutSession.metadata?.gift_email || null : null;
 
-    if (normalizedPhone) {
-        const phoneExists = await execute('SELECT id FROM users WHERE phone_number = ?', [normalizedPhone]);
-        if (phoneExists.length) {
-            return res.status(409).json({
-                success: false,
-                message: 'Phone number already in use. Please use a different phone or log in.',
-                userExists: true
-            });
+    const customerId = stripeId(checkoutSession.customer);
+    if (customerId) {
+        await execute('UPDATE users SET stripe_customer_id = ? WHERE id = ?', [customerId, userId]);
+    }
+
+    if (plan === 'day-pass' && giftEmail) {
+        events = await loadDayPassSelections(checkoutSession);
+        const {gift, token} = await dayPassGifts.createFromCheckout({
+            checkoutSessionId: checkoutSession.id,
+            purchaserId: userId,
+            recipientEmail: giftEmail,
+            message: checkoutSession.metadata?.gift_message,
+            events,
+            paymentIntentId: stripeId(checkoutSession.payment_intent)
+        });
+        if (token) {
+            console.log(`🎁 Gift ${gift.id} created for ${giftEmail} (${events.length} event(s)).`);
+            await sendGiftEmail(gift, token);
+        }
+        await execute(
+            'UPDATE day_pass_selections SET fulfilled_at = UTC_TIMESTAMP() WHERE checkout_session_id = ? AND fulfilled_at IS NULL',
+            [checkoutSession.id]
+        );
+    } else if (plan === 'day-pass') {
+        events = await loadDayPassSelections(checkoutSession);
+        const added = await grantDayPasses(userId, events, stripeId(checkoutSession.payment_intent));
+        if (added) {
+            console.log(`✅ Added ${added} event(s) to day_passes.`);
         }
+        await execute(
+            'UPDATE day_pass_selections SET fulfilled_at = UTC_TIMESTAMP() WHERE checkout_session_id = ? AND fulfilled_at IS NULL',
+            [checkoutSession.id]
+        );
+        await markDayPassHolder(userId);
+    } else if (plan === 'unlimited') {
+        const nextBillingDate = moment().add(30, 'days').utc().format('YYYY-MM-DD HH:mm:ss');
+        await execute(`
+            UPDATE users
+            SET subscribed             = 1,
+                tier                   = 'unlimited',
+                subscription_status    = 'Active',
+                cancel_at_period_end   = 0,
+                stripe_subscription_id = ?,
+                next_billing_date      = ?,
+                daypass_ends           = NULL
+            WHERE id = ?
+        `, [stripeId(checkoutSession.subscription), nextBillingDate, userId]);
     }
 
-    const hashedPassword = await bcrypt.hash(password, 10);
-    const verificationCode = Math.floor(100000 + Math.random() * 900000).toString();
+    const promoCodeId = Number(checkoutSession.metadata?.promo_code_id);
+    if (promoCodeId && await promoCodes.recordRedemption(promoCodeId, userId, checkoutSession.id)) {
+        console.log(`🎟️ Promo code ${checkoutSession.metadata.promo_code} redeemed by user ID ${userId}`);
+    }
 
-    const [insertResult] = await pool.execute(`
-        INSERT INTO users (first_name, last_name, email, password_hash, subscribed, tier, email_verified, verification_code, phone_number, phone_verified)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `, [firstName.trim(), lastName.trim(), normalizedEmail, hashedPassword, 0, null, 0, verificationCode, normalizedPhone || null, 0]);
+    return {plan, events, giftEmail};
+}
 
-    const userId = insertResult.insertId;
+async function handleCheckoutSessionCompleted(checkoutSession) {
+    if (checkoutSession.payment_status === 'unpaid') {
+        console.log(`ℹ️ Checkout ${checkoutSession.id} completed without payment yet; waiting for async payment.`);
+        return;
+    }
 
-    req.session.userId = userId;
-    req.session.email = normalizedEmail;
-    req.session.firstName = firstName.trim();
-    req.session.emailVerified = false;
-    req.session.phoneVerified = false;
-    req.session.verificationCode = verificationCode;
-    req.session.subscribed = false;
-    req.session.tier = null;
-    req.session.phone_number = normalizedPhone || null;
+    const userId = await findStripeUser({
+        userId: checkoutSession.metadata?.user_id,
+        email: checkoutSession.customer_email || checkoutSession.customer_details?.email
+    });
 
-    await req.session.save();
+    if (!userId) {
+        console.error('❌ Stripe checkout session has no matching user:', checkoutSession.id);
+        return;
+    }
 
-    console.log(`✅ Created user ${normalizedEmail} with ID ${userId}`);
+    const {plan, events, giftEmail} = await fulfillCheckoutSession(userId, checkoutSession);
+    console.log(`✅ Checkout ${checkoutSession.id} fulfilled (${plan}) for user ID ${userId}`);
 
-    const wantsSms = String(channel || '').toLowerCase() === 'sms';
+    await sendReceiptEmail(userId, {
+        plan,
+        amountCents: checkoutSession.amount_total,
+        currency: checkoutSession.currency,
+        events,
+        reference: checkoutSession.id,
+        giftEmail
+    });
+}
 
-    if (wantsSms) {
-        if (!twilioClient || !config.twilio.verifySid) {
-            return res.status(503).json({success: false, message: 'SMS verification not configured'});
-        }
-        try {
-            await twilioClient.verify.v2.services(config.twilio.verifySid).verifications.create({
-                to: normalizedPhone,
-                channel: 'sms'
-            });
-        } catch (err) {
-            console.error('❌ Failed to send SMS verification:', err.message);
-            return res.status(500).json({success: false, message: 'Unable to send SMS verification'});
-        }
-    } else {
-        try {
-            await sendVerificationEmail(normalizedEmail, verificationCode);
-        } catch (error) {
-            console.error('❌ Failed to send verification email:', error);
-            return res.status(500).json({success: false, message: 'Unable to send verification email'});
-        }
+// Abandoned checkouts: their pending selections will never be paid for, and a promo code they
+// reserved goes back to the pool.
+async function handleCheckoutSessionExpired(checkoutSession) {
+    const result = await execute(
+        'DELETE FROM day_pass_selections WHERE checkout_session_id = ? AND fulfilled_at IS NULL',
+        [checkoutSession.id]
+    );
+    if (result.affectedRows) {
+        console.log(`ℹ️ Checkout ${checkoutSession.id} expired; dropped ${result.affectedRows} pending day pass selection(s).`);
     }
 
-    res.json({
-        success: true,
-        message: wantsSms ? 'Signup successful! Check your SMS for a code.' : 'Signup successful! Check your email for verification.',
-        redirect: '/auth/verify-email.html',
-        channel: wantsSms ? 'sms' : 'email'
-    });
-}));
-
-app.get('/verify-email', asyncHandler(async (req, res) => {
-    console.log('🔹 Email verification link hit');
-    const code = String(req.query.code || '').trim();
+    const promoCodeId = Number(checkoutSession.metadata?.promo_code_id);
+    if (promoCodeId && await promoCodes.release(promoCodeId, {checkoutSessionId: checkoutSession.id})) {
+        console.log(`ℹ️ Checkout ${checkoutSession.id} expired; released promo code ${checkoutSession.metadata.promo_code}.`);
+    }
+}
 
-    if (!code) {
-        console.log('🔴 No verification code provided');
-        return res.redirect('/auth/verification-failed.html');
+async function handleInvoicePaid(invoice) {
+    const subscriptionId = getInvoiceSubscriptionId(invoice);
+    if (!subscriptionId) {
+        return;
     }
 
-    const users = await execute(
-        'SELECT id, first_name FROM users WHERE verification_code = ?',
-        [code]
-    );
+    const userId = await findStripeUser({
+        userId: getInvoiceUserId(invoice),
+        subscriptionId,
+        email: invoice.customer_email
+    });
 
-    if (!users.length) {
-        console.log('🔴 Invalid or expired verification code');
-        return res.redirect('/auth/verification-failed.html');
+    if (!userId) {
+        console.error('❌ Paid invoice has no matching user:', invoice.id);
+        return;
+    }
+
+    const periodEnd = invoice.lines?.data?.[0]?.period?.end || invoice.period_end;
+
+    await execute(`
+        UPDATE users
+        SET subscribed             = 1,
+            tier                   = 'unlimited',
+            subscription_status    = 'Active',
+            stripe_subscription_id = ?,
+            next_billing_date      = ?
+        WHERE id = ?
+    `, [subscriptionId, toSqlDateTime(periodEnd), userId]);
+
+    console.log(`✅ Invoice ${invoice.id} paid; subscription renewed for user ID ${userId}`);
+
+    // The first invoice is covered by the checkout receipt; renewals get their own.
+    if (invoice.billing_reason === 'subscription_cycle') {
+        await sendReceiptEmail(userId, {
+            plan: 'unlimited',
+            amountCents: invoice.amount_paid,
+            currency: invoice.currency,
+            reference: invoice.number || invoice.id
+        });
+    }
+}
+
+async function handleInvoicePaymentFailed(invoice) {
+    const subscriptionId = getInvoiceSubscriptionId(invoice);
+    if (!subscriptionId) {
+        return;
+    }
+
+    await execute(
+        "UPDATE users SET subscription_status = 'Past Due' WHERE stripe_subscription_id = ?",
+        [subscriptionId]
+    );
+
+    console.warn(`⚠️ Invoice ${invoice.id} payment failed for subscription ${subscriptionId}`);
+}
+
+async function handleSubscriptionUpdated(subscription) {
+    const userId = await findStripeUser({
+        userId: subscription.metadata?.user_id,
+        subscriptionId: subscription.id
+    });
+
+    if (!userId) {
+        console.error('❌ Subscription update has no matching user:', subscription.id);
+        return;
+    }
+
+    const entitled = STRIPE_ENTITLED_STATUSES.has(subscription.status);
+
+    await execute(`
+        UPDATE users
+        SET subscribed             = ?,
+            tier                   = ?,
+            subscription_status    = ?,
+            cancel_at_period_end   = ?,
+            stripe_subscription_id = ?,
+            stripe_customer_id     = COALESCE(?, stripe_customer_id),
+            next_billing_date      = ?
+        WHERE id = ?
+    `, [
+        entitled ? 1 : 0,
+        entitled ? 'unlimited' : null,
+        STRIPE_STATUS_LABELS[subscription.status] || subscription.status,
+        entitled && isSubscriptionEnding(subscription) ? 1 : 0,
+        subscription.id,
+        stripeId(subscription.customer),
+        entitled ? toSqlDateTime(getSubscriptionPeriodEnd(subscription)) : null,
+        userId
+    ]);
+
+    console.log(`✅ Subscription ${subscription.id} is now ${subscription.status}${isSubscriptionEnding(subscription) ? ' (ending)' : ''} for user ID ${userId}`);
+}
+
+async function handleSubscriptionDeleted(subscription) {
+    await execute(`
+        UPDATE users
+        SET subscribed           = 0,
+            tier                 = NULL,
+            -- a refund cancels the subscription itself; keep saying why
+            subscription_status  = IF(subscription_status = 'Refunded', 'Refunded', 'Canceled'),
+            cancel_at_period_end = 0,
+            next_billing_date    = NULL
+        WHERE stripe_subscription_id = ?
+    `, [subscription.id]);
+
+    console.log(`✅ Subscription ${subscription.id} canceled`);
+}
+
+async function handleChargeRefunded(charge) {
+    if (!charge.refunded) {
+        console.log(`ℹ️ Charge ${charge.id} partially refunded; access unchanged.`);
+        return;
+    }
+
+    const paymentIntentId = stripeId(charge.payment_intent);
+    if (paymentIntentId) {
+        const revokedGifts = await dayPassGifts.revokeForPayment(paymentIntentId);
+        if (revokedGifts) {
+            console.log(`✅ Revoked ${revokedGifts} unclaimed gift(s) for refunded payment ${paymentIntentId}`);
+        }
+
+        const holders = await execute(
+            'SELECT DISTINCT user_id FROM day_passes WHERE stripe_payment_intent = ?',
+            [paymentIntentId]
+        );
+
+        if (holders.length) {
+            await execute('DELETE FROM day_passes WHERE stripe_payment_intent = ?', [paymentIntentId]);
+            await query(`
+                UPDATE users
+                SET subscribed          = 0,
+                    tier                = NULL,
+                    subscription_status = 'Refunded'
+                WHERE id IN (?)
+                  AND tier = 'day-pass'
+                  AND NOT EXISTS (SELECT 1 FROM day_passes WHERE day_passes.user_id = users.id)
+            `, [holders.map((row) => row.user_id)]);
+            console.log(`✅ Revoked day passes for refunded payment ${paymentIntentId}`);
+        }
+    }
+
+    const invoiceId = stripeId(charge.invoice);
+    if (invoiceId) {
+        const invoice = await stripe.invoices.retrieve(invoiceId);
+        const subscriptionId = getInvoiceSubscriptionId(invoice);
+        if (subscriptionId) {
+            // Left running, the next invoice.paid would charge the customer again and restore access.
+            try {
+                const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+                if (subscription.status !== 'canceled') {
+                    await stripe.subscriptions.cancel(subscriptionId);
+                }
+            } catch (error) {
+                if (error.code !== 'resource_missing') {
+                    throw error;
+                }
+            }
+            await execute(`
+                UPDATE users
+                SET subscribed           = 0,
+                    tier                 = NULL,
+                    subscription_status  = 'Refunded',
+                    cancel_at_period_end = 0,
+                    next_billing_date    = NULL
+                WHERE stripe_subscription_id = ?
+            `, [subscriptionId]);
+            console.log(`✅ Canceled and revoked subscription ${subscriptionId} after refund`);
+        }
+    }
+}
+
+const EVENT_STATUSES = new Set(['scheduled', 'postponed', 'canceled', 'completed']);
+
+const serializeEvent = (row) => {
+    const timezone = row.timezone || config.eventTimezone;
+    const start = moment.utc(row.starts_at, 'YYYY-MM-DD HH:mm:ss');
+    const local = start.clone().tz(timezone);
+    return {
+        id: row.id,
+        raceId: row.race_id,
+        track: row.track,
+        location: row.location || '',
+        address: row.address || '',
+        image: row.image || '',
+        classType: row.class,
+        startsAt: start.toISOString(),
+        timezone,
+        // Track-local wall clock, matching the old events.csv Date/Time columns.
+        date: local.format('YYYY-MM-DD'),
+        time: local.format('HH:mm'),
+        status: row.status
+    };
+};
+
+const parseDateFilter = (value) => {
+    if (!value) {
+        return null;
+    }
+    const parsed = moment.tz(String(value), 'YYYY-MM-DD', true, config.eventTimezone);
+    return parsed.isValid() ? parsed : false;
+};
+
+/**
+ * The one live rule every client uses: scheduled events inside the live
+ * window right now, plus the next event that hasn't opened yet.
+ */
+async function resolveLiveStatus(now = moment.utc()) {
+    const {leadMinutes, durationMinutes} = config.live;
+    const opensBy = now.clone().add(leadMinutes, 'minutes').format('YYYY-MM-DD HH:mm:ss');
+    const startedAfter = now.clone().subtract(durationMinutes, 'minutes').format('YYYY-MM-DD HH:mm:ss');
+
+    const liveRows = await execute(
+        `SELECT *
+         FROM events
+         WHERE status = 'scheduled'
+           AND starts_at <= ?
+           AND starts_at >= ?
+         ORDER BY starts_at ASC, id ASC`,
+        [opensBy, startedAfter]
+    );
+    const nextRows = await execute(
+        `SELECT *
+         FROM events
+         WHERE status = 'scheduled'
+           AND starts_at > ?
+         ORDER BY starts_at ASC, id ASC
+         LIMIT 1`,
+        [opensBy]
+    );
+
+    const events = liveRows.map((row) => {
+        const event = serializeEvent(row);
+        const start = moment.utc(event.startsAt);
+        return {
+            ...event,
+            liveFrom: start.clone().subtract(leadMinutes, 'minutes').toISOString(),
+            liveUntil: start.clone().add(durationMinutes, 'minutes').toISOString()
+        };
+    });
+
+    return {
+        live: events.length > 0,
+        events,
+        activeClasses: Array.from(new Set(events.map((event) => event.classType))),
+        raceId: events[0]?.raceId || null,
+        classType: events[0]?.classType || null,
+        next: nextRows.length ? serializeEvent(nextRows[0]) : null,
+        checkedAt: now.toISOString()
+    };
+}
+
+const DRIVER_COLUMNS = `d.id, d.slug, d.name, d.state,
+       dc.class, dc.car_number, dc.number_logo, dc.frequency_hz, dc.tone_hz, dc.mount`;
+
+const carNumberOrder = (number) => {
+    const parsed = parseInt(number, 10);
+    return Number.isNaN(parsed) ? Number.MAX_SAFE_INTEGER : parsed;
+};
+
+/**
+ * Folds driver/class join rows into one record per driver. Each class entry
+ * carries its own car number, logo, radio frequency and Icecast mount, since
+ * a driver can run different numbers (and radios) in different classes.
+ */
+function groupDriverRows(rows) {
+    const byId = new Map();
+    rows.forEach((row) => {
+        if (!byId.has(row.id)) {
+            byId.set(row.id, {
+                id: row.id,
+                slug: row.slug,
+                name: row.name,
+                state: row.state || 'USA',
+                classes: []
+            });
+        }
+        byId.get(row.id).classes.push({
+            classType: row.class,
+            number: row.car_number,
+            logo: row.number_logo || '',
+            frequencyHz: row.frequency_hz ? Number(row.frequency_hz) : null,
+            toneHz: row.tone_hz ? Number(row.tone_hz) : null,
+            mount: row.mount
+        });
+    });
+
+    return Array.from(byId.values())
+        .map((driver) => {
+            const primary = driver.classes[0];
+            return {
+                ...driver,
+                number: primary.number,
+                logo: primary.logo,
+                frequencyHz: primary.frequencyHz,
+                classList: Array.from(new Set(driver.classes.map((entry) => entry.classType)))
+            };
+        })
+        .sort((a, b) => carNumberOrder(a.number) - carNumberOrder(b.number) || a.name.localeCompare(b.name));
+}
+
+// Clients send mounts with or without nginx's /icecast prefix; only bare driver mounts and their
+// data-saver variants (transcoder.js) are proxied.
+const normalizeStreamMount = (value) => {
+    const mount = String(value || '').trim().replace(/\?.*$/, '').replace(/^\/?icecast\//, '/');
+    const withSlash = mount.startsWith('/') ? mount : `/${mount}`;
+    if (/^\/[a-z0-9-]+\.mp3$/.test(withSlash) || parseVariantMount(withSlash)) {
+        return withSlash;
+    }
+    return '';
+};
+
+const FORWARDED_ICY_HEADERS = ['icy-br', 'icy-name', 'icy-description', 'icy-genre', 'ice-audio-info'];
+
+/**
+ * Audio elements on mobile can't always carry the session cookie. The app
+ * sends its access token as a Bearer header, or passes its session ID as
+ * ?sid= and we load that session from the store instead.
+ */
+async function resolveStreamUserId(req) {
+    if (req.session?.userId) {
+        return req.session.userId;
+    }
+
+    const bearer = readBearerToken(req);
+    if (bearer) {
+        return verifyAccessToken(bearer)?.uid || null;
+    }
+
+    const sid = String(req.query.sid || '').trim();
+    if (!sid) {
+        return null;
+    }
+
+    const stored = await new Promise((resolve, reject) => {
+        req.sessionStore.get(sid, (err, data) => (err ? reject(err) : resolve(data)));
+    });
+    return stored?.userId || null;
+}
+
+/**
+ * Subscribers can hear every mount. Everyone else needs a day pass for an
+ * event live right now in one of `classes`, the classes the mount's driver runs in.
+ */
+async function hasStreamAccess(userId, classes) {
+    const {events} = await resolveLiveStatus();
+    const raceIds = events.filter((event) => classes.includes(event.classType)).map((event) => event.raceId);
+    const {allowed} = await entitlements.check(userId, raceIds);
+    return allowed;
+}
+
+// Why `userId` can't listen to `mount` live, as {status, message}, or null when they can. A variant
+// mount is open to whoever may listen to the driver mount it was transcoded from.
+async function streamAccessRefusal(userId, mount) {
+    const sourceMount = parseVariantMount(mount)?.sourceMount || mount;
+    const entries = await execute('SELECT class FROM driver_classes WHERE mount = ?', [sourceMount]);
+    if (!entries.length) {
+        return {status: 404, message: 'Unknown stream'};
+    }
+    if (!(await hasStreamAccess(userId, entries.map((entry) => entry.class)))) {
+        return {status: 403, message: 'A subscription or a day pass for this event is required to listen'};
+    }
+    return null;
+}
+
+const signTokenPayload = (encoded, secret) => crypto
+    .createHmac('sha256', secret)
+    .update(encoded)
+    .digest('base64url');
+
+function issueSignedToken(payload, secret) {
+    const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${encoded}.${signTokenPayload(encoded, secret)}`;
+}
+
+// Returns the payload of a `<base64url payload>.<hmac>` token, or null if it is forged or expired.
+function readSignedToken(token, secret) {
+    const [encoded, signature] = String(token || '').split('.');
+    if (!encoded || !signature) {
+        return null;
+    }
+
+    const expected = Buffer.from(signTokenPayload(encoded, secret));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+        return payload.exp >= Math.floor(Date.now() / 1000) ? payload : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function readBearerToken(req) {
+    const [scheme, token] = String(req.get('authorization') || '').split(' ');
+    return scheme === 'Bearer' && token ? token.trim() : '';
+}
+
+function createAccessToken(userId) {
+    const expiresIn = config.auth.accessTokenTtlSeconds;
+    const exp = Math.floor(Date.now() / 1000) + expiresIn;
+    return {token: issueSignedToken({uid: userId, typ: 'access', exp}, config.auth.accessTokenSecret), expiresIn};
+}
+
+function verifyAccessToken(token) {
+    const payload = readSignedToken(token, config.auth.accessTokenSecret);
+    return payload?.typ === 'access' && payload.uid ? payload : null;
+}
+
+const hashRefreshToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Refresh tokens are opaque random strings; only their hash is stored. Each
+ * one is single-use: /api/auth/token revokes it and hands back a new pair.
+ */
+async function createRefreshToken(userId, req) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = moment.utc().add(config.auth.refreshTokenTtlDays, 'days').format('YYYY-MM-DD HH:mm:ss');
+    await execute(
+        'INSERT INTO refresh_tokens (user_id, token_hash, user_agent, expires_at) VALUES (?, ?, ?, ?)',
+        [userId, hashRefreshToken(token), String(req.get('user-agent') || '').slice(0, 255) || null, expiresAt]
+    );
+    return token;
+}
+
+// Revokes the refresh token and returns its user ID, or null if it was unknown, expired or already used.
+async function consumeRefreshToken(token) {
+    const tokenHash = hashRefreshToken(token);
+    const rows = await execute(
+        'SELECT id, user_id FROM refresh_tokens WHERE token_hash = ? AND revoked_at IS NULL AND expires_at > UTC_TIMESTAMP()',
+        [tokenHash]
+    );
+    if (!rows.length) {
+        return null;
+    }
+
+    // Two refreshes racing with the same token: only the one that flips revoked_at wins.
+    const result = await execute(
+        'UPDATE refresh_tokens SET revoked_at = UTC_TIMESTAMP() WHERE id = ? AND revoked_at IS NULL',
+        [rows[0].id]
+    );
+    return result.affectedRows ? rows[0].user_id : null;
+}
+
+async function issueAuthTokens(userId, req) {
+    const {token: accessToken, expiresIn} = createAccessToken(userId);
+    const refreshToken = await createRefreshToken(userId, req);
+    return {accessToken, refreshToken, tokenType: 'Bearer', expiresIn};
+}
+
+/**
+ * Signs a user out everywhere: deletes their browser sessions and revokes
+ * their app refresh tokens. Access tokens already issued run out on their own.
+ */
+async function revokeUserSessions(userId) {
+    const sessions = await sessionStore.destroyUserSessions(userId);
+    const tokens = await execute(
+        'UPDATE refresh_tokens SET revoked_at = UTC_TIMESTAMP() WHERE user_id = ? AND revoked_at IS NULL',
+        [userId]
+    );
+    console.log(`🔒 Revoked ${sessions} session(s) and ${tokens.affectedRows} refresh token(s) for user ${userId}`);
+}
+
+/**
+ * Playback tokens are `<base64url payload>.<hmac>` and bind one user to one
+ * mount for a few minutes. Icecast only checks them when a listener connects,
+ * so the TTL just needs to cover the gap between issuing and connecting.
+ */
+function createPlaybackToken(userId, mount) {
+    const expiresAt = Math.floor(Date.now() / 1000) + config.icecast.tokenTtlSeconds;
+    return {token: issueSignedToken({uid: userId, mount, exp: expiresAt}, config.icecast.tokenSecret), expiresAt};
+}
+
+// The recorder, HLS packager, transcoder and voice monitor listen like anyone else, with a token that names no user.
+function createServiceToken(mount) {
+    const expiresAt = Math.floor(Date.now() / 1000) + config.icecast.tokenTtlSeconds;
+    return issueSignedToken({rec: 1, mount, exp: expiresAt}, config.icecast.tokenSecret);
+}
+
+function verifyPlaybackToken(token, mount) {
+    const payload = readSignedToken(token, config.icecast.tokenSecret);
+    return payload?.mount === mount ? payload : null;
+}
+
+// Icecast's url auth is configured with username/password; we only check the password.
+function isIcecastCaller(req) {
+    const [scheme, encoded] = String(req.get('authorization') || '').split(' ');
+    if (!config.icecast.authSecret || scheme !== 'Basic' || !encoded) {
+        return false;
+    }
+    const password = Buffer.from(encoded, 'base64').toString('utf8').split(':').slice(1).join(':');
+    const expected = Buffer.from(config.icecast.authSecret);
+    const given = Buffer.from(password);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * Icecast posts the requested URI (query string included) as `mount`. The
+ * token can ride along as ?token= or be sent as the listener's password.
+ */
+function parseIcecastListener(body = {}) {
+    const requested = new URL(String(body.mount || ''), 'http://icecast.local');
+    return {
+        mount: requested.pathname,
+        token: requested.searchParams.get('token') || String(body.pass || ''),
+        client: String(body.client || ''),
+        ip: body.ip ? String(body.ip).slice(0, 64) : null,
+        agent: body.agent ? String(body.agent).slice(0, 255) : null,
+        duration: Number(body.duration) || null
+    };
+}
+
+const mountMonitor = {
+    snapshot: null,
+    signature: '',
+    clients: new Set(),
+    lastHeartbeat: 0,
+    inFlight: null
+};
+
+const SSE_HEARTBEAT_MS = 25 * 1000;
+
+function fetchIcecastStatus() {
+    return new Promise((resolve, reject) => {
+        const statusUrl = new URL('/status-json.xsl', config.icecast.url);
+        const client = statusUrl.protocol === 'https:' ? https : http;
+        const request = client.get(statusUrl, (icecastRes) => {
+            if (icecastRes.statusCode !== 200) {
+                icecastRes.resume();
+                return reject(new Error(`Icecast status returned ${icecastRes.statusCode}`));
+            }
+            let body = '';
+            icecastRes.setEncoding('utf8');
+            icecastRes.on('data', (chunk) => {
+                body += chunk;
+            });
+            icecastRes.on('end', () => {
+                try {
+                    resolve(JSON.parse(body));
+                } catch (err) {
+                    reject(err);
+                }
+            });
+        });
+        request.setTimeout(5 * 1000, () => request.destroy(new Error('Icecast status timed out')));
+        request.on('error', reject);
+    });
+}
+
+const toMountSource = (source) => {
+    let mount = '';
+    try {
+        mount = new URL(source.listenurl || source.listen_url || '').pathname;
+    } catch (error) {
+        mount = '';
+    }
+    const started = Date.parse(source.stream_start_iso8601 || source.stream_start || '');
+    return {
+        mount,
+        listeners: Number(source.listeners) || 0,
+        bitrate: Number(source.bitrate) || null,
+        startedAt: Number.isNaN(started) ? null : new Date(started).toISOString()
+    };
+};
+
+/**
+ * Polls Icecast once and folds the live sources onto the driver roster.
+ * Mounts Icecast reports that aren't on the roster are still listed, with
+ * a null driverId, so a misnamed stream is visible rather than silently lost.
+ * Data-saver variants are listed under the mount they were transcoded from,
+ * whose listener count includes theirs.
+ */
+async function pollMounts() {
+    let sources = [];
+    let online = true;
+    try {
+        const status = await fetchIcecastStatus();
+        const raw = status?.icestats?.source;
+        sources = (Array.isArray(raw) ? raw : (raw ? [raw] : [])).map(toMountSource).filter((src) => src.mount)
+            // Icecast counts the recorder, HLS packager, transcoder and voice monitor as listeners; fans shouldn't see them.
+            .map((src) => {
+                const internal = [
+                    recorder?.isRecording(src.mount),
+                    packager?.isPackaging(src.mount),
+                    transcoder?.isTranscoding(src.mount),
+                    voiceMonitor?.isMonitoring(src.mount)
+                ].filter(Boolean).length;
+                return internal ? {...src, listeners: Math.max(0, src.listeners - internal)} : src;
+            });
+    } catch (err) {
+        if (mountMonitor.snapshot?.online !== false) {
+            console.warn('⚠️ Icecast status unavailable:', err.message);
+        }
+        online = false;
+    }
+
+    const liveMounts = new Set(sources.map((src) => src.mount));
+    const variantsBySource = new Map();
+    sources = sources.filter((src) => {
+        const parsed = parseVariantMount(src.mount);
+        if (!parsed || !liveMounts.has(parsed.sourceMount)) {
+            return true;
+        }
+        const variants = variantsBySource.get(parsed.sourceMount) || [];
+        variants.push({
+            mount: src.mount,
+            codec: parsed.variant.codec,
+            bitrate: src.bitrate || parsed.variant.bitrate,
+            contentType: parsed.variant.contentType,
+            listeners: src.listeners
+        });
+        variantsBySource.set(parsed.sourceMount, variants);
+        return false;
+    }).map((src) => {
+        const variants = variantsBySource.get(src.mount) || [];
+        return {...src, listeners: variants.reduce((sum, variant) => sum + variant.listeners, src.listeners), variants};
+    });
+
+    const roster = await execute('SELECT driver_id, class, car_number, mount FROM driver_classes');
+    const rosterByMount = new Map(roster.map((row) => [row.mount, row]));
+    const liveByMount = new Map(sources.map((src) => [src.mount, src]));
+
+    const mounts = sources.map((src) => {
+        const entry = rosterByMount.get(src.mount);
+        return {
+            ...src,
+            driverId: entry ? entry.driver_id : null,
+            classType: entry ? entry.class : null,
+            number: entry ? entry.car_number : null
+        };
+    });
+
+    const drivers = {};
+    roster.forEach((row) => {
+        const driver = drivers[row.driver_id] || (drivers[row.driver_id] = {
+            live: false,
+            listeners: 0,
+            startedAt: null,
+            mounts: []
+        });
+        const src = liveByMount.get(row.mount);
+        if (src) {
+            driver.live = true;
+            driver.listeners += src.listeners;
+            driver.mounts.push(row.mount);
+            if (src.startedAt && (!driver.startedAt || src.startedAt < driver.startedAt)) {
+                driver.startedAt = src.startedAt;
+            }
+        }
+    });
+
+    mountMonitor.snapshot = {online, updatedAt: new Date().toISOString(), mounts, drivers};
+    publishMounts();
+}
+
+const voiceStatus = (mount) => (voiceMonitor ? voiceMonitor.status(mount) : null);
+
+// Pushes the snapshot to SSE clients when something they show has changed. Voice activity changes
+// between polls, so the voice monitor calls this as well.
+function publishMounts() {
+    const {online, mounts} = mountMonitor.snapshot;
+    const signature = JSON.stringify([
+        online,
+        mounts.map((m) => [
+            m.mount,
+            m.listeners,
+            m.startedAt,
+            m.driverId,
+            m.variants.map((variant) => variant.mount),
+            voiceStatus(m.mount)?.active
+        ])
+    ]);
+    if (signature !== mountMonitor.signature) {
+        mountMonitor.signature = signature;
+        broadcastMounts();
+    }
+}
+
+const uptimeSeconds = (startedAt, now) => (startedAt
+    ? Math.max(0, Math.floor((now - Date.parse(startedAt)) / 1000))
+    : null);
+
+// Uptime is derived at send time so the cached snapshot never goes stale.
+function serializeMounts(snapshot) {
+    const now = Date.now();
+    const drivers = {};
+    Object.entries(snapshot.drivers).forEach(([driverId, driver]) => {
+        drivers[driverId] = {...driver, uptimeSeconds: uptimeSeconds(driver.startedAt, now)};
+    });
+    return {
+        online: snapshot.online,
+        updatedAt: snapshot.updatedAt,
+        mounts: snapshot.mounts.map((mount) => ({
+            ...mount,
+            uptimeSeconds: uptimeSeconds(mount.startedAt, now),
+            // null when voice activity isn't measured for the mount
+            voice: voiceStatus(mount.mount)
+        })),
+        drivers
+    };
+}
+
+function writeMountEvent(res) {
+    res.write(`event: mounts\ndata: ${JSON.stringify(serializeMounts(mountMonitor.snapshot))}\n\n`);
+    // compression() holds writes back until flushed.
+    res.flush?.();
+}
+
+function broadcastMounts() {
+    mountMonitor.clients.forEach(writeMountEvent);
+}
+
+function heartbeatMountClients() {
+    if (Date.now() - mountMonitor.lastHeartbeat < SSE_HEARTBEAT_MS) {
+        return;
+    }
+    mountMonitor.lastHeartbeat = Date.now();
+    mountMonitor.clients.forEach((res) => {
+        res.write(': ping\n\n');
+        res.flush?.();
+    });
+}
+
+// Shared by the interval and /api/mounts so Icecast is never polled twice at once.
+function refreshMounts() {
+    if (!mountMonitor.inFlight) {
+        mountMonitor.inFlight = pollMounts()
+            .catch((err) => console.error('❌ Mount status poll failed:', err.message))
+            .finally(() => {
+                mountMonitor.inFlight = null;
+                heartbeatMountClients();
+            });
+    }
+    return mountMonitor.inFlight;
+}
+
+const stripeWebhookHandlers = {
+    'checkout.session.completed': handleCheckoutSessionCompleted,
+    'checkout.session.async_payment_succeeded': handleCheckoutSessionCompleted,
+    'checkout.session.expired': handleCheckoutSessionExpired,
+    'invoice.paid': handleInvoicePaid,
+    'invoice.payment_failed': handleInvoicePaymentFailed,
+    'customer.subscription.updated': handleSubscriptionUpdated,
+    'customer.subscription.deleted': handleSubscriptionDeleted,
+    'charge.refunded': handleChargeRefunded
+};
+
+// Middleware
+app.set('trust proxy', 1);
+app.use(helmet({
+    contentSecurityPolicy: false,
+    crossOriginEmbedderPolicy: false
+}));
+app.use(compression());
+
+// Stripe signs the raw payload, so the webhook must be mounted before the JSON body parser.
+app.post('/api/stripe/webhook', express.raw({type: 'application/json'}), asyncHandler(async (req, res) => {
+    if (!stripe || !config.stripe.webhookSecret) {
+        return res.status(503).json({success: false, message: 'Stripe webhooks are not configured'});
+    }
+
+    let event;
+    try {
+        event = stripe.webhooks.constructEvent(req.body, req.headers['stripe-signature'], config.stripe.webhookSecret);
+    } catch (error) {
+        console.warn('⚠️ Stripe webhook signature verification failed:', error.message);
+        return res.status(400).json({success: false, message: 'Invalid signature'});
+    }
+
+    const handler = stripeWebhookHandlers[event.type];
+    if (!handler) {
+        return res.json({received: true, ignored: true});
+    }
+
+    // Claim the event ID first so Stripe retries and duplicate deliveries are processed once.
+    const claim = await execute('INSERT IGNORE INTO stripe_events (id, type) VALUES (?, ?)', [event.id, event.type]);
+    if (!claim.affectedRows) {
+        console.log(`ℹ️ Stripe event ${event.id} already processed`);
+        return res.json({received: true, duplicate: true});
+    }
+
+    console.log(`📢 Stripe webhook ${event.type} (${event.id})`);
+
+    try {
+        await handler(event.data.object, event);
+    } catch (error) {
+        // Release the claim so Stripe's retry can process the event again.
+        await execute('DELETE FROM stripe_events WHERE id = ?', [event.id]);
+        throw error;
+    }
+
+    res.json({received: true});
+}));
+
+app.use(express.json({limit: '1mb'}));
+app.use(express.urlencoded({extended: true}));
+app.use(cors({
+    origin: (origin, callback) => {
+        if (!origin) {
+            return callback(null, true);
+        }
+
+        try {
+            const {hostname} = new URL(origin);
+            if (config.corsHosts.has(hostname)) {
+                return callback(null, true);
+            }
+        } catch (error) {
+            console.warn(`⚠️ Unable to parse origin "${origin}":`, error.message);
+        }
+
+        console.warn(`🔒 Blocked CORS request from ${origin}`);
+        return callback(new Error('Not allowed by CORS'));
+    },
+    credentials: true,
+    methods: ['GET', 'POST', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization']
+}));
+
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+const sessionStore = createMySqlSessionStore(session, {execute, ttlMs: SESSION_TTL_MS});
+const verificationCodes = createVerificationCodes({execute, secret: config.auth.verificationCodeSecret});
+const accountExport = createAccountExport({execute, stripe});
+const entitlements = createEntitlements({execute, query});
+const promoCodes = createPromoCodes({execute, stripe});
+const dayPassGifts = createDayPassGifts({pool, execute});
+const recorder = config.recordings.enabled
+    ? createRecorder({
+        execute,
+        dir: config.recordings.dir,
+        icecastUrl: config.icecast.url,
+        tokenFor: createServiceToken
+    })
+    : null;
+const packager = config.hls.enabled
+    ? createHlsPackager({
+        dir: config.hls.dir,
+        icecastUrl: config.icecast.url,
+        tokenFor: createServiceToken,
+        segmentSeconds: config.hls.segmentSeconds,
+        windowSeconds: config.hls.windowSeconds
+    })
+    : null;
+const transcoder = config.transcode.enabled && config.transcode.sourcePassword
+    ? createTranscoder({
+        icecastUrl: config.icecast.url,
+        sourcePassword: config.transcode.sourcePassword,
+        ffmpegPath: config.transcode.ffmpegPath,
+        tokenFor: createServiceToken
+    })
+    : null;
+const voiceMonitor = config.voiceActivity.enabled
+    ? createVoiceActivityMonitor({
+        icecastUrl: config.icecast.url,
+        ffmpegPath: config.transcode.ffmpegPath,
+        tokenFor: createServiceToken,
+        thresholdDb: config.voiceActivity.thresholdDb,
+        onChange: () => mountMonitor.snapshot && publishMounts()
+    })
+    : null;
+
+app.use(session({
+    secret: process.env.SESSION_SECRET || 'supersecretkey',
+    store: sessionStore,
+    resave: false,
+    saveUninitialized: false,
+    cookie: {
+        path: '/',
+        secure: config.isProduction,
+        httpOnly: true,
+        sameSite: 'lax',
+        maxAge: SESSION_TTL_MS
+    }
+}));
+
+const authLimiter = rateLimit({
+    windowMs: 2 * 60 * 1000,
+    max: 30,
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: (req) => req.method !== 'POST',
+    skipSuccessfulRequests: true
+});
+
+app.use(['/signup', '/login', '/api/auth/token', '/api/sms/check-code', '/verify-code', '/resend-code', '/api/reset-password-request', '/api/reset-password-confirm'], authLimiter);
+
+// Every text costs money and /api/check-phone reveals whether a number is registered,
+// so these count all requests, not just failures.
+const smsLimiter = rateLimit({
+    windowMs: 10 * 60 * 1000,
+    max: 10,
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: (req) => req.method !== 'POST'
+});
+
+app.use(['/api/check-phone', '/api/sms/send-code'], smsLimiter);
+
+// Exports are heavy (every table plus Stripe), so they are limited per account, not per IP.
+// Used on the route itself, after requireAuth has set req.userId.
+const exportLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 3,
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: (req) => `user:${req.userId}`,
+    message: {success: false, message: 'You can download your data 3 times per hour. Please try again later.'}
+});
+
+// Keeps anyone from guessing promo codes: rejected codes are counted per account.
+// Used on the routes after requireAuth; requests without a code don't count.
+const promoCodeLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: (req) => `user:${req.userId}`,
+    skip: (req) => !req.body?.promoCode,
+    skipSuccessfulRequests: true,
+    message: {success: false, message: 'Too many promo code attempts. Please try again later.'}
+});
+
+// Every resend emails someone else, so they are limited per account.
+const giftResendLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 5,
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: (req) => `user:${req.userId}`,
+    message: {success: false, message: 'Too many gift emails. Please try again later.'}
+});
+
+// Stream and archive URLs can carry a session ID (?sid=) or playback token (?token=); keep them out of the log.
+const CREDENTIAL_PARAMS = ['sid', 'token'];
+
+function redactUrl(url) {
+    const [path, search] = url.split(/\?(.*)/s);
+    if (!search) {
+        return url;
     }
+    const params = new URLSearchParams(search);
+    CREDENTIAL_PARAMS.forEach((name) => {
+        if (params.has(name)) {
+            params.set(name, 'redacted');
+        }
+    });
+    return `${path}?${params}`;
+}
 
-    const user = users[0];
+app.use((req, res, next) => {
+    console.log(`🔎 [${req.method}] ${redactUrl(req.originalUrl)}`);
+    next();
+});
 
-    await execute(
-        'UPDATE users SET email_verified = 1, verification_code = NULL WHERE id = ?',
-        [user.id]
+// HTTPS redirect in production
+app.use((req, res, next) => {
+    if (config.isProduction && !req.secure) {
+        return res.redirect(`https://${req.headers.host}${req.originalUrl}`);
+    }
+    return next();
+});
+
+// Static assets
+app.use('/', express.static(config.frontendDir));
+app.use('/static', express.static(config.staticDir));
+
+app.get('/navbar.html', (req, res) => {
+    res.sendFile(path.join(config.partialsDir, 'navbar.html'));
+});
+
+app.get('/navbar_authed.html', (req, res) => {
+    res.sendFile(path.join(config.partialsDir, 'navbar_authed.html'));
+});
+
+app.get('/api/health', asyncHandler(async (req, res) => {
+    const conn = await pool.getConnection();
+    try {
+        await conn.ping();
+        res.json({status: 'ok', uptime: process.uptime()});
+    } finally {
+        conn.release();
+    }
+}));
+
+const MAX_DAY_PASS_EVENTS = 20;
+// Gift notes travel in Checkout metadata, whose values Stripe caps at 500 characters.
+const MAX_GIFT_MESSAGE_LENGTH = 300;
+
+/**
+ * Turns the events a client picked into day-pass line items, using our own
+ * events table for names and dates. Unknown race IDs and events whose day
+ * has already ended are dropped.
+ */
+async function resolveDayPassEvents(selectedEvents) {
+    const raceIds = [...new Set((Array.isArray(selectedEvents) ? selectedEvents : [])
+        .map((event) => String((typeof event === 'object' ? event?.eventId : event) || '').trim().toUpperCase())
+        .filter(Boolean))]
+        .slice(0, MAX_DAY_PASS_EVENTS);
+    if (!raceIds.length) {
+        return [];
+    }
+
+    const rows = await query('SELECT * FROM events WHERE race_id IN (?) ORDER BY starts_at ASC', [raceIds]);
+    return rows
+        .map(serializeEvent)
+        .filter((event) => moment.tz(event.date, 'YYYY-MM-DD', event.timezone).endOf('day').isAfter(moment()))
+        .map((event) => ({eventId: event.raceId, name: event.track, date: event.date}));
+}
+
+// Checks a day-pass selection before checkout. Nothing is granted here; passes are created
+// from the paid checkout session (see fulfillCheckoutSession).
+app.post('/api/select-day-pass-event', requireAuth, asyncHandler(async (req, res) => {
+    const selectedEvents = req.body.selectedEvents || (req.body.eventId ? [req.body.eventId] : []);
+    if (!Array.isArray(selectedEvents) || !selectedEvents.length) {
+        return res.status(400).json({success: false, message: 'No events selected'});
+    }
+
+    const events = await resolveDayPassEvents(selectedEvents);
+    if (!events.length) {
+        return res.status(400).json({success: false, message: 'None of the selected events are available for a day pass'});
+    }
+
+    res.json({success: true, events, count: events.length});
+}));
+
+// Checked wherever a password is set: sign-up, reset and the account page.
+const MIN_PASSWORD_LENGTH = 8;
+
+app.post('/signup', asyncHandler(async (req, res) => {
+    console.log('🔹 Signup route hit');
+    const {firstName, lastName, email, password, phone, channel} = req.body;
+
+    if (!firstName || !lastName || !email || !password) {
+        return res.status(400).json({success: false, message: 'All fields are required'});
+    }
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({success: false, message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`});
+    }
+
+    const normalizedEmail = normalizeEmail(email);
+    const normalizedPhone = normalizePhone(phone);
+    if (!normalizedPhone) {
+        return res.status(400).json({success: false, message: 'Phone number is required for SMS verification'});
+    }
+
+    const existingUser = await execute(
+        'SELECT id FROM users WHERE email = ?',
+        [normalizedEmail]
+    );
+
+    if (existingUser.length) {
+        return res.status(409).json({
+            success: false,
+            message: 'User already exists. <a href="/auth/login.html" class="login-link">Click here to log in</a>',
+            userExists: true
+        });
+    }
+
+    if (normalizedPhone) {
+        const phoneExists = await execute('SELECT id FROM users WHERE phone_number = ?', [normalizedPhone]);
+        if (phoneExists.length) {
+            return res.status(409).json({
+                success: false,
+                message: 'Phone number already in use. Please use a different phone or log in.',
+                userExists: true
+            });
+        }
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // Set by /api/sms/check-code when a new number was verified before the account existed.
+    const phonePreverified = !!normalizedPhone && req.session.verifiedPhone === normalizedPhone;
+
+    const [insertResult] = await pool.execute(`
+        INSERT INTO users (first_name, last_name, email, password_hash, subscribed, tier, email_verified, phone_number, phone_verified)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [firstName.trim(), lastName.trim(), normalizedEmail, hashedPassword, 0, null, 0, normalizedPhone || null, phonePreverified ? 1 : 0]);
+
+    const userId = insertResult.insertId;
+
+    req.session.userId = userId;
+    req.session.email = normalizedEmail;
+    req.session.firstName = firstName.trim();
+    req.session.emailVerified = false;
+    req.session.phoneVerified = phonePreverified;
+    req.session.subscribed = false;
+    req.session.tier = null;
+    req.session.phone_number = normalizedPhone || null;
+    delete req.session.verifiedPhone;
+
+    await req.session.save();
+
+    console.log(`✅ Created user ${normalizedEmail} with ID ${userId}`);
+
+    const wantsSms = String(channel || '').toLowerCase() === 'sms';
+
+    if (phonePreverified) {
+        return res.json({
+            success: true,
+            message: 'Account created. Your phone is already verified.',
+            redirect: '/index.html',
+            channel: 'sms',
+            phoneVerified: true
+        });
+    }
+
+    let issued;
+    if (wantsSms) {
+        if (!smsProvider) {
+            return res.status(503).json({success: false, message: 'SMS verification not configured'});
+        }
+        issued = await verificationCodes.issue(userId, 'phone_change', {target: normalizedPhone, external: true});
+        try {
+            await smsProvider.sendCode(normalizedPhone);
+        } catch (err) {
+            console.error('❌ Failed to send SMS verification:', err.message);
+            return res.status(500).json({success: false, message: 'Unable to send SMS verification'});
+        }
+    } else {
+        issued = await verificationCodes.issue(userId, 'email_verify', {target: normalizedEmail});
+        try {
+            await sendVerificationEmail(normalizedEmail, issued.code, issued.expiresInSeconds);
+        } catch (error) {
+            console.error('❌ Failed to send verification email:', error);
+            return res.status(500).json({success: false, message: 'Unable to send verification email'});
+        }
+    }
+
+    res.json({
+        success: true,
+        message: wantsSms ? 'Signup successful! Check your SMS for a code.' : 'Signup successful! Check your email for verification.',
+        redirect: '/auth/verify-email.html',
+        channel: wantsSms ? 'sms' : 'email',
+        expiresInSeconds: issued.expiresInSeconds,
+        attemptsRemaining: issued.attemptsRemaining
+    });
+}));
+
+/**
+ * The account an email code is checked against: the one named by `email` when
+ * given (the emailed link, or a different device), else the signed-in one.
+ */
+async function findEmailVerificationUser(req, email) {
+    const normalizedEmail = normalizeEmail(email || '');
+    const userId = normalizedEmail ? null : (req.session.userId || null);
+    if (!normalizedEmail && !userId) {
+        return null;
+    }
+    const users = await execute(
+        `SELECT id, first_name, email_verified FROM users WHERE ${normalizedEmail ? 'email' : 'id'} = ?`,
+        [normalizedEmail || userId]
     );
+    return users[0] || null;
+}
+
+app.get('/verify-email', asyncHandler(async (req, res) => {
+    console.log('🔹 Email verification link hit');
+    const code = String(req.query.code || '').trim();
+
+    if (!code || !req.query.email) {
+        console.log('🔴 No verification code provided');
+        return res.redirect('/auth/verification-failed.html');
+    }
+
+    const user = await findEmailVerificationUser(req, String(req.query.email));
+    if (!user) {
+        console.log('🔴 Verification link for an unknown account');
+        return res.redirect('/auth/verification-failed.html');
+    }
+
+    if (user.email_verified) {
+        return res.redirect('/auth/login.html');
+    }
+
+    try {
+        await verificationCodes.verify(user.id, 'email_verify', code);
+    } catch (error) {
+        if (!(error instanceof VerificationCodeError)) {
+            throw error;
+        }
+        console.log(`🔴 Verification link rejected for user ID ${user.id}: ${error.reason}`);
+        return res.redirect('/auth/verification-failed.html');
+    }
+    await execute('UPDATE users SET email_verified = 1 WHERE id = ?', [user.id]);
 
     req.session.userId = user.id;
     req.session.firstName = user.first_name;
@@ -474,40 +1837,40 @@ app.get('/verify-email', asyncHandler(async (req, res) => {
     return res.redirect('/auth/account.html');
 }));
 
-app.post('/login', asyncHandler(async (req, res) => {
-    console.log('🔹 Login route hit');
-    const {email, password} = req.body; // email can be phone or email
-
-    if (!email || !password) {
-        return res.status(400).json({success: false, message: 'Email/phone and password are required'});
+/**
+ * Shared by /login and /api/auth/token. Resolves to {user} on success or to
+ * {status, message} describing why the credentials were rejected.
+ */
+async function authenticateCredentials(identifier, password) {
+    if (!identifier || !password) {
+        return {status: 400, message: 'Email/phone and password are required'};
     }
 
-    const normalizedEmail = normalizeEmail(email);
-    const normalizedPhone = normalizePhone(email);
-
     const users = await execute(
         'SELECT * FROM users WHERE email = ? OR phone_number = ?',
-        [normalizedEmail, normalizedPhone]
+        [normalizeEmail(identifier), normalizePhone(identifier)]
     );
 
     if (!users.length) {
-        return res.status(404).json({success: false, message: 'User does not exist'});
+        return {status: 404, message: 'User does not exist'};
     }
 
     const user = users[0];
 
     const passwordMatch = await bcrypt.compare(password, user.password_hash);
     if (!passwordMatch) {
-        return res.status(401).json({success: false, message: 'Invalid password'});
+        return {status: 401, message: 'Invalid password'};
     }
 
     if (!user.email_verified && !user.phone_verified) {
-        return res.status(403).json({
-            success: false,
-            message: 'Your account is not verified. Please verify via email or SMS.'
-        });
+        return {status: 403, message: 'Your account is not verified. Please verify via email or SMS.'};
     }
 
+    return {user};
+}
+
+// Signs the browser session in as `user` (a full users row). Shared by password and SMS login.
+async function startUserSession(req, user) {
     req.session.userId = user.id;
     req.session.email = user.email;
     req.session.firstName = user.first_name;
@@ -515,12 +1878,66 @@ app.post('/login', asyncHandler(async (req, res) => {
     req.session.phoneVerified = !!user.phone_verified;
     req.session.subscribed = !!user.subscribed;
     req.session.tier = user.tier;
+    req.session.phone_number = user.phone_number || null;
 
     await req.session.save();
+}
+
+app.post('/login', asyncHandler(async (req, res) => {
+    console.log('🔹 Login route hit');
+    const {email, password} = req.body; // email can be phone or email
+
+    const {user, status, message} = await authenticateCredentials(email, password);
+    if (!user) {
+        return res.status(status).json({success: false, message});
+    }
+
+    await startUserSession(req, user);
 
     res.json({success: true, message: `Welcome, ${user.first_name}!`, redirect: '/index.html'});
 }));
 
+// Token login for the mobile app. grantType "password" takes the same email/phone + password as
+// /login; grantType "refresh_token" trades a refresh token for a new access/refresh pair.
+app.post('/api/auth/token', asyncHandler(async (req, res) => {
+    const {grantType} = req.body || {};
+
+    if (grantType === 'password') {
+        const {user, status, message} = await authenticateCredentials(req.body.email, req.body.password);
+        if (!user) {
+            return res.status(status).json({success: false, message});
+        }
+        console.log(`🔑 Issued tokens for user ${user.id}`);
+        return res.json({success: true, ...(await issueAuthTokens(user.id, req))});
+    }
+
+    if (grantType === 'refresh_token') {
+        const refreshToken = String(req.body.refreshToken || '').trim();
+        if (!refreshToken) {
+            return res.status(400).json({success: false, message: 'Refresh token is required'});
+        }
+        const userId = await consumeRefreshToken(refreshToken);
+        if (!userId) {
+            return res.status(401).json({success: false, message: 'Invalid or expired refresh token'});
+        }
+        return res.json({success: true, ...(await issueAuthTokens(userId, req))});
+    }
+
+    return res.status(400).json({success: false, message: 'Unsupported grant type'});
+}));
+
+// Mobile logout: the access token simply expires, the refresh token is revoked now.
+app.post('/api/auth/revoke', asyncHandler(async (req, res) => {
+    const refreshToken = String(req.body?.refreshToken || '').trim();
+    if (refreshToken) {
+        await execute(
+            'UPDATE refresh_tokens SET revoked_at = UTC_TIMESTAMP() WHERE token_hash = ? AND revoked_at IS NULL',
+            [hashRefreshToken(refreshToken)]
+        );
+    }
+    res.json({success: true});
+}));
+
 app.post('/verify-code', asyncHandler(async (req, res) => {
     console.log('🔹 Received verification request');
     const code = String(req.body.code || '').trim();
@@ -529,17 +1946,11 @@ app.post('/verify-code', asyncHandler(async (req, res) => {
         return res.status(400).json({success: false, message: 'Please enter a verification code.'});
     }
 
-    const users = await execute(
-        'SELECT id, first_name, email_verified FROM users WHERE verification_code = ?',
-        [code]
-    );
-
-    if (!users.length) {
+    const user = await findEmailVerificationUser(req, req.body.email);
+    if (!user) {
         return res.status(400).json({success: false, message: 'Invalid or expired verification code.'});
     }
 
-    const user = users[0];
-
     if (user.email_verified) {
         return res.json({
             success: false,
@@ -547,10 +1958,13 @@ app.post('/verify-code', asyncHandler(async (req, res) => {
         });
     }
 
-    await execute(
-        'UPDATE users SET email_verified = 1, verification_code = NULL WHERE id = ?',
-        [user.id]
-    );
+    try {
+        await verificationCodes.verify(user.id, 'email_verify', code);
+    } catch (error) {
+        return sendVerificationCodeError(res, error);
+    }
+
+    await execute('UPDATE users SET email_verified = 1 WHERE id = ?', [user.id]);
 
     req.session.userId = user.id;
     req.session.firstName = user.first_name;
@@ -561,48 +1975,116 @@ app.post('/verify-code', asyncHandler(async (req, res) => {
     res.json({success: true, message: '✅ Email verified successfully! Redirecting...'});
 }));
 
-app.post('/api/sms/send-code', requireAuth, asyncHandler(async (req, res) => {
-    if (!twilioClient || !config.twilio.verifySid) {
+app.post('/api/check-phone', asyncHandler(async (req, res) => {
+    const phone = normalizePhone(req.body?.phone);
+    if (!phone) {
+        return res.status(400).json({success: false, message: 'Phone number is required'});
+    }
+    const users = await execute('SELECT id FROM users WHERE phone_number = ?', [phone]);
+    res.json({success: true, phone, exists: users.length > 0});
+}));
+
+/**
+ * Signed in: (re)verifies the account's phone number. Signed out: starts a
+ * phone-first sign-in or sign-up; /api/sms/check-code finishes it.
+ */
+app.post('/api/sms/send-code', optionalAuth, asyncHandler(async (req, res) => {
+    if (!smsProvider) {
         return res.status(503).json({success: false, message: 'SMS verification not configured'});
     }
-    const phone = normalizePhone(req.body.phone || req.session.phone_number || '');
+    const phone = normalizePhone(req.body.phone || (req.userId && req.session.phone_number) || '');
     if (!phone) {
         return res.status(400).json({success: false, message: 'Phone number is required'});
     }
-    const existing = await execute('SELECT id FROM users WHERE phone_number = ? AND id != ?', [phone, req.session.userId]);
-    if (existing.length) {
-        return res.status(409).json({success: false, message: 'Phone number already in use by another account'});
+    if (req.userId) {
+        const existing = await execute('SELECT id FROM users WHERE phone_number = ? AND id != ?', [phone, req.userId]);
+        if (existing.length) {
+            return res.status(409).json({success: false, message: 'Phone number already in use by another account'});
+        }
     }
-    await twilioClient.verify.v2.services(config.twilio.verifySid).verifications.create({
-        to: phone,
-        channel: 'sms'
-    });
-    await execute('UPDATE users SET phone_number = ?, phone_verified = 0 WHERE id = ?', [phone, req.session.userId]);
-    req.session.phoneVerified = false;
-    await req.session.save();
-    res.json({success: true, message: 'Verification code sent via SMS'});
+
+    // The SMS provider holds the code itself; the verification_codes row adds our expiry, attempt limit and cooldown.
+    let issued = {};
+    if (req.userId) {
+        try {
+            issued = await verificationCodes.issue(req.userId, 'phone_change', {target: phone, external: true});
+        } catch (error) {
+            return sendVerificationCodeError(res, error);
+        }
+    }
+    await smsProvider.sendCode(phone);
+    if (req.userId) {
+        await execute('UPDATE users SET phone_number = ?, phone_verified = 0 WHERE id = ?', [phone, req.userId]);
+        if (req.session.userId) {
+            req.session.phoneVerified = false;
+            await req.session.save();
+        }
+    }
+    const {code, ...timing} = issued;
+    res.json({success: true, message: 'Verification code sent via SMS', ...timing});
 }));
 
-app.post('/api/sms/check-code', requireAuth, asyncHandler(async (req, res) => {
-    if (!twilioClient || !config.twilio.verifySid) {
+app.post('/api/sms/check-code', optionalAuth, asyncHandler(async (req, res) => {
+    if (!smsProvider) {
         return res.status(503).json({success: false, message: 'SMS verification not configured'});
     }
-    const phone = normalizePhone(req.body.phone || req.session.phone_number || '');
-    const code = String(req.body.code || '').trim();
-    if (!phone || !code) {
+    const code = String(req.body.code || '').trim();
+    if (!code) {
+        return res.status(400).json({success: false, message: 'Phone and code are required'});
+    }
+
+    if (req.userId) {
+        // The number checked is the one the code was sent to, whatever the request claims.
+        let verified;
+        try {
+            verified = await verificationCodes.verify(req.userId, 'phone_change', code, {
+                externalCheck: (submitted, phone) => smsProvider.checkCode(phone, submitted)
+            });
+        } catch (error) {
+            return sendVerificationCodeError(res, error);
+        }
+        await execute('UPDATE users SET phone_number = ?, phone_verified = 1 WHERE id = ?', [verified.target, req.userId]);
+        if (req.session.userId) {
+            req.session.phoneVerified = true;
+            req.session.phone_number = verified.target;
+            await req.session.save();
+        }
+        return res.json({success: true, message: 'Phone verified'});
+    }
+
+    const phone = normalizePhone(req.body.phone || '');
+    if (!phone) {
         return res.status(400).json({success: false, message: 'Phone and code are required'});
     }
-    const check = await twilioClient.verify.v2.services(config.twilio.verifySid).verificationChecks.create({
-        to: phone,
-        code
-    });
-    if (check.status !== 'approved') {
+    if (!(await smsProvider.checkCode(phone, code))) {
         return res.status(400).json({success: false, message: 'Invalid or expired code'});
     }
-    await execute('UPDATE users SET phone_number = ?, phone_verified = 1 WHERE id = ?', [phone, req.session.userId]);
-    req.session.phoneVerified = true;
-    await req.session.save();
-    res.json({success: true, message: 'Phone verified'});
+
+    // Only a number the account holder verified signs in. Anyone can type a number into an account
+    // without owning it, so an unverified match has to sign in with its password and verify from there.
+    const users = await execute('SELECT * FROM users WHERE phone_number = ?', [phone]);
+    const user = users.find((candidate) => candidate.phone_verified);
+    if (!user) {
+        if (users.length) {
+            return res.status(409).json({
+                success: false,
+                message: 'This number isn\'t verified on its account yet. Log in with your password and verify it from your account.',
+                userExists: true
+            });
+        }
+        // No account yet: remember the verified number so /signup doesn't text a second code.
+        req.session.verifiedPhone = phone;
+        await req.session.save();
+        return res.json({success: true, userFound: false, message: 'Phone verified'});
+    }
+
+    // Phone-first sign-in.
+    await startUserSession(req, user);
+    console.log(`✅ SMS sign-in for user ID ${user.id}`);
+
+    // The app asks for bearer tokens too (see /api/auth/token); the website only needs the session.
+    const tokens = req.body.issueTokens ? await issueAuthTokens(user.id, req) : {};
+    res.json({success: true, userFound: true, message: `Welcome, ${user.first_name}!`, ...tokens});
 }));
 
 app.post('/api/reset-password-confirm', asyncHandler(async (req, res) => {
@@ -611,23 +2093,21 @@ app.post('/api/reset-password-confirm', asyncHandler(async (req, res) => {
     if (!token || !newPassword) {
         return res.status(400).json({success: false, message: 'Token and new password are required'});
     }
+    if (String(newPassword).length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({success: false, message: `New password must be at least ${MIN_PASSWORD_LENGTH} characters`});
+    }
 
-    const users = await execute(
-        'SELECT id FROM users WHERE reset_token = ? AND reset_token_expiry > NOW()',
-        [token]
-    );
-
-    if (!users.length) {
+    const redeemed = await verificationCodes.redeemToken('password_reset', String(token));
+    if (!redeemed) {
         return res.status(400).json({success: false, message: 'Invalid or expired token'});
     }
 
-    const userId = users[0].id;
-    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    const {userId} = redeemed;
+    const hashedPassword = await bcrypt.hash(String(newPassword), 10);
 
-    await execute(
-        'UPDATE users SET password_hash = ?, reset_token = NULL, reset_token_expiry = NULL WHERE id = ?',
-        [hashedPassword, userId]
-    );
+    await execute('UPDATE users SET password_hash = ? WHERE id = ?', [hashedPassword, userId]);
+    // Whoever knew the old password shouldn't stay signed in.
+    await revokeUserSessions(userId);
 
     console.log(`✅ Password updated for user ID ${userId}`);
     res.json({success: true, message: 'Password reset successful'});
@@ -650,30 +2130,22 @@ app.post('/api/reset-password-request', asyncHandler(async (req, res) => {
         return res.status(404).json({success: false, message: 'No account found with that email'});
     }
 
-    if (!mailTransport) {
+    if (!mailer) {
         return res.status(500).json({success: false, message: 'Email service unavailable'});
     }
 
-    const userId = users[0].id;
-    const resetToken = crypto.randomBytes(32).toString('hex');
-    const tokenExpiry = moment().add(1, 'hour').format('YYYY-MM-DD HH:mm:ss');
-
-    await execute(
-        'UPDATE users SET reset_token = ?, reset_token_expiry = ? WHERE id = ?',
-        [resetToken, tokenExpiry, userId]
-    );
+    let issued;
+    try {
+        issued = await verificationCodes.issue(users[0].id, 'password_reset', {target: normalizedEmail});
+    } catch (error) {
+        return sendVerificationCodeError(res, error);
+    }
 
-    const resetLink = `https://racescan.racing/auth/reset-password-confirm.html?token=${resetToken}`;
+    const resetLink = `https://racescan.racing/auth/reset-password-confirm.html?token=${issued.code}`;
 
-    await mailTransport.sendMail({
-        from: `"RaceScan" <${process.env.EMAIL_USER}>`,
-        to: normalizedEmail,
-        subject: 'RaceScan Password Reset',
-        html: `
-            <p>You requested a password reset.</p>
-            <p>Click <a href="${resetLink}">here</a> to reset your password. This link expires in 1 hour.</p>
-            <p>If you did not request this, please ignore this email.</p>
-        `
+    await mailer.send('passwordReset', normalizedEmail, {
+        resetLink,
+        expiresInMinutes: Math.round(issued.expiresInSeconds / 60)
     });
 
     console.log(`📩 Reset link sent to ${normalizedEmail}`);
@@ -691,7 +2163,7 @@ app.post('/resend-code', asyncHandler(async (req, res) => {
     const normalizedEmail = normalizeEmail(email);
 
     const users = await execute(
-        'SELECT id FROM users WHERE email = ?',
+        'SELECT id, email_verified FROM users WHERE email = ?',
         [normalizedEmail]
     );
 
@@ -699,22 +2171,467 @@ app.post('/resend-code', asyncHandler(async (req, res) => {
         return res.status(404).json({success: false, message: '❌ Email not found. Please sign up first.'});
     }
 
-    const userId = users[0].id;
-    const newVerificationCode = Math.floor(100000 + Math.random() * 900000).toString();
+    if (users[0].email_verified) {
+        return res.status(400).json({success: false, message: '❌ Email already verified. Please log in.'});
+    }
 
-    await execute(
-        'UPDATE users SET verification_code = ? WHERE id = ?',
-        [newVerificationCode, userId]
-    );
+    let issued;
+    try {
+        issued = await verificationCodes.issue(users[0].id, 'email_verify', {target: normalizedEmail});
+    } catch (error) {
+        return sendVerificationCodeError(res, error);
+    }
 
     try {
-        await sendVerificationEmail(normalizedEmail, newVerificationCode);
+        await sendVerificationEmail(normalizedEmail, issued.code, issued.expiresInSeconds);
     } catch (error) {
         console.error('❌ Error resending verification code:', error);
         return res.status(500).json({success: false, message: '❌ Server error. Try again later.'});
     }
 
-    res.json({success: true, message: '✅ New verification code sent to your email!'});
+    const {code, ...timing} = issued;
+    res.json({success: true, message: '✅ New verification code sent to your email!', ...timing});
+}));
+
+/**
+ * Time and attempts left on the pending email or phone code, for the verify
+ * screens. Email codes can be looked up by `email` before signing in.
+ */
+app.get('/api/verification-status', optionalAuth, asyncHandler(async (req, res) => {
+    const purpose = String(req.query.purpose || 'email_verify');
+    if (!['email_verify', 'email_change', 'phone_change'].includes(purpose)) {
+        return res.status(400).json({success: false, message: 'Unknown verification purpose'});
+    }
+
+    let userId = req.userId;
+    if (purpose === 'email_verify' && req.query.email) {
+        const users = await execute('SELECT id FROM users WHERE email = ?', [normalizeEmail(String(req.query.email))]);
+        userId = users.length ? users[0].id : null;
+    }
+    if (!userId) {
+        return res.status(404).json({success: false, message: 'No pending verification'});
+    }
+
+    const {target, ...status} = await verificationCodes.status(userId, purpose);
+    res.json({success: true, purpose, ...status});
+}));
+
+app.get('/api/events', asyncHandler(async (req, res) => {
+    const clauses = [];
+    const params = [];
+
+    const classes = String(req.query.class || '')
+        .split(',')
+        .map((value) => value.trim().toUpperCase())
+        .filter(Boolean);
+    if (classes.length) {
+        clauses.push('class IN (?)');
+        params.push(classes);
+    }
+
+    const from = parseDateFilter(req.query.from);
+    const to = parseDateFilter(req.query.to);
+    if (from === false || to === false) {
+        return res.status(400).json({success: false, message: 'Dates must use YYYY-MM-DD'});
+    }
+    if (from) {
+        clauses.push('starts_at >= ?');
+        params.push(from.clone().startOf('day').utc().format('YYYY-MM-DD HH:mm:ss'));
+    }
+    if (to) {
+        clauses.push('starts_at <= ?');
+        params.push(to.clone().endOf('day').utc().format('YYYY-MM-DD HH:mm:ss'));
+    }
+
+    if (req.query.status) {
+        const status = String(req.query.status).trim().toLowerCase();
+        if (!EVENT_STATUSES.has(status)) {
+            return res.status(400).json({success: false, message: 'Unknown event status'});
+        }
+        clauses.push('status = ?');
+        params.push(status);
+    }
+
+    const rows = await query(
+        `SELECT * FROM events ${clauses.length ? `WHERE ${clauses.join(' AND ')}` : ''} ORDER BY starts_at ASC, id ASC`,
+        params
+    );
+
+    res.json({success: true, events: rows.map(serializeEvent)});
+}));
+
+app.get('/api/events/:id', asyncHandler(async (req, res) => {
+    const id = String(req.params.id || '').trim();
+    const rows = /^\d+$/.test(id)
+        ? await execute('SELECT * FROM events WHERE id = ?', [Number(id)])
+        : await execute('SELECT * FROM events WHERE race_id = ?', [id.toUpperCase()]);
+
+    if (!rows.length) {
+        return res.status(404).json({success: false, message: 'Event not found'});
+    }
+
+    res.json({success: true, event: serializeEvent(rows[0])});
+}));
+
+app.get('/api/live', asyncHandler(async (req, res) => {
+    const status = await resolveLiveStatus();
+    res.json({
+        success: true,
+        ...status,
+        window: config.live
+    });
+}));
+
+app.get('/api/mounts', asyncHandler(async (req, res) => {
+    if (!mountMonitor.snapshot) {
+        await refreshMounts();
+    }
+    if (!mountMonitor.snapshot) {
+        return res.status(503).json({success: false, message: 'Stream status is unavailable'});
+    }
+    res.json({success: true, ...serializeMounts(mountMonitor.snapshot)});
+}));
+
+app.get('/api/mounts/stream', (req, res) => {
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-store',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    mountMonitor.clients.add(res);
+    if (mountMonitor.snapshot) {
+        writeMountEvent(res);
+    }
+
+    res.on('close', () => mountMonitor.clients.delete(res));
+});
+
+app.get('/api/drivers', asyncHandler(async (req, res) => {
+    const clauses = [];
+    const params = [];
+
+    const classes = String(req.query.class || '')
+        .split(',')
+        .map((value) => value.trim().toUpperCase())
+        .filter((value) => value && value !== 'ALL');
+    if (classes.length) {
+        clauses.push('dc.class IN (?)');
+        params.push(classes);
+    }
+
+    const search = String(req.query.q || '').trim();
+    if (search) {
+        clauses.push('(d.name LIKE ? OR dc.car_number = ?)');
+        params.push(`%${search}%`, search);
+    }
+
+    const rows = await query(
+        `SELECT ${DRIVER_COLUMNS}
+         FROM drivers d
+                  JOIN driver_classes dc ON dc.driver_id = d.id
+         ${clauses.length ? `WHERE ${clauses.join(' AND ')}` : ''}
+         ORDER BY d.id, dc.id`,
+        params
+    );
+
+    res.json({success: true, drivers: groupDriverRows(rows)});
+}));
+
+app.get('/api/drivers/:id', asyncHandler(async (req, res) => {
+    const id = String(req.params.id || '').trim();
+    const numericId = /^\d+$/.test(id);
+    const rows = await execute(
+        `SELECT ${DRIVER_COLUMNS}
+         FROM drivers d
+                  JOIN driver_classes dc ON dc.driver_id = d.id
+         WHERE ${numericId ? 'd.id = ?' : 'd.slug = ?'}
+         ORDER BY dc.id`,
+        [numericId ? Number(id) : id.toLowerCase()]
+    );
+
+    if (!rows.length) {
+        return res.status(404).json({success: false, message: 'Driver not found'});
+    }
+
+    res.json({success: true, driver: groupDriverRows(rows)[0]});
+}));
+
+app.get('/api/stream', asyncHandler(async (req, res) => {
+    const mount = normalizeStreamMount(req.query.mount);
+    if (!mount) {
+        return res.status(400).json({success: false, message: 'Invalid stream mount'});
+    }
+
+    const userId = await resolveStreamUserId(req);
+    if (!userId) {
+        return res.status(401).json({success: false, message: 'Sign in to listen live'});
+    }
+
+    const refusal = await streamAccessRefusal(userId, mount);
+    if (refusal) {
+        return res.status(refusal.status).json({success: false, message: refusal.message});
+    }
+
+    const upstreamUrl = new URL(mount, config.icecast.url);
+    // Icecast's listener_add callback checks this like any other client's token.
+    upstreamUrl.searchParams.set('token', createPlaybackToken(userId, mount).token);
+    const client = upstreamUrl.protocol === 'https:' ? https : http;
+    const upstream = client.get(upstreamUrl, {headers: {'Icy-MetaData': '0'}}, (icecastRes) => {
+        upstream.setTimeout(0);
+        if (icecastRes.statusCode !== 200) {
+            icecastRes.resume();
+            return res.status(icecastRes.statusCode === 404 ? 404 : 502)
+                .json({success: false, message: 'Stream is offline'});
+        }
+
+        res.status(200).set({
+            'Content-Type': icecastRes.headers['content-type'] || 'audio/mpeg',
+            'Cache-Control': 'no-cache, no-store',
+            // Keep nginx from buffering the live audio.
+            'X-Accel-Buffering': 'no'
+        });
+        FORWARDED_ICY_HEADERS.forEach((name) => {
+            if (icecastRes.headers[name]) {
+                res.set(name, icecastRes.headers[name]);
+            }
+        });
+        res.flushHeaders();
+        icecastRes.pipe(res);
+    });
+
+    upstream.setTimeout(10 * 1000, () => upstream.destroy(new Error('Icecast did not respond')));
+    upstream.on('error', (err) => {
+        if (res.destroyed) {
+            return;
+        }
+        console.error(`❌ Stream proxy error for ${mount}:`, err.message);
+        if (!res.headersSent) {
+            res.status(502).json({success: false, message: 'Stream is unavailable'});
+        } else {
+            res.end();
+        }
+    });
+
+    // Listener went away: drop the Icecast connection so it isn't counted as a listener.
+    res.on('close', () => upstream.destroy());
+}));
+
+/**
+ * A playback token for a client that connects to Icecast itself rather than
+ * through /api/stream: it requests the mount at the Icecast server it was
+ * given, with ?token=<token>, and Icecast's listener_add callback checks it.
+ * Icecast isn't public (nginx doesn't proxy it), so there's no URL to hand back.
+ */
+app.post('/api/playback-token', requireAuth, asyncHandler(async (req, res) => {
+    const mount = normalizeStreamMount(req.body?.mount);
+    if (!mount) {
+        return res.status(400).json({success: false, message: 'Invalid stream mount'});
+    }
+
+    const refusal = await streamAccessRefusal(req.userId, mount);
+    if (refusal) {
+        return res.status(refusal.status).json({success: false, message: refusal.message});
+    }
+
+    const {token, expiresAt} = createPlaybackToken(req.userId, mount);
+    res.json({
+        success: true,
+        token,
+        expiresAt: new Date(expiresAt * 1000).toISOString()
+    });
+}));
+
+// HLS for live mounts (hls-packager.js): /api/hls/smt-62/live.m3u8 for the /smt-62.mp3 mount.
+// The playlist checks access like /api/stream. Its segment URIs carry a playback token instead,
+// because players fetch segments without the page's cookies or the app's Bearer header.
+app.get('/api/hls/:stream/live.m3u8', asyncHandler(async (req, res) => {
+    const mount = normalizeStreamMount(`/${req.params.stream}.mp3`);
+    if (!mount) {
+        return res.status(400).json({success: false, message: 'Invalid stream mount'});
+    }
+
+    const userId = await resolveStreamUserId(req);
+    if (!userId) {
+        return res.status(401).json({success: false, message: 'Sign in to listen live'});
+    }
+
+    const refusal = await streamAccessRefusal(userId, mount);
+    if (refusal) {
+        return res.status(refusal.status).json({success: false, message: refusal.message});
+    }
+
+    const {token} = createPlaybackToken(userId, mount);
+    const playlist = packager?.playlist(mount, `?token=${encodeURIComponent(token)}`);
+    if (!playlist) {
+        return res.status(404).json({success: false, message: 'HLS is not available for this stream yet'});
+    }
+
+    res.set({
+        'Content-Type': 'application/vnd.apple.mpegurl',
+        'Cache-Control': 'no-cache, no-store'
+    }).send(playlist);
+}));
+
+app.get('/api/hls/:stream/:segment', asyncHandler(async (req, res) => {
+    const mount = normalizeStreamMount(`/${req.params.stream}.mp3`);
+    if (!mount || !verifyPlaybackToken(req.query.token, mount)) {
+        return res.status(401).json({success: false, message: 'Invalid or expired playback token'});
+    }
+
+    const file = /^seg-\d+\.mp3$/.test(req.params.segment) ? packager?.segmentPath(mount, req.params.segment) : null;
+    if (!file) {
+        return res.status(404).json({success: false, message: 'Segment is no longer available'});
+    }
+
+    // Segments never change once written, so players may keep them for the rewind window.
+    res.sendFile(file, {root: config.hls.dir, maxAge: config.hls.windowSeconds * 1000, immutable: true}, (err) => {
+        if (err && !res.headersSent) {
+            res.status(err.status === 404 ? 404 : 500).json({success: false, message: 'Segment is no longer available'});
+        }
+    });
+}));
+
+// Icecast <authentication type="url"> callbacks. Icecast only lets a listener
+// in when the response carries `icecast-auth-user: 1`.
+app.post('/api/icecast/listener-add', asyncHandler(async (req, res) => {
+    if (!isIcecastCaller(req)) {
+        return res.status(401).json({success: false, message: 'Not authorized'});
+    }
+
+    const listener = parseIcecastListener(req.body);
+    const payload = verifyPlaybackToken(listener.token, listener.mount);
+    if (!payload) {
+        console.warn(`🔒 Icecast listener rejected on ${listener.mount} (${listener.ip || 'unknown ip'})`);
+        res.set('icecast-auth-message', 'Invalid or expired playback token');
+        return res.json({success: false});
+    }
+
+    // Recorder, packager, transcoder and voice monitor connections aren't a fan listening, so they get no listening session.
+    if (payload.uid) {
+        await execute(
+            `INSERT INTO listening_sessions (user_id, mount, icecast_client, ip_address, user_agent)
+             VALUES (?, ?, ?, ?, ?)`,
+            [payload.uid, listener.mount, listener.client, listener.ip, listener.agent]
+        );
+    }
+
+    res.set('icecast-auth-user', '1');
+    res.json({success: true});
+}));
+
+app.post('/api/icecast/listener-remove', asyncHandler(async (req, res) => {
+    if (!isIcecastCaller(req)) {
+        return res.status(401).json({success: false, message: 'Not authorized'});
+    }
+
+    const listener = parseIcecastListener(req.body);
+    await execute(
+        `UPDATE listening_sessions
+         SET ended_at         = UTC_TIMESTAMP(),
+             duration_seconds = COALESCE(?, TIMESTAMPDIFF(SECOND, started_at, UTC_TIMESTAMP()))
+         WHERE icecast_client = ?
+           AND mount = ?
+           AND ended_at IS NULL
+         ORDER BY id DESC
+         LIMIT 1`,
+        [listener.duration, listener.client, listener.mount]
+    );
+
+    res.json({success: true});
+}));
+
+const MAX_ARCHIVE_RESULTS = 500;
+
+const toIsoOrNull = (value) => (value ? moment.utc(value, 'YYYY-MM-DD HH:mm:ss').toISOString() : null);
+
+const serializeRecording = (row) => ({
+    eventId: row.event_id,
+    driverId: row.driver_id,
+    driverName: row.name,
+    number: row.car_number || null,
+    logo: row.number_logo || '',
+    classType: row.class || null,
+    track: row.track || '',
+    startsAt: toIsoOrNull(row.starts_at),
+    date: row.starts_at
+        ? moment.utc(row.starts_at, 'YYYY-MM-DD HH:mm:ss').tz(row.timezone || config.eventTimezone).format('YYYY-MM-DD')
+        : null,
+    // Still being written while the event is live; the file grows until it ends.
+    recording: row.status === 'recording',
+    bytes: Number(row.bytes) || 0,
+    startedAt: toIsoOrNull(row.started_at),
+    endedAt: toIsoOrNull(row.ended_at),
+    url: `/api/archive/${encodeURIComponent(row.event_id)}/${row.driver_id}`
+});
+
+// What can be replayed, newest event first. Filter with ?eventId= and/or ?driverId=.
+app.get('/api/archive', asyncHandler(async (req, res) => {
+    const eventId = String(req.query.eventId || '').trim().toUpperCase() || null;
+    const driverId = Number(req.query.driverId) || null;
+    const rows = await execute(
+        `SELECT r.event_id, r.driver_id, r.status, r.bytes, r.started_at, r.ended_at,
+                d.name, dc.car_number, dc.number_logo, e.class, e.track, e.starts_at, e.timezone
+         FROM recordings r
+         JOIN drivers d ON d.id = r.driver_id
+         LEFT JOIN driver_classes dc ON dc.mount = r.mount
+         LEFT JOIN events e ON e.race_id = r.event_id
+         WHERE r.status <> 'failed'
+           AND (? IS NULL OR r.event_id = ?)
+           AND (? IS NULL OR r.driver_id = ?)
+         ORDER BY e.starts_at DESC, r.event_id, d.name
+         LIMIT ${MAX_ARCHIVE_RESULTS}`,
+        [eventId, eventId, driverId, driverId]
+    );
+    res.json({success: true, recordings: rows.map(serializeRecording)});
+}));
+
+// Replays need the same access as listening live to that event: a subscription or a pass for it.
+app.get('/api/archive/:eventId/:driverId', asyncHandler(async (req, res) => {
+    const userId = await resolveStreamUserId(req);
+    if (!userId) {
+        return res.status(401).json({success: false, message: 'Sign in to listen to race replays'});
+    }
+
+    const eventId = String(req.params.eventId || '').trim().toUpperCase();
+    const rows = await execute(
+        "SELECT file_path FROM recordings WHERE event_id = ? AND driver_id = ? AND status <> 'failed'",
+        [eventId, Number(req.params.driverId) || 0]
+    );
+    if (!rows.length) {
+        return res.status(404).json({success: false, message: 'No recording for this driver at this event'});
+    }
+
+    const {allowed} = await entitlements.check(userId, [eventId]);
+    if (!allowed) {
+        return res.status(403).json({
+            success: false,
+            message: 'A subscription or a day pass for this event is required to listen'
+        });
+    }
+
+    // sendFile answers Range requests with 206 and Content-Range, so players can seek and resume.
+    res.sendFile(rows[0].file_path, {
+        root: config.recordings.dir,
+        headers: {'Cache-Control': 'private, no-cache'}
+    }, (err) => {
+        if (!err || res.headersSent) {
+            return;
+        }
+        if (err.code === 'ENOENT') {
+            console.warn(`⚠️ Recording file missing for ${eventId}/${req.params.driverId}`);
+            return res.status(404).json({success: false, message: 'This recording is no longer available'});
+        }
+        // Unsatisfiable ranges and failed preconditions; send puts Content-Range on err.headers.
+        if (err.status && err.status < 500) {
+            return res.status(err.status).set(err.headers || {}).end();
+        }
+        console.error('❌ Error sending recording:', err.message);
+        res.status(500).json({success: false, message: 'Could not play this recording'});
+    });
 }));
 
 const slideshowCache = {
@@ -730,90 +2647,354 @@ app.get('/api/tracks', asyncHandler(async (req, res) => {
         return res.json(slideshowCache.files);
     }
 
-    let files = [];
+    let files = [];
+    try {
+        files = await fsp.readdir(config.slideshowDir);
+    } catch (error) {
+        console.error('❌ Error reading slideshow_images directory:', error);
+        return res.status(500).json([]);
+    }
+
+    const imageFiles = files
+        .filter((file) => /\.(jpg|jpeg|png|gif)$/i.test(file))
+        .map((file) => `/static/images/slideshow_images/${file}`);
+
+    slideshowCache.files = imageFiles;
+    slideshowCache.timestamp = now;
+
+    res.json(imageFiles);
+}));
+
+app.post('/api/create-checkout-session', requireAuth, promoCodeLimiter, asyncHandler(async (req, res) => {
+    console.log('📢 Creating Stripe Checkout session...');
+
+    const {plan, selectedEvents = [], promoCode} = req.body;
+    const giftEmail = normalizeEmail(req.body.giftEmail || '');
+    const giftMessage = String(req.body.giftMessage || '').trim().slice(0, MAX_GIFT_MESSAGE_LENGTH);
+    const users = await execute('SELECT email, stripe_customer_id FROM users WHERE id = ?', [req.userId]);
+    const email = users[0]?.email;
+    const customerId = users[0]?.stripe_customer_id;
+
+    if (!email) {
+        return res.status(400).json({success: false, message: 'No email found for this account'});
+    }
+
+    if (!stripe) {
+        return res.status(503).json({success: false, message: 'Payment service is currently unavailable.'});
+    }
+
+    let priceId;
+    let mode;
+    let quantity = 1;
+    let dayPassEvents = [];
+
+    if (plan === 'day-pass') {
+        priceId = config.stripe.priceDayPass;
+        mode = 'payment';
+        // One pass per event, priced and recorded from the server's own event list.
+        dayPassEvents = await resolveDayPassEvents(selectedEvents);
+        if (!dayPassEvents.length) {
+            return res.status(400).json({success: false, message: 'Select at least one upcoming event'});
+        }
+        quantity = dayPassEvents.length;
+        if (giftEmail && !giftEmail.includes('@')) {
+            return res.status(400).json({success: false, message: 'Enter a valid email address for the gift'});
+        }
+        if (giftEmail && giftEmail === email) {
+            return res.status(400).json({success: false, message: 'That is your own email; uncheck the gift option to buy for yourself'});
+        }
+    } else if (plan === 'unlimited') {
+        priceId = config.stripe.priceUnlimited;
+        mode = 'subscription';
+    }
+
+    if (!priceId || !mode) {
+        return res.status(400).json({success: false, message: 'Invalid plan selection'});
+    }
+
+    let promo = null;
+    let discounts;
+    if (promoCode) {
+        try {
+            promo = await promoCodes.find(promoCode, {userId: req.userId, plan, replaceCheckout: true});
+        } catch (error) {
+            return sendPromoCodeError(res, error);
+        }
+        if (promo.kind === 'comp') {
+            return res.status(400).json({success: false, reason: 'comp', message: 'This code is for a complimentary pass. Redeem it instead of checking out.'});
+        }
+    }
+
+    // A local code is counted when the session starts, not when it's paid, so two checkouts can't
+    // both take its last redemption. The session's expiry gives it back (handleCheckoutSessionExpired).
+    const reserved = promo?.source === 'local';
+    if (reserved) {
+        try {
+            await promoCodes.reserve(promo, req.userId);
+        } catch (error) {
+            return sendPromoCodeError(res, error);
+        }
+    }
+
+    let session;
+    try {
+        if (promo) {
+            discounts = await promoCodes.checkoutDiscounts(promo);
+        }
+        session = await stripe.checkout.sessions.create({
+            payment_method_types: ['card'],
+            // Returning buyers keep one Stripe customer, so the billing portal shows all their payments.
+            ...(customerId ? {customer: customerId} : {customer_email: email}),
+            ...(mode === 'payment' && !customerId ? {customer_creation: 'always'} : {}),
+            line_items: [{price: priceId, quantity}],
+            mode,
+            ...(discounts ? {discounts} : {}),
+            metadata: {
+                plan,
+                user_email: email,
+                user_id: req.userId,
+                count: String(quantity),
+                ...(promo ? {promo_code: promo.code} : {}),
+                ...(promo?.source === 'local' ? {promo_code_id: String(promo.id)} : {}),
+                ...(mode === 'payment' && giftEmail ? {gift_email: giftEmail, gift_message: giftMessage} : {})
+            },
+            // Carried onto the subscription so renewal webhooks can find the user.
+            ...(mode === 'subscription' ? {subscription_data: {metadata: {user_id: String(req.userId)}}} : {}),
+            success_url: 'https://racescan.racing/api/handle-stripe-success?session_id={CHECKOUT_SESSION_ID}',
+            cancel_url: 'https://racescan.racing/events/subscribe.html'
+        });
+    } catch (error) {
+        if (reserved) {
+            await promoCodes.release(promo.id, {userId: req.userId});
+        }
+        // Stripe has the last word on its promotion codes (first-time-only, minimum amount, products).
+        if (promo && error.type === 'StripeInvalidRequestError') {
+            console.warn(`⚠️ Stripe rejected promo code ${promo.code}:`, error.message);
+            return res.status(400).json({success: false, reason: 'rejected', message: 'This code cannot be used for this purchase.'});
+        }
+        throw error;
+    }
+
+    if (reserved) {
+        await promoCodes.attach(promo.id, req.userId, session.id);
+    }
+    if (dayPassEvents.length) {
+        await query(
+            'INSERT INTO day_pass_selections (user_id, checkout_session_id, event_id, event_name, event_date) VALUES ?',
+            [dayPassEvents.map((event) => [req.userId, session.id, event.eventId, event.name, event.date])]
+        );
+    }
+
+    console.log('✅ Stripe session created. Redirecting to:', session.url);
+    res.json({url: session.url});
+}));
+
+// eventId null means every event; endsAt (UTC) null means until revoked.
+const serializeCompPass = (row) => ({
+    id: row.id,
+    eventId: row.event_id,
+    category: row.category,
+    endsAt: row.ends_at
+});
+
+// Previews a code on the plan pages before checkout: what it gives and whether it applies.
+app.post('/api/promo-codes/check', requireAuth, promoCodeLimiter, asyncHandler(async (req, res) => {
+    const {promoCode, plan} = req.body;
+    try {
+        const promo = await promoCodes.find(promoCode, {userId: req.userId, plan: plan || null});
+        res.json({success: true, promo: promoCodes.describe(promo)});
+    } catch (error) {
+        return sendPromoCodeError(res, error);
+    }
+}));
+
+// Comp codes grant their pass right away; discount codes go through checkout instead.
+app.post('/api/promo-codes/redeem', requireAuth, promoCodeLimiter, asyncHandler(async (req, res) => {
+    let pass;
     try {
-        files = await fsp.readdir(config.slideshowDir);
+        const promo = await promoCodes.find(req.body.promoCode, {userId: req.userId});
+        pass = await promoCodes.redeemComp(promo, req.userId);
     } catch (error) {
-        console.error('❌ Error reading slideshow_images directory:', error);
-        return res.status(500).json([]);
+        return sendPromoCodeError(res, error);
     }
 
-    const imageFiles = files
-        .filter((file) => /\.(jpg|jpeg|png|gif)$/i.test(file))
-        .map((file) => `/static/images/slideshow_images/${file}`);
-
-    slideshowCache.files = imageFiles;
-    slideshowCache.timestamp = now;
+    await recordAudit(req, req.userId, 'comp_code_redeemed', {passId: pass.id});
+    console.log(`🎟️ Comp pass ${pass.id} (${pass.event_id || 'all events'}) granted to user ID ${req.userId}`);
+    res.json({
+        success: true,
+        message: pass.event_id ? `Complimentary pass added for ${pass.event_id}.` : 'Complimentary access added to your account.',
+        pass: serializeCompPass(pass)
+    });
+}));
 
-    res.json(imageFiles);
+// What the live pages ask before offering playback: can this user listen to these events?
+// eventId takes one race ID or a comma-separated list (any one of them is enough).
+app.get('/api/entitlements', requireAuth, asyncHandler(async (req, res) => {
+    const eventIds = String(req.query.eventId || '').split(',').map((id) => id.trim()).filter(Boolean);
+    const {allowed, via} = await entitlements.check(req.userId, eventIds);
+    res.json({success: true, eventIds, allowed, via});
 }));
 
-app.post('/api/create-checkout-session', requireAuth, asyncHandler(async (req, res) => {
-    console.log('📢 Creating Stripe Checkout session...');
+app.get('/api/user-day-passes', requireAuth, asyncHandler(async (req, res) => {
+    const [rows, comps] = await Promise.all([
+        execute(
+            `SELECT d.event_id, d.event_name, d.event_date, e.starts_at > UTC_TIMESTAMP() AS can_transfer
+             FROM day_passes d LEFT JOIN events e ON e.race_id = d.event_id
+             WHERE d.user_id = ?`,
+            [req.userId]
+        ),
+        execute(
+            `SELECT id, event_id, category, ends_at FROM comp_passes
+             WHERE user_id = ? AND revoked_at IS NULL AND (ends_at IS NULL OR ends_at > UTC_TIMESTAMP())
+             ORDER BY created_at`,
+            [req.userId]
+        )
+    ]);
 
-    const {plan, count = 1, selectedEvents = []} = req.body;
-    const email = req.session.email;
+    res.json({
+        success: true,
+        passes: rows.map((row) => ({...row, can_transfer: !!Number(row.can_transfer)})),
+        raceIds: rows.map((row) => row.event_id),
+        compPasses: comps.map(serializeCompPass)
+    });
+}));
 
-    if (!email) {
-        return res.status(400).json({success: false, message: 'No email found in session'});
+/**
+ * Moves one of the signed-in user's day passes to another account, by email,
+ * until the event starts. Both sides get an email and an audit_log row.
+ */
+app.post('/api/day-passes/transfer', requireAuth, asyncHandler(async (req, res) => {
+    const eventId = String(req.body.eventId || '').trim().toUpperCase();
+    const recipientEmail = normalizeEmail(req.body.email || '');
+    if (!eventId || !recipientEmail.includes('@')) {
+        return res.status(400).json({success: false, message: 'A pass and a valid email address are required'});
     }
 
-    if (!stripe) {
-        return res.status(503).json({success: false, message: 'Payment service is currently unavailable.'});
+    const passes = await execute(
+        `SELECT d.id, d.event_name, d.event_date, e.starts_at > UTC_TIMESTAMP() AS upcoming
+         FROM day_passes d LEFT JOIN events e ON e.race_id = d.event_id
+         WHERE d.user_id = ? AND d.event_id = ?`,
+        [req.userId, eventId]
+    );
+    if (!passes.length) {
+        return res.status(404).json({success: false, message: 'You do not have a day pass for this event'});
     }
-
-    const normalizedSelectedEvents = Array.isArray(selectedEvents)
-        ? selectedEvents.slice(0, 20)
-        : [];
-
-    let priceId;
-    let mode;
-
-    if (plan === 'day-pass') {
-        priceId = config.stripe.priceDayPass;
-        mode = 'payment';
-    } else if (plan === 'unlimited') {
-        priceId = config.stripe.priceUnlimited;
-        mode = 'subscription';
+    const pass = passes[0];
+    if (!Number(pass.upcoming)) {
+        return res.status(400).json({success: false, message: 'Passes can only be transferred before the event starts'});
     }
 
-    if (!priceId || !mode) {
-        return res.status(400).json({success: false, message: 'Invalid plan selection'});
+    const [senders, recipients] = await Promise.all([
+        execute('SELECT id, email, first_name FROM users WHERE id = ?', [req.userId]),
+        execute('SELECT id, email, first_name FROM users WHERE email = ?', [recipientEmail])
+    ]);
+    const sender = senders[0];
+    const recipient = recipients[0];
+    if (!recipient) {
+        return res.status(404).json({success: false, message: 'No RaceScan account uses that email. Ask them to sign up, then try again.'});
+    }
+    if (recipient.id === req.userId) {
+        return res.status(400).json({success: false, message: 'This pass is already yours'});
     }
 
-    const session = await stripe.checkout.sessions.create({
-        payment_method_types: ['card'],
-        customer_email: email,
-        line_items: [{price: priceId, quantity: count}],
-        mode,
-        metadata: {
-            plan,
-            user_email: email,
-            user_id: req.session.userId,
-            count: String(count),
-            selected_events: JSON.stringify(normalizedSelectedEvents)
-        },
-        success_url: 'https://racescan.racing/api/handle-stripe-success?session_id={CHECKOUT_SESSION_ID}',
-        cancel_url: 'https://racescan.racing/events/subscribe.html'
-    });
+    let result;
+    try {
+        // The reminder is reset so the new holder gets one too.
+        result = await execute(
+            'UPDATE day_passes SET user_id = ?, reminder_sent_at = NULL WHERE id = ? AND user_id = ?',
+            [recipient.id, pass.id, req.userId]
+        );
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({success: false, message: 'That account already has a pass for this event'});
+        }
+        throw error;
+    }
+    if (!result.affectedRows) {
+        return res.status(409).json({success: false, message: 'This pass has already been transferred'});
+    }
+    await markDayPassHolder(recipient.id);
+    await clearDayPassHolder(req.userId);
+
+    await recordAudit(req, req.userId, 'day_pass_transfer_out', {eventId, toUserId: recipient.id});
+    await recordAudit(req, recipient.id, 'day_pass_transfer_in', {eventId, fromUserId: req.userId});
+    console.log(`🔁 Day pass ${eventId} moved from user ID ${req.userId} to user ID ${recipient.id}`);
+
+    if (mailer) {
+        const details = {eventName: pass.event_name, eventDate: pass.event_date};
+        const results = await Promise.allSettled([
+            mailer.send('passTransferSent', sender.email, {...details, firstName: sender.first_name, recipientEmail: recipient.email}),
+            mailer.send('passTransferReceived', recipient.email, {...details, firstName: recipient.first_name, fromName: sender.first_name})
+        ]);
+        results.filter((outcome) => outcome.status === 'rejected').forEach((outcome) => {
+            console.warn('⚠️ Failed to send day pass transfer email:', outcome.reason?.message);
+        });
+    }
 
-    console.log('✅ Stripe session created. Redirecting to:', session.url);
-    res.json({url: session.url});
+    res.json({success: true, message: `Your pass for ${pass.event_name} now belongs to ${recipient.email}.`});
 }));
 
-app.get('/api/user-day-passes', requireAuth, asyncHandler(async (req, res) => {
-    const rows = await execute(
-        'SELECT event_id, event_name, event_date FROM day_passes WHERE user_id = ?',
-        [req.session.userId]
-    );
+const serializeGift = (gift) => ({
+    id: gift.id,
+    recipientEmail: gift.recipient_email,
+    events: gift.events,
+    createdAt: gift.created_at,
+    sent: !!gift.sent_at,
+    claimed: !!gift.claimed_at,
+    revoked: !!gift.revoked_at
+});
+
+// The claim page's preview. The token is the only key, so this needs no sign-in.
+app.get('/api/gifts/preview', asyncHandler(async (req, res) => {
+    const gift = await dayPassGifts.findByToken(String(req.query.token || ''));
+    if (!gift) {
+        return res.status(404).json({success: false, message: 'This gift link is not valid. Ask the sender to resend it.'});
+    }
+    res.json({
+        success: true,
+        fromName: gift.purchaser_name || null,
+        recipientEmail: gift.recipient_email,
+        message: gift.message,
+        events: gift.events,
+        claimed: !!gift.claimed_at,
+        revoked: !!gift.revoked_at
+    });
+}));
 
+app.post('/api/gifts/claim', requireAuth, asyncHandler(async (req, res) => {
+    const {gift, added, status, message} = await dayPassGifts.claim(String(req.body.token || ''), req.userId);
+    if (!gift) {
+        return res.status(status).json({success: false, message});
+    }
+    await markDayPassHolder(req.userId);
+    await recordAudit(req, req.userId, 'day_pass_gift_claimed', {giftId: gift.id, fromUserId: gift.purchaser_id});
+    console.log(`🎁 Gift ${gift.id} claimed by user ID ${req.userId} (${added} new pass(es))`);
     res.json({
         success: true,
-        passes: rows,
-        raceIds: rows.map((row) => row.event_id)
+        message: added ? 'Your day pass is ready!' : 'Gift claimed. You already had passes for these events.',
+        events: gift.events
     });
 }));
 
+// Gifts the signed-in user has bought, for the account page.
+app.get('/api/gifts', requireAuth, asyncHandler(async (req, res) => {
+    const gifts = await dayPassGifts.listSent(req.userId);
+    res.json({success: true, gifts: gifts.map(serializeGift)});
+}));
+
+// Emails an unclaimed gift again with a fresh link; the previous link stops working.
+app.post('/api/gifts/resend', requireAuth, giftResendLimiter, asyncHandler(async (req, res) => {
+    const reissued = await dayPassGifts.reissue(Number(req.body.giftId) || 0, req.userId);
+    if (!reissued) {
+        return res.status(404).json({success: false, message: 'There is no unclaimed gift to resend'});
+    }
+    if (!await sendGiftEmail(reissued.gift, reissued.token)) {
+        return res.status(502).json({success: false, message: 'We could not send the email. Please try again later.'});
+    }
+    await recordAudit(req, req.userId, 'day_pass_gift_resent', {giftId: reissued.gift.id});
+    res.json({success: true, message: `Gift link sent again to ${reissued.gift.recipient_email}.`});
+}));
+
 app.get('/api/handle-stripe-success', requireAuth, asyncHandler(async (req, res) => {
     console.log('📢 Handling Stripe Success Redirect...');
 
@@ -827,11 +3008,10 @@ app.get('/api/handle-stripe-success', requireAuth, asyncHandler(async (req, res)
     }
 
     const checkoutSession = await stripe.checkout.sessions.retrieve(sessionId);
-    if (!checkoutSession || checkoutSession.payment_status !== 'paid') {
+    if (!checkoutSession || !isCheckoutPaid(checkoutSession)) {
         return res.redirect('/events/subscribe.html?error=payment_failed');
     }
 
-    const email = checkoutSession.customer_email;
     const plan = checkoutSession.metadata?.plan;
 
     if (!plan) {
@@ -839,56 +3019,22 @@ app.get('/api/handle-stripe-success', requireAuth, asyncHandler(async (req, res)
         return res.redirect('/events/subscribe.html?error=missing_plan_data');
     }
 
-    const users = await execute(
-        'SELECT id FROM users WHERE email = ?',
-        [email]
-    );
+    // Returning customers check out without customer_email, so match on the metadata first.
+    const userId = await findStripeUser({
+        userId: checkoutSession.metadata?.user_id,
+        email: checkoutSession.customer_email || checkoutSession.customer_details?.email
+    });
 
-    if (!users.length) {
-        console.error('❌ User not found in database:', email);
+    if (!userId) {
+        console.error('❌ User not found for checkout session:', checkoutSession.id);
         return res.redirect('/events/subscribe.html?error=user_not_found');
     }
 
-    const userId = users[0].id;
-    let nextBillingDate = null;
-    let dayPassEnds = null;
-
-    if (plan === 'day-pass') {
-        const events = safeJsonParse(checkoutSession.metadata?.selected_events, []);
-
-        if (events.length) {
-            const insertValues = events
-                .map((event) => ({
-                    eventId: event?.eventId,
-                    name: String(event?.name || '').trim(),
-                    date: String(event?.date || '').trim()
-                }))
-                .filter((event) => event.eventId && event.name && event.date)
-                .map((event) => [userId, event.eventId, event.name, event.date]);
-
-            if (insertValues.length) {
-                await query(
-                    'INSERT IGNORE INTO day_passes (user_id, event_id, event_name, event_date) VALUES ?',
-                    [insertValues]
-                );
-                console.log(`✅ Added ${insertValues.length} event(s) to day_passes.`);
-            }
-        }
-    } else if (plan === 'unlimited') {
-        nextBillingDate = moment().add(30, 'days').utc().format('YYYY-MM-DD HH:mm:ss');
+    const {giftEmail} = await fulfillCheckoutSession(userId, checkoutSession);
+    if (giftEmail) {
+        return res.redirect(`/auth/account.html?gift=${encodeURIComponent(giftEmail)}`);
     }
 
-    await execute(`
-        UPDATE users
-        SET subscribed             = 1,
-            tier                   = ?,
-            subscription_status    = 'Active',
-            stripe_subscription_id = ?,
-            next_billing_date      = ?,
-            daypass_ends           = ?
-        WHERE id = ?
-    `, [plan, checkoutSession.subscription || null, nextBillingDate, dayPassEnds, userId]);
-
     req.session.subscribed = true;
     req.session.tier = plan;
 
@@ -897,6 +3043,122 @@ app.get('/api/handle-stripe-success', requireAuth, asyncHandler(async (req, res)
     return res.redirect(`/events/live.html?session_id=${encodeURIComponent(req.sessionID)}&user_id=${encodeURIComponent(userId)}`);
 }));
 
+/**
+ * The signed-in user's live Stripe subscription. Resolves to {subscription}
+ * or to {status, message} when there is nothing to manage.
+ */
+async function findOwnSubscription(userId) {
+    if (!stripe) {
+        return {status: 503, message: 'Billing is unavailable right now; please try again later.'};
+    }
+    const users = await execute('SELECT stripe_subscription_id FROM users WHERE id = ?', [userId]);
+    const subscriptionId = users[0]?.stripe_subscription_id;
+    if (!subscriptionId) {
+        return {status: 400, message: 'You do not have a subscription to manage'};
+    }
+
+    let subscription;
+    try {
+        subscription = await stripe.subscriptions.retrieve(subscriptionId);
+    } catch (error) {
+        if (error.code === 'resource_missing') {
+            return {status: 400, message: 'You do not have a subscription to manage'};
+        }
+        throw error;
+    }
+    if (!STRIPE_ENTITLED_STATUSES.has(subscription.status)) {
+        return {status: 400, message: 'Your subscription has already ended'};
+    }
+    return {subscription};
+}
+
+const describeSubscription = (subscription) => {
+    const periodEnd = subscription.cancel_at || getSubscriptionPeriodEnd(subscription);
+    return {
+        cancelAtPeriodEnd: isSubscriptionEnding(subscription),
+        currentPeriodEnd: periodEnd ? moment.unix(periodEnd).utc().toISOString() : null
+    };
+};
+
+const formatPeriodEnd = (subscription) => moment
+    .unix(subscription.cancel_at || getSubscriptionPeriodEnd(subscription))
+    .tz(config.eventTimezone)
+    .format('MMM D, YYYY');
+
+// Stops renewal; the subscriber keeps access until the period they paid for ends.
+app.post('/api/subscription/cancel', requireAuth, asyncHandler(async (req, res) => {
+    const {subscription, status, message} = await findOwnSubscription(req.userId);
+    if (!subscription) {
+        return res.status(status).json({success: false, message});
+    }
+
+    const updated = isSubscriptionEnding(subscription)
+        ? subscription
+        : await stripe.subscriptions.update(subscription.id, {cancel_at_period_end: true});
+    // The webhook will report the same change; applying it now keeps the account page current.
+    await handleSubscriptionUpdated(updated);
+
+    console.log(`🛑 Subscription ${updated.id} set to cancel at period end for user ID ${req.userId}`);
+    res.json({
+        success: true,
+        message: `Your subscription will end on ${formatPeriodEnd(updated)}. You can listen until then.`,
+        ...describeSubscription(updated)
+    });
+}));
+
+app.post('/api/subscription/resume', requireAuth, asyncHandler(async (req, res) => {
+    const {subscription, status, message} = await findOwnSubscription(req.userId);
+    if (!subscription) {
+        return res.status(status).json({success: false, message});
+    }
+
+    let updated = subscription;
+    if (subscription.cancel_at_period_end) {
+        updated = await stripe.subscriptions.update(subscription.id, {cancel_at_period_end: false});
+    } else if (subscription.cancel_at) {
+        // Stripe rejects cancel_at_period_end and cancel_at together; an empty value clears cancel_at.
+        updated = await stripe.subscriptions.update(subscription.id, {cancel_at: ''});
+    }
+    await handleSubscriptionUpdated(updated);
+
+    console.log(`✅ Subscription ${updated.id} resumed for user ID ${req.userId}`);
+    res.json({
+        success: true,
+        message: `Your subscription will renew on ${formatPeriodEnd(updated)}.`,
+        ...describeSubscription(updated)
+    });
+}));
+
+/**
+ * Opens a Stripe customer-portal session (payment methods, invoices, plan
+ * changes). Older accounts have no stored customer yet, so it is looked up
+ * from their subscription and saved.
+ */
+app.post('/api/billing-portal', requireAuth, asyncHandler(async (req, res) => {
+    if (!stripe) {
+        return res.status(503).json({success: false, message: 'Billing is unavailable right now; please try again later.'});
+    }
+
+    const users = await execute('SELECT stripe_customer_id, stripe_subscription_id FROM users WHERE id = ?', [req.userId]);
+    let customerId = users[0]?.stripe_customer_id;
+    if (!customerId && users[0]?.stripe_subscription_id) {
+        const subscription = await stripe.subscriptions.retrieve(users[0].stripe_subscription_id);
+        customerId = stripeId(subscription.customer);
+        await execute('UPDATE users SET stripe_customer_id = ? WHERE id = ?', [customerId, req.userId]);
+    }
+    if (!customerId) {
+        return res.status(400).json({success: false, message: 'There is no billing history for this account yet'});
+    }
+
+    const portal = await stripe.billingPortal.sessions.create({
+        customer: customerId,
+        return_url: 'https://racescan.racing/auth/account.html'
+    });
+
+    console.log(`✅ Billing portal session created for user ID ${req.userId}`);
+    res.json({success: true, url: portal.url});
+}));
+
 app.get('/api/session', (req, res) => {
     res.json({
         loggedIn: !!req.session.userId,
@@ -924,6 +3186,243 @@ app.post('/logout', asyncHandler(async (req, res) => {
     res.json({success: true});
 }));
 
+// "Sign out everywhere": ends every session and app login for the account, this one included.
+app.post('/api/sessions/revoke-all', requireAuth, asyncHandler(async (req, res) => {
+    await revokeUserSessions(req.userId);
+    res.clearCookie('connect.sid', {path: '/'});
+    res.json({success: true, message: 'Signed out on all devices'});
+}));
+
+// Writes an audit_log row. `details` is stored as JSON; keep secrets out of it.
+async function recordAudit(req, userId, action, details = null) {
+    await execute(
+        'INSERT INTO audit_log (user_id, action, ip_address, user_agent, details) VALUES (?, ?, ?, ?, ?)',
+        [
+            userId,
+            action,
+            req.ip || null,
+            String(req.get('user-agent') || '').slice(0, 255) || null,
+            details ? JSON.stringify(details) : null
+        ]
+    );
+}
+
+/**
+ * The signed-in user's row, after re-checking their current password. Resolves
+ * to {user} or to {status, message} like authenticateCredentials().
+ */
+async function confirmCurrentPassword(userId, password) {
+    if (!password) {
+        return {status: 400, message: 'Current password is required'};
+    }
+    const users = await execute('SELECT * FROM users WHERE id = ?', [userId]);
+    if (!users.length) {
+        return {status: 404, message: 'User not found'};
+    }
+    if (!(await bcrypt.compare(String(password), users[0].password_hash))) {
+        return {status: 401, message: 'Current password is incorrect'};
+    }
+    return {user: users[0]};
+}
+
+/**
+ * After a credential change: signs the account out everywhere, then back in
+ * on this session, and hands app callers a fresh token pair.
+ */
+async function restartUserSessions(req, user) {
+    await revokeUserSessions(user.id);
+    if (req.session.userId === user.id) {
+        await startUserSession(req, user);
+    }
+    return readBearerToken(req) ? issueAuthTokens(user.id, req) : {};
+}
+
+app.post('/api/account/name', requireAuth, asyncHandler(async (req, res) => {
+    const firstName = String(req.body.firstName || '').trim();
+    const lastName = String(req.body.lastName || '').trim();
+    if (!firstName || !lastName) {
+        return res.status(400).json({success: false, message: 'First and last name are required'});
+    }
+    if (firstName.length > 100 || lastName.length > 100) {
+        return res.status(400).json({success: false, message: 'Names must be 100 characters or fewer'});
+    }
+
+    await execute('UPDATE users SET first_name = ?, last_name = ? WHERE id = ?', [firstName, lastName, req.userId]);
+    if (req.session.userId) {
+        req.session.firstName = firstName;
+        await req.session.save();
+    }
+    res.json({success: true, message: 'Name updated', firstName, lastName});
+}));
+
+app.post('/api/account/password', requireAuth, asyncHandler(async (req, res) => {
+    const newPassword = String(req.body.newPassword || '');
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({success: false, message: `New password must be at least ${MIN_PASSWORD_LENGTH} characters`});
+    }
+
+    const {user, status, message} = await confirmCurrentPassword(req.userId, req.body.currentPassword);
+    if (!user) {
+        return res.status(status).json({success: false, message});
+    }
+
+    await execute('UPDATE users SET password_hash = ? WHERE id = ?', [await bcrypt.hash(newPassword, 10), user.id]);
+    // Anyone signed in with the old password is signed out; this device stays signed in.
+    const tokens = await restartUserSessions(req, user);
+
+    console.log(`✅ Password changed for user ID ${user.id}`);
+    res.json({success: true, message: 'Password updated. Other devices have been signed out.', ...tokens});
+}));
+
+// Step one of an email change: a code goes to the new address, which /api/account/email/confirm checks.
+app.post('/api/account/email', requireAuth, asyncHandler(async (req, res) => {
+    const newEmail = normalizeEmail(req.body.newEmail || '');
+    if (!newEmail || !newEmail.includes('@')) {
+        return res.status(400).json({success: false, message: 'A valid email address is required'});
+    }
+
+    const {user, status, message} = await confirmCurrentPassword(req.userId, req.body.currentPassword);
+    if (!user) {
+        return res.status(status).json({success: false, message});
+    }
+    if (newEmail === user.email) {
+        return res.status(400).json({success: false, message: 'That is already your email address'});
+    }
+    const taken = await execute('SELECT id FROM users WHERE email = ?', [newEmail]);
+    if (taken.length) {
+        return res.status(409).json({success: false, message: 'That email address is already in use'});
+    }
+    if (!mailer) {
+        return res.status(500).json({success: false, message: 'Email service unavailable'});
+    }
+
+    let issued;
+    try {
+        issued = await verificationCodes.issue(user.id, 'email_change', {target: newEmail});
+    } catch (error) {
+        return sendVerificationCodeError(res, error);
+    }
+    await mailer.send('emailChange', newEmail, {
+        code: issued.code,
+        expiresInMinutes: Math.round(issued.expiresInSeconds / 60)
+    });
+
+    console.log(`📩 Email change code sent to ${newEmail} for user ID ${user.id}`);
+    const {code, ...timing} = issued;
+    res.json({success: true, message: `We sent a code to ${newEmail}. Enter it to confirm the change.`, pendingEmail: newEmail, ...timing});
+}));
+
+app.post('/api/account/email/confirm', requireAuth, asyncHandler(async (req, res) => {
+    const code = String(req.body.code || '').trim();
+    if (!code) {
+        return res.status(400).json({success: false, message: 'Please enter the code from the email'});
+    }
+
+    let verified;
+    try {
+        verified = await verificationCodes.verify(req.userId, 'email_change', code);
+    } catch (error) {
+        return sendVerificationCodeError(res, error);
+    }
+
+    // The address may have been claimed by another account since the code went out.
+    const taken = await execute('SELECT id FROM users WHERE email = ? AND id != ?', [verified.target, req.userId]);
+    if (taken.length) {
+        return res.status(409).json({success: false, message: 'That email address is already in use'});
+    }
+
+    await execute('UPDATE users SET email = ?, email_verified = 1 WHERE id = ?', [verified.target, req.userId]);
+    if (req.session.userId) {
+        req.session.email = verified.target;
+        req.session.emailVerified = true;
+        await req.session.save();
+    }
+
+    console.log(`✅ Email changed to ${verified.target} for user ID ${req.userId}`);
+    res.json({success: true, message: 'Email updated', email: verified.target});
+}));
+
+/**
+ * Permanently deletes the account. Any Stripe subscription is canceled first,
+ * so a failure there leaves the account (and its billing) untouched.
+ */
+app.post('/api/account/delete', requireAuth, asyncHandler(async (req, res) => {
+    const {user, status, message} = await confirmCurrentPassword(req.userId, req.body.currentPassword);
+    if (!user) {
+        return res.status(status).json({success: false, message});
+    }
+
+    if (user.stripe_subscription_id) {
+        if (!stripe) {
+            return res.status(503).json({success: false, message: 'Billing is unavailable right now; please try again later.'});
+        }
+        try {
+            await stripe.subscriptions.cancel(user.stripe_subscription_id);
+            console.log(`✅ Canceled subscription ${user.stripe_subscription_id} for deleted user ID ${user.id}`);
+        } catch (error) {
+            if (error.code !== 'resource_missing') {
+                console.error('❌ Failed to cancel subscription before account deletion:', error.message);
+                return res.status(502).json({success: false, message: 'We could not cancel your subscription, so your account was not deleted. Please try again.'});
+            }
+        }
+    }
+
+    // Sessions, refresh tokens, codes and listening history cascade from users; day passes are
+    // removed explicitly in case an older database lacks that foreign key.
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+        await conn.execute('DELETE FROM day_passes WHERE user_id = ?', [user.id]);
+        await conn.execute('DELETE FROM users WHERE id = ?', [user.id]);
+        await conn.commit();
+    } catch (error) {
+        await conn.rollback();
+        throw error;
+    } finally {
+        conn.release();
+    }
+
+    await new Promise((resolve, reject) => {
+        req.session.destroy((err) => {
+            if (err) {
+                return reject(err);
+            }
+            return resolve();
+        });
+    });
+    res.clearCookie('connect.sid', {path: '/'});
+
+    console.log(`🗑️ Deleted account for user ID ${user.id}`);
+    res.json({success: true, message: 'Your account has been deleted'});
+}));
+
+/**
+ * Everything we store about the signed-in user, as a JSON download or, with
+ * ?format=zip, one file per section. Every export is audit-logged.
+ */
+app.get('/api/account/export', requireAuth, exportLimiter, asyncHandler(async (req, res) => {
+    const format = req.query.format === 'zip' ? 'zip' : 'json';
+    const bundle = await accountExport.collect(req.userId);
+    if (!bundle) {
+        return res.status(404).json({success: false, message: 'User not found'});
+    }
+
+    await recordAudit(req, req.userId, 'account_export', {
+        format,
+        dayPasses: bundle.dayPasses.length,
+        listeningSessions: bundle.listeningHistory.length
+    });
+    console.log(`📦 Account export (${format}) generated for user ID ${req.userId}`);
+
+    const filename = `racescan-export-${req.userId}-${bundle.exportedAt.slice(0, 10)}.${format}`;
+    res.set('Cache-Control', 'no-store');
+    res.attachment(filename);
+    if (format === 'zip') {
+        return res.type('application/zip').send(accountExport.toZip(bundle));
+    }
+    res.type('application/json').send(JSON.stringify(bundle, null, 2));
+}));
+
 app.get('/api/user-info', requireAuth, asyncHandler(async (req, res) => {
     const users = await execute(
         `SELECT first_name,
@@ -935,10 +3434,13 @@ app.get('/api/user-info', requireAuth, asyncHandler(async (req, res) => {
                 subscribed,
                 tier,
                 subscription_status,
-                next_billing_date
+                cancel_at_period_end,
+                next_billing_date,
+                stripe_customer_id,
+                stripe_subscription_id
          FROM users
          WHERE id = ?`,
-        [req.session.userId]
+        [req.userId]
     );
 
     if (!users.length) {
@@ -958,10 +3460,137 @@ app.get('/api/user-info', requireAuth, asyncHandler(async (req, res) => {
         subscribed: !!user.subscribed,
         subscriptionPlan: user.tier || 'N/A',
         subscriptionStatus: user.subscription_status || 'Inactive',
-        nextBillingDate: user.next_billing_date || 'N/A'
+        nextBillingDate: user.next_billing_date || 'N/A',
+        cancelAtPeriodEnd: !!user.cancel_at_period_end,
+        hasBillingAccount: !!(user.stripe_customer_id || user.stripe_subscription_id)
     });
 }));
 
+// Development only: what the file mail transport captured, so sign-up and password-reset
+// emails can be opened locally without a real inbox.
+if (mailer?.capturesMail && !config.isProduction) {
+    app.get('/dev/mailbox', asyncHandler(async (req, res) => {
+        const messages = await mailer.listMailbox();
+        if (req.query.format === 'json') {
+            return res.json({success: true, messages});
+        }
+
+        const rows = messages.map((message) => `
+            <tr>
+                <td>${escapeHtml(moment(message.date).format('YYYY-MM-DD HH:mm:ss'))}</td>
+                <td>${escapeHtml(message.to)}</td>
+                <td><a href="/dev/mailbox/${message.id}">${escapeHtml(message.subject)}</a></td>
+                <td><a href="/dev/mailbox/${message.id}?format=text">text</a></td>
+            </tr>`).join('');
+
+        res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>RaceScan dev mailbox</title>
+    <style>
+        body { font-family: Arial, Helvetica, sans-serif; margin: 24px; }
+        table { border-collapse: collapse; width: 100%; }
+        th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid #dddddd; }
+    </style>
+</head>
+<body>
+    <h1>Dev mailbox</h1>
+    <p>${messages.length} message(s) in ${escapeHtml(config.mail.mailboxDir)}</p>
+    <table>
+        <tr><th>Date</th><th>To</th><th>Subject</th><th></th></tr>
+        ${rows}
+    </table>
+</body>
+</html>`);
+    }));
+
+    app.get('/dev/mailbox/:id', asyncHandler(async (req, res) => {
+        const message = await mailer.readMailboxMessage(req.params.id);
+        if (!message) {
+            return res.status(404).json({success: false, message: 'Message not found'});
+        }
+        if (req.query.format === 'json') {
+            return res.json({success: true, message});
+        }
+        if (req.query.format === 'text') {
+            return res.type('text/plain').send(message.text);
+        }
+        res.type('html').send(message.html);
+    }));
+}
+
+/**
+ * Emails day-pass holders whose event starts within config.mail.reminderLeadHours.
+ * Each pass is claimed before sending, so a reminder goes out once even with several servers.
+ */
+async function sendEventReminders() {
+    const due = await execute(`
+        SELECT day_passes.id,
+               day_passes.event_name,
+               events.starts_at,
+               events.timezone,
+               users.email,
+               users.first_name
+        FROM day_passes
+        JOIN events ON events.race_id = day_passes.event_id
+        JOIN users ON users.id = day_passes.user_id
+        WHERE day_passes.reminder_sent_at IS NULL
+          AND events.status = 'scheduled'
+          AND events.starts_at > UTC_TIMESTAMP()
+          AND events.starts_at <= UTC_TIMESTAMP() + INTERVAL ? HOUR
+    `, [config.mail.reminderLeadHours]);
+
+    let sent = 0;
+    for (const pass of due) {
+        const claim = await execute(
+            'UPDATE day_passes SET reminder_sent_at = UTC_TIMESTAMP() WHERE id = ? AND reminder_sent_at IS NULL',
+            [pass.id]
+        );
+        if (!claim.affectedRows) {
+            continue;
+        }
+        const startsAtLocal = moment.utc(pass.starts_at, 'YYYY-MM-DD HH:mm:ss')
+            .tz(pass.timezone || config.eventTimezone)
+            .format('dddd, MMMM D [at] h:mm A z');
+        try {
+            await mailer.send('eventReminder', pass.email, {
+                firstName: pass.first_name,
+                eventName: pass.event_name,
+                startsAtLocal,
+                listenLink: 'https://racescan.racing/events/live.html'
+            });
+            sent += 1;
+        } catch (error) {
+            // Hand the pass back so the next run retries it.
+            await execute('UPDATE day_passes SET reminder_sent_at = NULL WHERE id = ?', [pass.id]);
+            console.warn(`⚠️ Failed to send event reminder to ${pass.email}:`, error.message);
+        }
+    }
+    return sent;
+}
+
+let captureSync = null;
+
+// Points the recorder (for the events live now), the HLS packager, the transcoder and the voice
+// monitor at what the last mount poll saw.
+function syncCaptures() {
+    if (!captureSync) {
+        const mounts = mountMonitor.snapshot?.mounts || [];
+        transcoder?.sync(mounts);
+        voiceMonitor?.sync(mounts);
+        captureSync = Promise.all([
+            recorder && resolveLiveStatus().then(({events}) => recorder.sync(events, mounts)),
+            packager && packager.sync(mounts)
+        ])
+            .catch((err) => console.warn('⚠️ Recording/HLS sync failed:', err.message))
+            .finally(() => {
+                captureSync = null;
+            });
+    }
+    return captureSync;
+}
+
 app.use((err, req, res, next) => {
     console.error('❌ Uncaught error:', err);
     if (res.headersSent) {
@@ -972,6 +3601,54 @@ app.use((err, req, res, next) => {
     return res.status(status).json({success: false, message});
 });
 
-app.listen(config.port, '0.0.0.0', () => {
-    console.log(`🚀 Server accessible via http://127.0.0.1:${config.port}`);
-});
+function startServer() {
+    app.listen(config.port, '0.0.0.0', () => {
+        console.log(`🚀 Server accessible via http://127.0.0.1:${config.port}`);
+    });
+
+    refreshMounts();
+    setInterval(refreshMounts, config.icecast.pollIntervalMs);
+
+    if (recorder || packager || transcoder || voiceMonitor) {
+        Promise.all([
+            recorder?.recover()
+                .then((count) => count && console.log(`🧹 Closed ${count} recording(s) left open by the last run`)),
+            packager?.reset()
+        ])
+            .catch((err) => console.warn('⚠️ Recording/HLS cleanup failed:', err.message))
+            .finally(() => setInterval(syncCaptures, config.icecast.pollIntervalMs));
+    }
+
+    if (transcoder || voiceMonitor) {
+        // ffmpeg outlives us otherwise: the transcoder's would keep the variant mounts busy so the next
+        // process couldn't publish them, and the voice monitor's would linger as Icecast listeners.
+        ['SIGINT', 'SIGTERM'].forEach((signal) => process.once(signal, () => {
+            transcoder?.stopAll();
+            voiceMonitor?.stopAll();
+            process.exit(0);
+        }));
+    }
+
+    setInterval(() => {
+        sessionStore.clearExpired()
+            .then((count) => count && console.log(`🧹 Removed ${count} expired session(s)`))
+            .catch((err) => console.warn('⚠️ Expired session cleanup failed:', err.message));
+    }, 15 * 60 * 1000);
+
+    if (mailer) {
+        setInterval(() => {
+            sendEventReminders()
+                .then((count) => count && console.log(`📩 Sent ${count} event reminder(s)`))
+                .catch((err) => console.warn('⚠️ Event reminders failed:', err.message));
+        }, 15 * 60 * 1000);
+    }
+}
+
+// Serving against an older schema fails in confusing ways mid-request, so don't start at all.
+assertSchemaCurrent(pool)
+    .then(startServer)
+    .catch((err) => {
+        console.error(`❌ ${err.message}`);
+        console.error('   Run `npm run migrate` and restart.');
+        process.exit(1);
+    });
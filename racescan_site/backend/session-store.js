@@ -0,0 +1,66 @@
+// express-session store backed by the `sessions` table, so logins survive restarts
+// and every server process sees the same sessions.
+const moment = require('moment-timezone');
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+const toDateTime = (value) => moment.utc(value).format('YYYY-MM-DD HH:mm:ss');
+
+module.exports = function createMySqlSessionStore(session, {execute, ttlMs = DEFAULT_TTL_MS}) {
+    const expiryOf = (sess) => toDateTime(sess?.cookie?.expires || Date.now() + ttlMs);
+
+    class MySqlSessionStore extends session.Store {
+        get(sid, callback) {
+            execute(
+                'SELECT data FROM sessions WHERE session_id = ? AND expires_at > UTC_TIMESTAMP()',
+                [sid]
+            )
+                .then((rows) => (rows.length ? JSON.parse(rows[0].data) : null))
+                .then((sess) => callback(null, sess), callback);
+        }
+
+        // user_id mirrors sess.userId so every session of one account can be found and revoked.
+        set(sid, sess, callback = () => {}) {
+            execute(
+                `INSERT INTO sessions (session_id, user_id, data, expires_at)
+                 VALUES (?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE user_id    = VALUES(user_id),
+                                         data       = VALUES(data),
+                                         expires_at = VALUES(expires_at)`,
+                [sid, sess.userId || null, JSON.stringify(sess), expiryOf(sess)]
+            ).then(() => callback(null), callback);
+        }
+
+        touch(sid, sess, callback = () => {}) {
+            execute('UPDATE sessions SET expires_at = ? WHERE session_id = ?', [expiryOf(sess), sid])
+                .then(() => callback(null), callback);
+        }
+
+        destroy(sid, callback = () => {}) {
+            execute('DELETE FROM sessions WHERE session_id = ?', [sid])
+                .then(() => callback(null), callback);
+        }
+
+        clear(callback = () => {}) {
+            execute('DELETE FROM sessions').then(() => callback(null), callback);
+        }
+
+        length(callback) {
+            execute('SELECT COUNT(*) AS cnt FROM sessions WHERE expires_at > UTC_TIMESTAMP()')
+                .then((rows) => callback(null, Number(rows[0].cnt)), callback);
+        }
+
+        // Resolves to the number of sessions removed.
+        async destroyUserSessions(userId) {
+            const result = await execute('DELETE FROM sessions WHERE user_id = ?', [userId]);
+            return result.affectedRows || 0;
+        }
+
+        async clearExpired() {
+            const result = await execute('DELETE FROM sessions WHERE expires_at <= UTC_TIMESTAMP()');
+            return result.affectedRows || 0;
+        }
+    }
+
+    return new MySqlSessionStore();
+};
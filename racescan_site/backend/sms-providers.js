@@ -0,0 +1,141 @@
+// SMS verification behind one interface, chosen by SMS_PROVIDER:
+//   sendCode(phone)        texts a fresh code to the number
+//   checkCode(phone, code) resolves true once, when the code matches
+// Twilio Verify generates and checks codes itself; the other providers generate them here
+// and keep an HMAC in sms_codes so any server process can check them.
+const crypto = require('crypto');
+const {promises: fsp} = require('fs');
+
+const CODE_TTL_SECONDS = 10 * 60;
+const MAX_ATTEMPTS = 5;
+
+// Required only when a Twilio provider is chosen, so the console provider runs without it.
+const twilioClient = (accountSid, authToken) => require('twilio')(accountSid, authToken);
+
+const messageFor = (code) => `Your RaceScan verification code is ${code}. It expires in ${CODE_TTL_SECONDS / 60} minutes.`;
+
+function createLocalCodeStore({execute, secret}) {
+    const hashCode = (phone, code) => crypto
+        .createHmac('sha256', secret)
+        .update(`sms:${phone}:${String(code).trim()}`)
+        .digest('hex');
+
+    return {
+        // Replaces any earlier code for the number and resolves to the new one.
+        async create(phone) {
+            const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+            await execute(
+                `INSERT INTO sms_codes (phone, code_hash, attempts, expires_at)
+                 VALUES (?, ?, 0, UTC_TIMESTAMP() + INTERVAL ? SECOND)
+                 ON DUPLICATE KEY UPDATE code_hash  = VALUES(code_hash),
+                                         attempts   = 0,
+                                         expires_at = VALUES(expires_at)`,
+                [phone, hashCode(phone, code), CODE_TTL_SECONDS]
+            );
+            return code;
+        },
+
+        async check(phone, code) {
+            // Take the attempt before comparing, so guesses sent together can't all pass a stale count.
+            const claimed = await execute(
+                'UPDATE sms_codes SET attempts = attempts + 1 WHERE phone = ? AND attempts < ? AND expires_at > UTC_TIMESTAMP()',
+                [phone, MAX_ATTEMPTS]
+            );
+            if (!claimed.affectedRows) {
+                return false;
+            }
+            const rows = await execute('SELECT code_hash FROM sms_codes WHERE phone = ?', [phone]);
+            if (!rows.length) {
+                return false;
+            }
+            const expected = Buffer.from(rows[0].code_hash);
+            const given = Buffer.from(hashCode(phone, code));
+            if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+                return false;
+            }
+            // Deleting is what consumes the code, so two simultaneous checks can't both pass.
+            const result = await execute('DELETE FROM sms_codes WHERE phone = ? AND code_hash = ?', [phone, rows[0].code_hash]);
+            return result.affectedRows > 0;
+        }
+    };
+}
+
+function createTwilioVerifyProvider({accountSid, authToken, verifySid}) {
+    if (!accountSid || !authToken || !verifySid) {
+        throw new Error('SMS_PROVIDER=twilio-verify needs TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_VERIFY_SID');
+    }
+    const service = twilioClient(accountSid, authToken).verify.v2.services(verifySid);
+
+    return {
+        name: 'twilio-verify',
+        async sendCode(phone) {
+            await service.verifications.create({to: phone, channel: 'sms'});
+        },
+        async checkCode(phone, code) {
+            try {
+                const check = await service.verificationChecks.create({to: phone, code});
+                return check.status === 'approved';
+            } catch (err) {
+                // Twilio answers 404 for a phone with no pending verification (already approved, expired or never sent).
+                if (err.status === 404) {
+                    return false;
+                }
+                throw err;
+            }
+        }
+    };
+}
+
+function createTwilioMessagingProvider({accountSid, authToken, messagingServiceSid, fromNumber}, store) {
+    if (!accountSid || !authToken || !(messagingServiceSid || fromNumber)) {
+        throw new Error('SMS_PROVIDER=twilio-messaging needs TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_MESSAGING_SERVICE_SID or TWILIO_FROM_NUMBER');
+    }
+    const client = twilioClient(accountSid, authToken);
+    const sender = messagingServiceSid ? {messagingServiceSid} : {from: fromNumber};
+
+    return {
+        name: 'twilio-messaging',
+        async sendCode(phone) {
+            const code = await store.create(phone);
+            await client.messages.create({to: phone, body: messageFor(code), ...sender});
+        },
+        checkCode: (phone, code) => store.check(phone, code)
+    };
+}
+
+// Local development: nothing is texted. Codes go to the server log and, with SMS_LOG_FILE, to a file.
+function createConsoleProvider({logFile}, store) {
+    return {
+        name: 'console',
+        async sendCode(phone) {
+            const code = await store.create(phone);
+            console.log(`📱 SMS to ${phone}: ${messageFor(code)}`);
+            if (logFile) {
+                await fsp.appendFile(logFile, `${new Date().toISOString()} ${phone} ${code}\n`);
+            }
+        },
+        checkCode: (phone, code) => store.check(phone, code)
+    };
+}
+
+const PROVIDERS = {
+    'twilio-verify': (config) => createTwilioVerifyProvider(config.twilio),
+    'twilio-messaging': (config, store) => createTwilioMessagingProvider(config.twilio, store),
+    console: (config, store) => createConsoleProvider(config, store)
+};
+
+/**
+ * Builds the provider named in `config.provider` (twilio-verify, twilio-messaging
+ * or console), or returns null when none is configured. Unknown names and
+ * missing credentials throw, so a bad deployment fails at startup.
+ */
+module.exports = function createSmsProvider(config, {execute, secret}) {
+    if (!config.provider) {
+        return null;
+    }
+    const build = PROVIDERS[config.provider];
+    if (!build) {
+        throw new Error(`Unknown SMS_PROVIDER "${config.provider}" (expected ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    return build(config, createLocalCodeStore({execute, secret}));
+};
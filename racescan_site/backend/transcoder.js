@@ -0,0 +1,62 @@
+// Publishes low-bandwidth variants of each live driver mount, for listeners on weak
+// cell coverage. One ffmpeg process per mount reads it from Icecast like any other listener and
+// sends every variant back as its own source: /smt-62.mp3 gets /smt-62.opus and /smt-62.aac.
+// The Icecast poller advertises whichever variants are live, so the scanner pipeline can publish
+// them instead and this stays off.
+const createFfmpegJobs = require('./ffmpeg-jobs');
+
+// Mono speech codecs at scanner-audio bitrates. Opus is smaller for the same quality; AAC is
+// there for players without Opus (iOS).
+const VARIANTS = [
+    {
+        codec: 'opus',
+        extension: 'opus',
+        bitrate: 24,
+        contentType: 'audio/ogg',
+        output: ['-c:a', 'libopus', '-b:a', '24k', '-application', 'voip', '-f', 'ogg']
+    },
+    {
+        codec: 'aac',
+        extension: 'aac',
+        bitrate: 32,
+        contentType: 'audio/aac',
+        output: ['-c:a', 'aac', '-b:a', '32k', '-f', 'adts']
+    }
+];
+
+const variantMount = (mount, variant) => mount.replace(/\.mp3$/, `.${variant.extension}`);
+
+/**
+ * The variant a mount such as '/smt-62.opus' carries, as {sourceMount,
+ * variant}, or null for a mount that isn't a variant.
+ */
+function parseVariantMount(mount) {
+    const match = /^(\/[a-z0-9-]+)\.([a-z0-9]+)$/.exec(String(mount || ''));
+    const variant = match && VARIANTS.find((entry) => entry.extension === match[2]);
+    return variant ? {sourceMount: `${match[1]}.mp3`, variant} : null;
+}
+
+module.exports = function createTranscoder({icecastUrl, sourcePassword, ffmpegPath, tokenFor}) {
+    const {host} = new URL(icecastUrl);
+    const jobs = createFfmpegJobs({
+        icecastUrl,
+        ffmpegPath,
+        tokenFor,
+        name: (mount) => `Transcoding ${mount}`,
+        outputArgs: (mount) => VARIANTS.flatMap((variant) => [
+            '-map', '0:a', '-ac', '1', ...variant.output,
+            '-content_type', variant.contentType,
+            `icecast://source:${encodeURIComponent(sourcePassword)}@${host}${variantMount(mount, variant)}`
+        ]),
+        onStart: ({mount}) => {
+            console.log(`🎚️ Transcoding ${mount} to ${VARIANTS.map((variant) => variant.codec).join(', ')}`);
+        }
+    });
+
+    const isTranscoding = (mount) => Boolean(jobs.get(mount));
+
+    return {sync: jobs.sync, stopAll: jobs.stopAll, isTranscoding};
+};
+
+module.exports.VARIANTS = VARIANTS;
+module.exports.parseVariantMount = parseVariantMount;
@@ -0,0 +1,185 @@
+// One-time codes in the verification_codes table: at most one live code per user and purpose,
+// stored as an HMAC, with an expiry, a wrong-guess limit and a resend cooldown.
+const crypto = require('crypto');
+
+const PURPOSES = {
+    email_verify: {ttlSeconds: 30 * 60, maxAttempts: 5, cooldownSeconds: 60},
+    // Sent to the new address; target holds that address until the code is confirmed.
+    email_change: {ttlSeconds: 30 * 60, maxAttempts: 5, cooldownSeconds: 60},
+    // Sent as a link rather than typed, so the token is long and guessing is not a concern.
+    password_reset: {ttlSeconds: 60 * 60, maxAttempts: 5, cooldownSeconds: 60, tokenBytes: 32},
+    // Texted by the SMS provider, which holds the code itself; we still enforce our own limits.
+    phone_change: {ttlSeconds: 10 * 60, maxAttempts: 5, cooldownSeconds: 30}
+};
+
+class VerificationCodeError extends Error {
+    constructor(reason, message, details = {}) {
+        super(message);
+        this.reason = reason;
+        this.details = details;
+    }
+}
+
+module.exports = function createVerificationCodes({execute, secret}) {
+    const policyFor = (purpose) => {
+        const policy = PURPOSES[purpose];
+        if (!policy) {
+            throw new Error(`Unknown verification purpose: ${purpose}`);
+        }
+        return policy;
+    };
+
+    const hashCode = (purpose, code) => crypto
+        .createHmac('sha256', secret)
+        .update(`${purpose}:${String(code).trim()}`)
+        .digest('hex');
+
+    const generateCode = (policy) => (policy.tokenBytes
+        ? crypto.randomBytes(policy.tokenBytes).toString('hex')
+        : String(crypto.randomInt(0, 1000000)).padStart(6, '0'));
+
+    const loadRow = async (userId, purpose) => {
+        const rows = await execute(
+            `SELECT id, target, code_hash, attempts, max_attempts, consumed_at,
+                    TIMESTAMPDIFF(SECOND, UTC_TIMESTAMP(), expires_at) AS expires_in,
+                    TIMESTAMPDIFF(SECOND, created_at, UTC_TIMESTAMP()) AS age
+             FROM verification_codes
+             WHERE user_id = ? AND purpose = ?`,
+            [userId, purpose]
+        );
+        return rows[0] || null;
+    };
+
+    const describe = (row, policy) => ({
+        expiresInSeconds: Math.max(0, Number(row.expires_in)),
+        attemptsRemaining: Math.max(0, row.max_attempts - row.attempts),
+        resendInSeconds: Math.max(0, policy.cooldownSeconds - Number(row.age))
+    });
+
+    /**
+     * Replaces any earlier code for this user and purpose. Resolves to the new
+     * code (null when `external`, i.e. the SMS provider generated it) plus the
+     * same timing fields as status(). Throws reason "cooldown" when asked again too soon.
+     */
+    async function issue(userId, purpose, {target = null, external = false} = {}) {
+        const policy = policyFor(purpose);
+        const existing = await loadRow(userId, purpose);
+        if (existing && !existing.consumed_at && Number(existing.age) < policy.cooldownSeconds) {
+            const {resendInSeconds} = describe(existing, policy);
+            throw new VerificationCodeError('cooldown', `Please wait ${resendInSeconds}s before requesting another code.`, {resendInSeconds});
+        }
+
+        const code = external ? null : generateCode(policy);
+        await execute(
+            `INSERT INTO verification_codes (user_id, purpose, target, code_hash, attempts, max_attempts, created_at, expires_at, consumed_at)
+             VALUES (?, ?, ?, ?, 0, ?, UTC_TIMESTAMP(), UTC_TIMESTAMP() + INTERVAL ? SECOND, NULL)
+             ON DUPLICATE KEY UPDATE target       = VALUES(target),
+                                     code_hash    = VALUES(code_hash),
+                                     attempts     = 0,
+                                     max_attempts = VALUES(max_attempts),
+                                     created_at   = VALUES(created_at),
+                                     expires_at   = VALUES(expires_at),
+                                     consumed_at  = NULL`,
+            [userId, purpose, target, code ? hashCode(purpose, code) : null, policy.maxAttempts, policy.ttlSeconds]
+        );
+
+        return {
+            code,
+            expiresInSeconds: policy.ttlSeconds,
+            attemptsRemaining: policy.maxAttempts,
+            resendInSeconds: policy.cooldownSeconds
+        };
+    }
+
+    /**
+     * Checks a submitted code and consumes it on success, resolving to
+     * {target}. `externalCheck(code, target)` replaces the hash comparison for codes the
+     * SMS provider holds. Failures throw with reason missing, expired, locked or invalid.
+     */
+    async function verify(userId, purpose, code, {externalCheck = null} = {}) {
+        const policy = policyFor(purpose);
+        const row = await loadRow(userId, purpose);
+        if (!row || row.consumed_at) {
+            throw new VerificationCodeError('missing', 'No active code. Please request a new one.');
+        }
+        if (Number(row.expires_in) <= 0) {
+            throw new VerificationCodeError('expired', 'This code has expired. Please request a new one.', describe(row, policy));
+        }
+        // Take the attempt before comparing, so guesses sent together can't all pass a stale count.
+        const claimed = await execute(
+            'UPDATE verification_codes SET attempts = attempts + 1 WHERE id = ? AND attempts < max_attempts AND consumed_at IS NULL',
+            [row.id]
+        );
+        if (!claimed.affectedRows) {
+            const current = await loadRow(userId, purpose);
+            if (!current || current.consumed_at) {
+                throw new VerificationCodeError('missing', 'No active code. Please request a new one.');
+            }
+            throw new VerificationCodeError('locked', 'Too many incorrect attempts. Please request a new code.', describe(current, policy));
+        }
+
+        let matches;
+        if (externalCheck) {
+            matches = await externalCheck(code, row.target);
+        } else {
+            const expected = Buffer.from(row.code_hash || '');
+            const given = Buffer.from(hashCode(purpose, code));
+            matches = expected.length === given.length && crypto.timingSafeEqual(expected, given);
+        }
+
+        if (!matches) {
+            const details = describe({...row, attempts: row.attempts + 1}, policy);
+            const message = details.attemptsRemaining
+                ? `Incorrect code. ${details.attemptsRemaining} attempt(s) left.`
+                : 'Too many incorrect attempts. Please request a new code.';
+            throw new VerificationCodeError(details.attemptsRemaining ? 'invalid' : 'locked', message, details);
+        }
+
+        // Only one request can consume the code, even if two arrive together.
+        const result = await execute(
+            'UPDATE verification_codes SET consumed_at = UTC_TIMESTAMP() WHERE id = ? AND consumed_at IS NULL',
+            [row.id]
+        );
+        if (!result.affectedRows) {
+            throw new VerificationCodeError('missing', 'No active code. Please request a new one.');
+        }
+        return {target: row.target};
+    }
+
+    /**
+     * Link-style tokens (password reset) arrive without a user, so they are
+     * looked up by hash. Resolves to {userId, target} and consumes the token,
+     * or to null if it is unknown, used or expired.
+     */
+    async function redeemToken(purpose, token) {
+        policyFor(purpose);
+        const rows = await execute(
+            `SELECT id, user_id, target FROM verification_codes
+             WHERE purpose = ? AND code_hash = ? AND consumed_at IS NULL AND expires_at > UTC_TIMESTAMP()`,
+            [purpose, hashCode(purpose, token)]
+        );
+        if (!rows.length) {
+            return null;
+        }
+        const result = await execute(
+            'UPDATE verification_codes SET consumed_at = UTC_TIMESTAMP() WHERE id = ? AND consumed_at IS NULL',
+            [rows[0].id]
+        );
+        return result.affectedRows ? {userId: rows[0].user_id, target: rows[0].target} : null;
+    }
+
+    // What the verify screens show: time and attempts left, and when a resend is allowed.
+    async function status(userId, purpose) {
+        const policy = policyFor(purpose);
+        const row = await loadRow(userId, purpose);
+        if (!row || row.consumed_at || Number(row.expires_in) <= 0) {
+            return {pending: false, resendInSeconds: row && !row.consumed_at ? describe(row, policy).resendInSeconds : 0};
+        }
+        return {pending: true, target: row.target, ...describe(row, policy)};
+    }
+
+    return {issue, verify, redeemToken, status};
+};
+
+module.exports.VerificationCodeError = VerificationCodeError;
+module.exports.PURPOSES = PURPOSES;
@@ -0,0 +1,80 @@
+// Tells scan mode which driver channels someone is talking on. One ffmpeg process per mount reads
+// it from Icecast like any other listener and prints its RMS level every WINDOW_SECONDS. A mount
+// counts as transmitting while the level is above thresholdDb, and for RELEASE_MS after so the
+// gaps between words don't end the transmission.
+const readline = require('readline');
+const createFfmpegJobs = require('./ffmpeg-jobs');
+
+const WINDOW_SECONDS = 0.25;
+const RELEASE_MS = 1000;
+const LEVEL_KEY = 'lavfi.astats.Overall.RMS_level';
+
+// Mono at 8 kHz is plenty to tell speech from an open squelch, and cheap to measure.
+const SAMPLE_RATE = 8000;
+const FILTER = [
+    `aresample=${SAMPLE_RATE}`,
+    'aformat=channel_layouts=mono',
+    `asetnsamples=n=${SAMPLE_RATE * WINDOW_SECONDS}`,
+    'astats=metadata=1:reset=1',
+    `ametadata=mode=print:key=${LEVEL_KEY}:file=-`
+].join(',');
+
+// ffmpeg prints digital silence as '-inf'.
+const parseLevel = (value) => (value === '-inf' ? -Infinity : Number(value));
+
+module.exports = function createVoiceActivityMonitor({icecastUrl, ffmpegPath, tokenFor, thresholdDb, onChange}) {
+    function setActive(job, active) {
+        if (job.active === active) {
+            return;
+        }
+        job.active = active;
+        if (active) {
+            job.since = new Date().toISOString();
+        }
+        onChange(job.mount);
+    }
+
+    function heard(job, level) {
+        if (!(level > thresholdDb)) {
+            return;
+        }
+        job.lastActiveAt = new Date().toISOString();
+        clearTimeout(job.release);
+        job.release = setTimeout(() => setActive(job, false), RELEASE_MS);
+        setActive(job, true);
+    }
+
+    const jobs = createFfmpegJobs({
+        icecastUrl,
+        ffmpegPath,
+        tokenFor,
+        name: (mount) => `Voice activity for ${mount}`,
+        outputArgs: () => ['-vn', '-af', FILTER, '-f', 'null', '-'],
+        readStdout: true,
+        onStart: (job) => {
+            Object.assign(job, {active: false, since: null, lastActiveAt: null, release: null});
+            readline.createInterface({input: job.child.stdout}).on('line', (line) => {
+                if (line.startsWith(`${LEVEL_KEY}=`)) {
+                    heard(job, parseLevel(line.slice(LEVEL_KEY.length + 1)));
+                }
+            });
+        },
+        onClose: (job) => {
+            clearTimeout(job.release);
+            setActive(job, false);
+        }
+    });
+
+    const isMonitoring = (mount) => Boolean(jobs.get(mount));
+
+    /**
+     * {active, since, lastActiveAt} for a mount being measured, or null. `since`
+     * is when the current (or last) transmission started.
+     */
+    function status(mount) {
+        const job = jobs.get(mount);
+        return job ? {active: job.active, since: job.since, lastActiveAt: job.lastActiveAt} : null;
+    }
+
+    return {sync: jobs.sync, stopAll: jobs.stopAll, isMonitoring, status};
+};
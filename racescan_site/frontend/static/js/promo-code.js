@@ -0,0 +1,103 @@
+// The promo code box on subscribe.html and select_day_pass.html. The page provides
+// #promo-code, #promo-apply, #promo-message and #promo-redeem. Discount codes are checked
+// here and sent with checkout (code()); comp codes are redeemed from the box and need no checkout.
+// A code passed as ?promo=CODE (subscribe.html forwards one to the day-pass page) is applied on load.
+function setupPromoCode(options = {}) {
+    const input = document.getElementById('promo-code');
+    const message = document.getElementById('promo-message');
+    const redeemButton = document.getElementById('promo-redeem');
+    let applied = null;
+
+    function show(text, kind) {
+        message.textContent = text || '';
+        message.classList.toggle('is-error', kind === 'error');
+        message.classList.toggle('is-success', kind === 'success');
+    }
+
+    function reset() {
+        applied = null;
+        redeemButton.style.display = 'none';
+        show('');
+    }
+
+    async function post(path, body) {
+        const response = await fetch(path, {
+            method: 'POST',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        if (response.status === 401) {
+            return { success: false, message: 'Log in to use a promo code.' };
+        }
+        return response.json();
+    }
+
+    async function apply() {
+        reset();
+        const promoCode = input.value.trim();
+        if (!promoCode) {
+            return;
+        }
+        try {
+            const data = await post('/api/promo-codes/check', { promoCode, plan: options.plan });
+            if (!data.success) {
+                show(data.message || "That code isn't valid.", 'error');
+                return;
+            }
+            applied = data.promo;
+            if (applied.kind === 'comp') {
+                redeemButton.style.display = 'inline-block';
+                show(`${applied.summary}. No payment needed.`, 'success');
+            } else {
+                show(`${applied.summary} will be applied at checkout.`, 'success');
+            }
+        } catch (error) {
+            console.error('❌ Promo code check failed:', error);
+            show('Could not check that code. Please try again.', 'error');
+        }
+    }
+
+    async function redeem() {
+        if (!applied) {
+            return;
+        }
+        redeemButton.disabled = true;
+        try {
+            const data = await post('/api/promo-codes/redeem', { promoCode: applied.code });
+            if (data.success) {
+                alert('✅ ' + data.message);
+                window.location.href = '/auth/account.html';
+                return;
+            }
+            show(data.message || 'This code could not be redeemed.', 'error');
+        } catch (error) {
+            console.error('❌ Promo code redeem failed:', error);
+            show('Could not redeem that code. Please try again.', 'error');
+        } finally {
+            redeemButton.disabled = false;
+        }
+    }
+
+    document.getElementById('promo-apply').addEventListener('click', apply);
+    redeemButton.addEventListener('click', redeem);
+    input.addEventListener('input', reset);
+    input.addEventListener('keydown', (event) => {
+        // On the day-pass page Enter would otherwise submit the event form.
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            apply();
+        }
+    });
+
+    const fromUrl = new URLSearchParams(window.location.search).get('promo');
+    if (fromUrl) {
+        input.value = fromUrl;
+        apply();
+    }
+
+    return {
+        // The accepted discount code to send with checkout, if any.
+        code: () => (applied && applied.kind !== 'comp' ? applied.code : undefined)
+    };
+}